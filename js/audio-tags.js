@@ -0,0 +1,617 @@
+// 音频标签读取：ID3v2 (MP3)、Vorbis Comment (FLAC/OGG/Opus)、MP4 atoms (M4A)，全部在本地按需分段读取解析
+// 除歌名等基本信息外，也读取内嵌歌词 (SYLT/USLT、LYRICS、©lyr)，并可识别 MP4 中的音视频轨道
+
+import { detectEncoding, detectLegacyEncoding } from './encoding.js';
+
+// 标签读取上限，防止异常文件导致读入过多数据
+const MAX_TAG_SIZE = 16 * 1024 * 1024;
+
+// ISO-8859-1 字段按本地编码解码所需的最低得分：至少命中一个常用汉字（或两个假名）且没有乱码
+const MIN_LEGACY_CJK_SCORE = 3;
+
+function readUint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function readSyncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function readLatin1(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function decodeUtf8(bytes) {
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+// ID3 的 ISO-8859-1 字段按规范用 Latin-1 解码；合法的 UTF-8 按 UTF-8 解码，只有明确检测出中日文时
+// 才按 GBK/Big5 等本地编码解码，避免 "Mötley" 这类带重音字母的西文名被误读成汉字
+function decodeLegacyText(bytes) {
+    if (detectEncoding(bytes) === 'utf-8') return decodeUtf8(bytes);
+
+    const legacy = detectLegacyEncoding(bytes);
+    if (legacy && legacy.score >= MIN_LEGACY_CJK_SCORE) {
+        try {
+            const text = new TextDecoder(legacy.encoding).decode(bytes);
+            if (!text.includes('\uFFFD')) return text;
+        } catch (error) {
+            // 运行环境不支持检测出的编码
+        }
+    }
+    return new TextDecoder('latin1').decode(bytes);
+}
+
+function cleanText(text) {
+    return text.replace(/\0+$/, '').trim();
+}
+
+// 解析 "3" 或 "3/12" 形式的音轨号
+function parseTrackNumber(value) {
+    const track = parseInt(String(value || ''), 10);
+    return Number.isFinite(track) && track > 0 ? track : null;
+}
+
+function createTags() {
+    return { title: '', artist: '', album: '', track: null, picture: null, lyrics: '', syncedLyrics: null };
+}
+
+const LRC_TIME_PATTERN = /\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/;
+
+// 内嵌的非同步歌词可能有多份，带 LRC 时间标签的优先
+function setLyricsText(tags, text) {
+    const value = String(text || '').replace(/\0+$/, '').trim();
+    if (!value) return;
+    if (!tags.lyrics || (!LRC_TIME_PATTERN.test(tags.lyrics) && LRC_TIME_PATTERN.test(value))) {
+        tags.lyrics = value;
+    }
+}
+
+// 只在没有封面或遇到正面封面 (类型 3) 时替换
+function setPicture(tags, picture, pictureType) {
+    if (!picture || !picture.data || picture.data.length === 0) return;
+    if (!tags.picture || (pictureType === 3 && tags.pictureType !== 3)) {
+        tags.picture = picture;
+        tags.pictureType = pictureType;
+    }
+}
+
+function finalizeTags(tags) {
+    delete tags.pictureType;
+    const hasValue = tags.title || tags.artist || tags.album || tags.track || tags.picture ||
+        tags.lyrics || tags.syncedLyrics;
+    return hasValue ? tags : null;
+}
+
+// 按字节范围读取文件 (File/Blob)
+async function readRange(file, start, end) {
+    const buffer = await file.slice(start, end).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+// ==================== ID3v2 ====================
+
+const ID3_TEXT_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TRCK: 'track', TRK: 'track'
+};
+
+// 去除反同步字节 (0xFF 0x00 → 0xFF)
+function removeUnsynchronisation(bytes) {
+    const result = [];
+    for (let i = 0; i < bytes.length; i++) {
+        result.push(bytes[i]);
+        if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+    }
+    return Uint8Array.from(result);
+}
+
+// 查找字符串结束符，UTF-16 为对齐的双零字节
+function findTerminator(bytes, offset, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+        if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+    }
+    return bytes.length;
+}
+
+function decodeId3Text(bytes, encoding) {
+    switch (encoding) {
+        case 1: {
+            // 带 BOM 的 UTF-16，缺少 BOM 时按小端处理
+            if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+            if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+            return new TextDecoder('utf-16le').decode(bytes);
+        }
+        case 2:
+            return new TextDecoder('utf-16be').decode(bytes);
+        case 3:
+            return decodeUtf8(bytes);
+        default:
+            return decodeLegacyText(bytes);
+    }
+}
+
+// 读取一个以结束符结尾的字符串，返回 { text, next }
+function readId3String(bytes, offset, encoding) {
+    const end = findTerminator(bytes, offset, encoding);
+    const wide = encoding === 1 || encoding === 2;
+    return {
+        text: decodeId3Text(bytes.subarray(offset, end), encoding),
+        next: Math.min(bytes.length, end + (wide ? 2 : 1))
+    };
+}
+
+// 文本帧：编码字节 + 文本（v2.4 多值以结束符分隔，只取第一个）
+function parseId3TextFrame(data) {
+    if (data.length < 2) return '';
+    return cleanText(readId3String(data, 1, data[0]).text);
+}
+
+// APIC: 编码, MIME, 图片类型, 描述, 数据；v2.2 的 PIC 用 3 字节格式代替 MIME
+function parseId3Picture(data, isV22) {
+    if (data.length < 4) return null;
+    const encoding = data[0];
+    let offset = 1;
+    let mime;
+    if (isV22) {
+        const format = readLatin1(data, 1, 3).toUpperCase();
+        mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+        offset = 4;
+    } else {
+        const end = findTerminator(data, 1, 0);
+        mime = readLatin1(data, 1, end - 1).toLowerCase() || 'image/jpeg';
+        offset = end + 1;
+    }
+    if (!mime.includes('/')) mime = `image/${mime === 'jpg' ? 'jpeg' : mime}`;
+    const pictureType = data[offset];
+    const description = readId3String(data, offset + 1, encoding);
+    return { picture: { mime, data: data.slice(description.next) }, pictureType };
+}
+
+// USLT: 编码, 语言, 描述, 歌词文本
+function parseId3UnsyncedLyrics(data) {
+    if (data.length < 5) return '';
+    const encoding = data[0];
+    const description = readId3String(data, 4, encoding);
+    return decodeId3Text(data.subarray(description.next), encoding);
+}
+
+// 将 SYLT 条目整理为歌词行。逐字同步的 SYLT 用换行开头的条目表示新的一行，
+// 此时同一行的条目作为逐字时间；否则每个条目就是一行
+function groupSyncedLyrics(entries) {
+    const byWord = entries.slice(1).some(entry => /^[\r\n]/.test(entry.text));
+    if (!byWord) {
+        return entries
+            .map(entry => ({ time: entry.time, text: entry.text.trim() }))
+            .filter(line => line.text);
+    }
+
+    const lines = [];
+    let current = null;
+    entries.forEach(entry => {
+        const text = entry.text.replace(/^[\r\n]+/, '');
+        if (!current || text !== entry.text) {
+            current = { time: entry.time, text: '', words: [] };
+            lines.push(current);
+        }
+        current.words.push({ time: entry.time, text });
+        current.text += text;
+    });
+
+    return lines
+        .map(line => {
+            const words = line.words.filter(word => word.text);
+            // 末字的结束时间由播放器按下一句补全
+            words.forEach((word, index) => {
+                if (index + 1 < words.length) word.end = words[index + 1].time;
+            });
+            const result = { time: line.time, text: line.text.trim() };
+            if (words.length > 1) result.words = words;
+            return result;
+        })
+        .filter(line => line.text);
+}
+
+// SYLT: 编码, 语言, 时间格式, 内容类型, 描述, 之后重复 [文本 结束符][4 字节时间]；
+// 只支持毫秒时间格式 (2)，MPEG 帧格式缺少帧率无法换算
+function parseId3SyncedLyrics(data) {
+    if (data.length < 7 || data[4] !== 2) return null;
+    const encoding = data[0];
+    let offset = readId3String(data, 6, encoding).next;
+    const entries = [];
+
+    while (offset < data.length) {
+        const entry = readId3String(data, offset, encoding);
+        if (entry.next + 4 > data.length) break;
+        entries.push({ time: readUint32BE(data, entry.next) / 1000, text: entry.text });
+        offset = entry.next + 4;
+    }
+
+    const lines = groupSyncedLyrics(entries.sort((a, b) => a.time - b.time));
+    return lines.length > 0 ? lines : null;
+}
+
+// 解析完整的 ID3v2 标签字节（含 10 字节头）
+export function parseId3v2(bytes) {
+    if (bytes.length < 10 || readLatin1(bytes, 0, 3) !== 'ID3') return null;
+
+    const version = bytes[3];
+    if (version < 2 || version > 4) return null;
+    const flags = bytes[5];
+    const tagSize = readSyncsafe(bytes, 6);
+
+    let body = bytes.subarray(10, Math.min(bytes.length, 10 + tagSize));
+    // v2.2/v2.3 的反同步作用于整个标签
+    if ((flags & 0x80) && version < 4) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    if (flags & 0x40 && version >= 3) {
+        // 跳过扩展头：v2.3 的长度不含自身，v2.4 为含自身的同步安全整数
+        offset = version === 3 ? readUint32BE(body, 0) + 4 : readSyncsafe(body, 0);
+    }
+
+    const tags = createTags();
+    const isV22 = version === 2;
+    const headerSize = isV22 ? 6 : 10;
+
+    while (offset + headerSize <= body.length) {
+        const id = readLatin1(body, offset, isV22 ? 3 : 4);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // 到达填充区
+
+        let size;
+        if (isV22) {
+            size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+        } else if (version === 4) {
+            size = readSyncsafe(body, offset + 4);
+        } else {
+            size = readUint32BE(body, offset + 4);
+        }
+        const frameFlags = isV22 ? 0 : (body[offset + 8] << 8) | body[offset + 9];
+        let data = body.subarray(offset + headerSize, offset + headerSize + size);
+        offset += headerSize + size;
+
+        // 跳过压缩或加密的帧
+        const compressed = version === 4 ? frameFlags & 0x0008 : frameFlags & 0x0080;
+        const encrypted = version === 4 ? frameFlags & 0x0004 : frameFlags & 0x0040;
+        if (compressed || encrypted) continue;
+
+        if (version === 4) {
+            if (frameFlags & 0x0040) data = data.subarray(1); // 分组标识
+            if (frameFlags & 0x0001) data = data.subarray(4); // 数据长度指示
+            if (frameFlags & 0x0002) data = removeUnsynchronisation(data);
+        } else if (version === 3 && frameFlags & 0x0020) {
+            data = data.subarray(1);
+        }
+
+        const field = ID3_TEXT_FRAMES[id];
+        if (field) {
+            const text = parseId3TextFrame(data);
+            if (field === 'track') {
+                tags.track = parseTrackNumber(text);
+            } else if (text && !tags[field]) {
+                tags[field] = text;
+            }
+        } else if (id === 'APIC' || id === 'PIC') {
+            const result = parseId3Picture(data, isV22);
+            if (result) setPicture(tags, result.picture, result.pictureType);
+        } else if (id === 'USLT' || id === 'ULT') {
+            setLyricsText(tags, parseId3UnsyncedLyrics(data));
+        } else if ((id === 'SYLT' || id === 'SLT') && !tags.syncedLyrics) {
+            tags.syncedLyrics = parseId3SyncedLyrics(data);
+        }
+    }
+
+    return tags;
+}
+
+// ==================== Vorbis Comment / FLAC ====================
+
+// FLAC PICTURE 块（OGG 中以 base64 形式存放在 METADATA_BLOCK_PICTURE）
+export function parseFlacPicture(bytes) {
+    if (bytes.length < 32) return null;
+    let offset = 0;
+    const pictureType = readUint32BE(bytes, offset); offset += 4;
+    const mimeLength = readUint32BE(bytes, offset); offset += 4;
+    const mime = readLatin1(bytes, offset, mimeLength) || 'image/jpeg'; offset += mimeLength;
+    const descriptionLength = readUint32BE(bytes, offset); offset += 4 + descriptionLength;
+    offset += 16; // 宽、高、色深、索引色数
+    const dataLength = readUint32BE(bytes, offset); offset += 4;
+    if (offset + dataLength > bytes.length) return null;
+    return { picture: { mime, data: bytes.slice(offset, offset + dataLength) }, pictureType };
+}
+
+function decodeBase64(text) {
+    const binary = atob(text.replace(/\s+/g, ''));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+// Vorbis Comment 主体：vendor + 若干 "KEY=value"（小端长度）
+export function parseVorbisComment(bytes, tags = createTags()) {
+    let offset = 0;
+    if (bytes.length < 8) return tags;
+    const vendorLength = readUint32LE(bytes, offset);
+    offset += 4 + vendorLength;
+    if (offset + 4 > bytes.length) return tags;
+    const count = readUint32LE(bytes, offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUint32LE(bytes, offset);
+        offset += 4;
+        const comment = decodeUtf8(bytes.subarray(offset, offset + length));
+        offset += length;
+
+        const separator = comment.indexOf('=');
+        if (separator <= 0) continue;
+        const key = comment.slice(0, separator).toUpperCase();
+        const value = comment.slice(separator + 1).trim();
+
+        if (key === 'TITLE' && !tags.title) tags.title = value;
+        else if (key === 'ARTIST' && !tags.artist) tags.artist = value;
+        else if (key === 'ALBUM' && !tags.album) tags.album = value;
+        else if (key === 'TRACKNUMBER' && !tags.track) tags.track = parseTrackNumber(value);
+        else if (key === 'LYRICS' || key === 'UNSYNCEDLYRICS') setLyricsText(tags, value);
+        else if (key === 'METADATA_BLOCK_PICTURE') {
+            try {
+                const result = parseFlacPicture(decodeBase64(value));
+                if (result) setPicture(tags, result.picture, result.pictureType);
+            } catch (error) {
+                // 损坏的 base64 封面忽略即可
+            }
+        }
+    }
+    return tags;
+}
+
+async function readFlacTags(file) {
+    const tags = createTags();
+    let offset = 4;
+    let found = false;
+
+    while (offset < MAX_TAG_SIZE) {
+        const header = await readRange(file, offset, offset + 4);
+        if (header.length < 4) break;
+        const isLast = Boolean(header[0] & 0x80);
+        const type = header[0] & 0x7F;
+        const length = (header[1] << 16) | (header[2] << 8) | header[3];
+        offset += 4;
+
+        if (type === 4) {
+            parseVorbisComment(await readRange(file, offset, offset + length), tags);
+            found = true;
+        } else if (type === 6) {
+            const result = parseFlacPicture(await readRange(file, offset, offset + length));
+            if (result) setPicture(tags, result.picture, result.pictureType);
+            found = true;
+        }
+
+        offset += length;
+        if (isLast) break;
+    }
+    return found ? tags : null;
+}
+
+// 依次读取 OGG 页面，拼出第二个数据包（Vorbis 注释头或 OpusTags）
+async function readOggCommentPacket(file) {
+    const chunks = [];
+    let packetIndex = 0;
+    let offset = 0;
+    let total = 0;
+
+    while (offset < MAX_TAG_SIZE) {
+        const header = await readRange(file, offset, offset + 27);
+        if (header.length < 27 || readLatin1(header, 0, 4) !== 'OggS') return null;
+        const segmentCount = header[26];
+        const segments = await readRange(file, offset + 27, offset + 27 + segmentCount);
+        const dataOffset = offset + 27 + segmentCount;
+        let pageLength = 0;
+        segments.forEach(size => { pageLength += size; });
+        const page = await readRange(file, dataOffset, dataOffset + pageLength);
+
+        let position = 0;
+        for (const size of segments) {
+            if (packetIndex === 1) {
+                chunks.push(page.subarray(position, position + size));
+                total += size;
+            }
+            position += size;
+            if (size < 255) {
+                if (packetIndex === 1) {
+                    const packet = new Uint8Array(total);
+                    let writeOffset = 0;
+                    chunks.forEach(chunk => {
+                        packet.set(chunk, writeOffset);
+                        writeOffset += chunk.length;
+                    });
+                    return packet;
+                }
+                packetIndex++;
+            }
+        }
+        offset = dataOffset + pageLength;
+    }
+    return null;
+}
+
+async function readOggTags(file) {
+    const packet = await readOggCommentPacket(file);
+    if (!packet) return null;
+
+    let body;
+    if (packet[0] === 3 && readLatin1(packet, 1, 6) === 'vorbis') {
+        body = packet.subarray(7);
+    } else if (readLatin1(packet, 0, 8) === 'OpusTags') {
+        body = packet.subarray(8);
+    } else {
+        return null;
+    }
+    return parseVorbisComment(body);
+}
+
+// ==================== MP4 ====================
+
+const MP4_CONTAINERS = new Set(['moov', 'udta', 'meta', 'ilst']);
+const MP4_TEXT_ATOMS = { '©nam': 'title', '©ART': 'artist', 'aART': 'artist', '©alb': 'album' };
+
+// 读取 ilst 条目中的 data 子原子：4 字节类型 + 4 字节语言 + 内容
+function readMp4Data(bytes, start, end) {
+    let offset = start;
+    while (offset + 16 <= end) {
+        const size = readUint32BE(bytes, offset);
+        if (size < 16) break;
+        if (readLatin1(bytes, offset + 4, 4) === 'data') {
+            return { type: readUint32BE(bytes, offset + 8) & 0xFFFFFF, data: bytes.subarray(offset + 16, offset + size) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function walkMp4Atoms(bytes, start, end, tags, inIlst = false) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = readUint32BE(bytes, offset);
+        const type = readLatin1(bytes, offset + 4, 4);
+        let headerSize = 8;
+        if (size === 1) {
+            size = readUint32BE(bytes, offset + 8) * 2 ** 32 + readUint32BE(bytes, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+
+        if (inIlst) {
+            const item = readMp4Data(bytes, offset + headerSize, offset + size);
+            if (item) {
+                const field = MP4_TEXT_ATOMS[type];
+                if (type === '©lyr') {
+                    setLyricsText(tags, decodeUtf8(item.data));
+                } else if (field && !tags[field]) {
+                    tags[field] = decodeUtf8(item.data).trim();
+                } else if (type === 'trkn' && item.data.length >= 4) {
+                    tags.track = ((item.data[2] << 8) | item.data[3]) || null;
+                } else if (type === 'covr') {
+                    const mime = item.type === 14 ? 'image/png' : 'image/jpeg';
+                    setPicture(tags, { mime, data: item.data.slice() }, 3);
+                }
+            }
+        } else if (MP4_CONTAINERS.has(type)) {
+            // meta 是 full box，内容前有 4 字节版本/标志
+            const childStart = offset + headerSize + (type === 'meta' ? 4 : 0);
+            walkMp4Atoms(bytes, childStart, offset + size, tags, type === 'ilst');
+        }
+        offset += size;
+    }
+}
+
+// 解析 moov 原子（含 8 字节头）
+export function parseMp4Moov(bytes) {
+    const tags = createTags();
+    walkMp4Atoms(bytes, 0, bytes.length, tags);
+    return tags;
+}
+
+// 查找并读取顶层 moov 原子，找不到或过大时返回 null
+async function readMp4Moov(file) {
+    let offset = 0;
+    while (offset + 8 <= file.size) {
+        const header = await readRange(file, offset, offset + 16);
+        let size = readUint32BE(header, 0);
+        const type = readLatin1(header, 4, 4);
+        if (size === 1) {
+            size = readUint32BE(header, 8) * 2 ** 32 + readUint32BE(header, 12);
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+        if (size < 8) return null;
+
+        if (type === 'moov') {
+            if (size > MAX_TAG_SIZE) return null;
+            return readRange(file, offset, offset + size);
+        }
+        offset += size;
+    }
+    return null;
+}
+
+async function readMp4Tags(file) {
+    const moov = await readMp4Moov(file);
+    return moov ? parseMp4Moov(moov) : null;
+}
+
+// 收集 moov/trak/mdia/hdlr 中的轨道类型（'soun' 音频、'vide' 视频等）
+export function parseMp4TrackTypes(bytes, start = 0, end = bytes.length, types = new Set()) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const size = readUint32BE(bytes, offset);
+        const type = readLatin1(bytes, offset + 4, 4);
+        if (size < 8 || offset + size > end) break;
+
+        if (type === 'moov' || type === 'trak' || type === 'mdia') {
+            parseMp4TrackTypes(bytes, offset + 8, offset + size, types);
+        } else if (type === 'hdlr' && size >= 24) {
+            // full box: 版本/标志 4 字节 + pre_defined 4 字节，之后是处理器类型
+            types.add(readLatin1(bytes, offset + 16, 4));
+        }
+        offset += size;
+    }
+    return types;
+}
+
+// 读取 MP4/MOV 文件包含的轨道类型，无法识别时返回 null
+export async function readMp4TrackTypes(file) {
+    if (!file || typeof file.slice !== 'function') return null;
+    try {
+        const head = await readRange(file, 0, 8);
+        if (head.length < 8 || readLatin1(head, 4, 4) !== 'ftyp') return null;
+        const moov = await readMp4Moov(file);
+        return moov ? parseMp4TrackTypes(moov) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ==================== 入口 ====================
+
+// 读取音频文件标签，返回 { title, artist, album, track, picture: { mime, data } | null,
+// lyrics: 非同步歌词文本, syncedLyrics: [{ time, text, words? }] | null }；
+// 无法识别或没有标签时返回 null
+export async function readAudioTags(file) {
+    if (!file || typeof file.slice !== 'function') return null;
+
+    try {
+        const head = await readRange(file, 0, 12);
+        if (head.length < 4) return null;
+
+        if (readLatin1(head, 0, 3) === 'ID3') {
+            const size = readSyncsafe(head, 6) + 10 + (head[5] & 0x10 ? 10 : 0);
+            if (size > MAX_TAG_SIZE) return null;
+            return finalizeTags(parseId3v2(await readRange(file, 0, size)));
+        }
+        if (readLatin1(head, 0, 4) === 'fLaC') {
+            const tags = await readFlacTags(file);
+            return tags ? finalizeTags(tags) : null;
+        }
+        if (readLatin1(head, 0, 4) === 'OggS') {
+            const tags = await readOggTags(file);
+            return tags ? finalizeTags(tags) : null;
+        }
+        if (head.length >= 8 && readLatin1(head, 4, 4) === 'ftyp') {
+            const tags = await readMp4Tags(file);
+            return tags ? finalizeTags(tags) : null;
+        }
+    } catch (error) {
+        // 标签损坏不影响音频加载
+    }
+    return null;
+}
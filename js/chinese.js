@@ -0,0 +1,174 @@
+// 中文文件名匹配辅助：繁简折叠与拼音转写（仅覆盖歌名中的常用字，未收录的字原样保留）
+
+// 繁体 → 简体，每项为“繁简”两个字
+const TRADITIONAL_PAIRS = `
+這这 個个 們们 來来 時时 為为 說说 會会 愛爱 無无 過过 裡里 裏里 沒没 還还 讓让 給给 夢梦 點点
+從从 對对 現现 發发 經经 麼么 樣样 遠远 樂乐 歡欢 聽听 開开 見见 東东 頭头 長长 門门 間间 問问
+聲声 淚泪 雲云 記记 離离 別别 溫温 單单 嗎吗 憶忆 憂忧 傷伤 戀恋 聯联 歲岁 風风 飛飞 鳥鸟 魚鱼
+龍龙 鳳凤 華华 國国 語语 詞词 譯译 讀读 寫写 書书 畫画 話话 誰谁 請请 謝谢 認认 識识 該该 試试
+詩诗 實实 寶宝 將将 專专 導导 壽寿 錯错 鐘钟 鍾钟 錢钱 鐵铁 銀银 鏡镜 錄录 針针 鑰钥 關关 閉闭
+閃闪 闊阔 陽阳 陰阴 陳陈 陸陆 隨随 險险 隱隐 雙双 雞鸡 雜杂 難难 電电 靈灵 靜静 頁页 順顺 須须
+顧顾 願愿 類类 顯显 顏颜 題题 額额 飄飘 飯饭 飲饮 館馆 馬马 駕驾 騎骑 驚惊 體体 髮发 鬆松 鬥斗
+鬧闹 鮮鲜 鳴鸣 鴨鸭 鵝鹅 鶴鹤 麗丽 黃黄 齊齐 齒齿 龜龟 亂乱 倫伦 偉伟 傳传 億亿 僅仅 優优 兒儿
+兩两 內内 凍冻 劃划 劍剑 勁劲 動动 務务 勝胜 勞劳 勢势 勵励 區区 協协 卻却 厭厌 參参 變变 叢丛
+號号 嘆叹 歎叹 嚴严 團团 園园 圍围 圖图 圓圆 聖圣 場场 塊块 塵尘 壓压 壞坏 壯壮 處处 備备 夠够
+奪夺 奮奋 婦妇 媽妈 孫孙 學学 寧宁 審审 寬宽 尋寻 屬属 島岛 幣币 帥帅 師师 帶带 幫帮 幹干 幾几
+廣广 庫库 廟庙 廳厅 張张 強强 當当 彎弯 徑径 復复 徵征 憐怜 態态 慣惯 慘惨 慶庆 應应 懷怀 戰战
+戲戏 戶户 掃扫 掛挂 揮挥 換换 損损 搖摇 擇择 擁拥 擊击 擔担 據据 擠挤 擴扩 攝摄 敵敌 數数 斷断
+於于 晝昼 暫暂 曆历 歷历 極极 楊杨 樓楼 標标 機机 橫横 檢检 權权 歸归 殘残 殺杀 氣气 漢汉 湯汤
+溝沟 滅灭 滿满 漁渔 潔洁 潛潜 澤泽 濃浓 濕湿 灣湾 燈灯 燒烧 營营 爐炉 爭争 爺爷 牆墙 犧牺 獨独
+獲获 穫获 獸兽 環环 產产 畢毕 異异 療疗 瘋疯 盡尽 監监 盤盘 眾众 衆众 睜睁 確确 禮礼 禪禅 種种
+稱称 穩稳 窮穷 競竞 筆笔 節节 範范 築筑 簡简 籃篮 糧粮 紀纪 約约 紅红 紋纹 純纯 紙纸 級级 細细
+終终 組组 結结 絕绝 絲丝 綠绿 維维 網网 緊紧 線线 緣缘 編编 練练 縣县 總总 織织 繞绕 繪绘 繼继
+續续 纏缠 罷罢 習习 聞闻 聰聪 職职 肅肃 腦脑 腳脚 臉脸 臨临 興兴 舊旧 艱艰 藝艺 莊庄 萬万 葉叶
+蓋盖 蒼苍 蓮莲 蘇苏 甦苏 蘭兰 蟲虫 蝦虾 螢萤 補补 裝装 製制 複复 襯衬 規规 視视 親亲 覺觉 覽览
+觀观 計计 訂订 討讨 訓训 訪访 許许 設设 訴诉 評评 詳详 誇夸 誤误 課课 調调 談谈 論论 諾诺 謀谋
+講讲 謠谣 證证 護护 讚赞 豐丰 豬猪 貓猫 貝贝 負负 財财 貨货 貧贫 責责 貴贵 買买 費费 貼贴 賀贺
+資资 賊贼 賓宾 賞赏 賣卖 賴赖 贏赢 趕赶 趙赵 跡迹 蹟迹 踐践 車车 軍军 軟软 輕轻 載载 輝辉 輪轮
+輸输 轉转 辦办 辭辞 農农 邊边 連连 進进 運运 達达 違违 遙遥 適适 遲迟 遺遗 選选 邏逻 鄉乡 鄰邻
+醫医 醜丑 釋释 釘钉 鈴铃 鉛铅 銅铜 鋒锋 鋼钢 錦锦 鍵键 鎖锁 鎮镇 閒闲 閣阁 閱阅 闖闯 隊队 陣阵
+際际 隻只 雖虽 雛雏 霧雾 韓韩 響响 頂顶 項项 領领 頻频 顆颗 飢饥 餓饿 餘余 驗验 驅驱 騙骗 髒脏
+鬱郁 麥麦 黨党 齡龄 劉刘 嘗尝 嘩哗 憑凭 擺摆 曉晓 殼壳 濤涛 煙烟 爛烂 獎奖 瞭了 禍祸 稅税 窩窝
+糾纠 紛纷 綁绑 緩缓 縮缩 罰罚 羨羡 聳耸 膽胆 臺台 檯台 颱台 與与 舉举 藍蓝 蝸蜗 蠟蜡 衛卫 衝冲
+襪袜 誠诚 誕诞 諒谅 諸诸 謊谎 謎谜 謙谦 豈岂 賜赐 賭赌 趨趋 躍跃 軌轨 較较 輔辅 輩辈 辯辩 邁迈
+遞递 鄭郑 醬酱 鉤钩 銷销 鋪铺 錶表 鍋锅 鍊炼 煉炼 鏈链 韻韵 頓顿 頌颂 預预 頸颈 頰颊 顫颤 飽饱
+飾饰 餅饼 餵喂 饒饶 駐驻 駛驶 騰腾 驕骄 驢驴 鬍胡 鴉鸦 鵬鹏 鷹鹰 麵面 黴霉 齣出 蕭萧 暈晕 曬晒
+燦灿 爍烁 燭烛 靂雳 螞蚂 蠻蛮 滄沧 漸渐 灑洒 濺溅 淺浅 塗涂 墳坟 壩坝 嬌娇 寵宠 屆届 岡冈 崗岗
+嶺岭 巖岩 廢废 彈弹 彌弥 徹彻 悅悦 悶闷 惡恶 惱恼 愴怆 慮虑 憤愤 懶懒 懸悬 懼惧 挾挟 捨舍 掙挣
+揚扬 搶抢 攜携 敗败 敘叙 斬斩 暉晖 暢畅 曇昙 棄弃 棟栋 榮荣 槍枪 樹树 橋桥 歐欧 決决 況况 淨净
+淵渊 湧涌 準准 滯滞 滲渗 漲涨 潑泼 瀟潇 灘滩 災灾 烏乌 熱热 爾尔 牽牵 狀状 狹狭 猶犹 獄狱 瑪玛
+瓊琼 疊叠 瘡疮 皺皱 盃杯 盜盗 睏困 矯矫 碼码 磚砖 祿禄 禱祷 穀谷 窯窑 竄窜 筍笋 箏筝 簾帘 籠笼
+紗纱 紹绍 絨绒 綿绵 綢绸 緒绪 縫缝 繩绳 羅罗 翹翘 脅胁 脫脱 腫肿 膚肤 艙舱 荊荆 莖茎 萊莱 蔣蒋
+薦荐 薩萨 藥药 蘋苹 虛虚 蝕蚀 覓觅 訊讯 詠咏 誌志 誦诵 謂谓 謹谨 譜谱 議议 豎竖 貢贡 貫贯 貸贷
+賦赋 賢贤 賺赚 購购 贈赠 蹤踪 軸轴 輛辆 轎轿 辮辫 迴回 週周 遊游 遜逊 醞酝 釀酿 鈔钞 鈕钮 銘铭
+鋁铝 錘锤 鏟铲 闆板 闡阐 陝陕 韋韦 頑顽 頒颁 頗颇 頹颓 顛颠 颶飓 饋馈 馮冯 駁驳 駝驼 騷骚 驟骤
+鬢鬓 魯鲁 鯨鲸 鳩鸠 鴻鸿 鶯莺 鷗鸥 齋斋 龐庞 後后 係系 繫系 祕秘 彙汇 匯汇 嗚呜 噸吨 嚮向 執执
+堅坚 報报 墜坠 壘垒 壺壶 夾夹 奧奥 婁娄 嫻娴 寢寝 層层 嶄崭 巔巅 帳帐 幟帜 廂厢 廬庐 恆恒 慚惭
+憫悯 懇恳 拋抛 捲卷 揀拣 搗捣 撈捞 撐撑 撥拨 撫抚 撲扑 擬拟 擾扰 攤摊 斂敛 朧胧 桿杆 棧栈 楓枫
+槓杠 樁桩 檔档 櫃柜 欄栏 櫻樱 欖榄 殤殇 毀毁 淒凄 淪沦 渦涡 測测 湊凑 滾滚 漣涟 澀涩 瀾澜 煩烦
+熒荧 燙烫 燼烬 猙狰 獅狮 瑣琐 璽玺 疇畴 癒愈 皚皑 盞盏 礙碍 礦矿 禦御 禿秃 竅窍 簍篓 籤签 紐纽
+絢绚 綜综 綺绮 緋绯 緻致 縱纵 繃绷 繡绣 纖纤 罵骂 聶聂 脈脉 脣唇 腸肠 膩腻 臘腊 艷艳 豔艳 薑姜
+薔蔷 蘆芦 蘊蕴 虧亏 蛻蜕 蠶蚕 褲裤 襖袄 觸触 訝讶 詐诈 詢询 諧谐 謬谬 譏讥 譴谴 貞贞 貪贪 賠赔
+質质 輯辑 轟轰 遷迁 遼辽 鄧邓 釣钓 鈍钝 銳锐 鋤锄 鍛锻 鏽锈 鑑鉴 鑒鉴 鑽钻 閨闺 隴陇 霽霁 靄霭
+鞏巩 頃顷 饞馋 駭骇 骯肮 鰻鳗 鱗鳞 鳶鸢 鴿鸽 鵲鹊 鸚鹦 裊袅 蓽荜 綻绽 嬰婴 纓缨
+`;
+
+// 拼音（不带声调，ü 记作 v）→ 汉字；多音字只收录歌名中最常见的读音
+const PINYIN_TABLE = {
+    a: '阿啊', ai: '爱哀挨埃矮艾碍唉哎癌蔼皑霭', an: '安暗岸按案俺鞍黯', ang: '昂肮', ao: '奥傲熬澳袄凹翱',
+    ba: '把八吧爸巴拔霸罢坝芭扒叭疤靶', bai: '白百败摆拜柏佰', ban: '半办般板班伴搬版扮瓣斑拌颁绊',
+    bang: '帮棒邦榜膀绑磅傍', bao: '报包保宝抱暴爆薄饱堡胞豹鲍苞褒雹', bei: '被北备背杯悲辈贝倍碑卑狈惫焙',
+    ben: '本奔笨', beng: '崩蹦绷泵迸', bi: '比必笔闭避逼鼻壁毕彼币碧蔽弊臂庇敝痹毙荜', bian: '边变便遍编辩鞭扁辨贬辫',
+    biao: '表标彪', bie: '别憋', bin: '宾滨彬斌濒鬓', bing: '并病兵冰饼丙柄秉炳', bo: '波博播伯勃拨剥玻泊驳搏脖舶渤',
+    bu: '不部步布补捕卜怖簿埠哺', ca: '擦', cai: '才采财菜彩材猜裁睬踩', can: '参残惨餐灿蚕惭', cang: '藏仓苍舱沧',
+    cao: '草曹操槽糙', ce: '策测侧册厕', ceng: '曾层蹭', cha: '查差茶插察叉岔诧刹', chai: '柴拆',
+    chan: '产缠颤蝉馋铲阐禅', chang: '长常场唱厂尝肠畅昌倡偿敞', chao: '朝超潮吵炒抄巢钞嘲', che: '车彻扯撤澈',
+    chen: '陈沉晨尘臣趁衬辰', cheng: '成城程称承乘诚呈撑惩橙澄秤逞', chi: '吃持迟池尺赤齿斥翅痴驰耻炽',
+    chong: '冲虫充崇宠', chou: '抽愁丑仇筹酬绸瞅臭畴', chu: '出处初除础楚触储厨锄雏', chuan: '传穿船川串喘',
+    chuang: '窗床创闯疮怆', chui: '吹垂锤炊', chun: '春纯唇醇蠢', chuo: '戳绰', ci: '此次词刺瓷慈辞雌磁赐',
+    cong: '从匆丛聪葱', cou: '凑', cu: '粗促醋簇', cuan: '窜篡', cui: '催脆翠崔摧', cun: '存村寸', cuo: '错措搓挫',
+    da: '大打达答搭', dai: '代带待戴袋呆贷逮殆', dan: '但单担蛋淡丹胆旦诞耽', dang: '当党荡档挡',
+    dao: '到道倒导刀岛盗稻蹈悼祷捣', de: '的得德', deng: '等灯登邓瞪凳', di: '地第低敌底弟帝递滴迪笛抵堤蒂',
+    dian: '点电店典殿颠垫淀惦甸巅', diao: '调掉吊雕钓', die: '跌爹叠蝶碟', ding: '定顶丁订钉盯鼎', diu: '丢',
+    dong: '动东懂冬洞冻栋董', dou: '都斗豆逗抖陡兜', du: '度读独毒督渡肚赌杜堵妒镀', duan: '段断短端锻',
+    dui: '对队堆兑', dun: '顿吨蹲盾敦炖钝', duo: '多夺朵躲堕舵', e: '饿额恶俄鹅蛾厄扼娥', ei: '诶', en: '恩嗯',
+    er: '而二儿耳尔', fa: '发法罚乏伐阀', fan: '反饭犯凡范翻烦繁返泛帆番藩', fang: '方放房防访仿芳纺坊妨',
+    fei: '非飞费肥废菲肺匪沸妃绯', fen: '分份粉纷奋愤芬坟焚', feng: '风封丰峰疯锋逢奉缝凤讽枫蜂冯', fo: '佛', fou: '否',
+    fu: '服府父夫福复副付富负妇符浮扶伏腐赴辅抚幅肤傅覆俘拂芙赋', ga: '嘎', gai: '该改概盖钙', gan: '感干敢赶甘肝杆竿',
+    gang: '刚钢港岗纲缸冈杠', gao: '高告搞稿糕', ge: '个各歌哥格隔革割阁鸽葛搁', gei: '给', gen: '根跟', geng: '更耕耿',
+    gong: '工公共功供宫攻恭弓巩贡拱', gou: '够构狗沟购勾钩', gu: '故古股顾骨谷孤鼓固姑雇估辜菇', gua: '挂瓜刮寡',
+    guai: '怪乖拐', guan: '关管观官馆惯冠贯灌罐', guang: '光广逛', gui: '规贵归鬼柜轨跪桂龟瑰闺', gun: '滚棍',
+    guo: '国过果锅郭裹', ha: '哈', hai: '还海孩害亥骇', han: '汉含寒喊汗韩罕憾翰', hang: '航杭', hao: '好号毫豪耗浩郝',
+    he: '和合河何喝核盒贺荷赫禾鹤', hei: '黑嘿', hen: '很恨狠痕', heng: '横恒衡哼', hong: '红洪宏虹轰哄鸿',
+    hou: '后候厚猴喉吼', hu: '护湖乎呼户互胡虎忽壶糊狐蝴葫弧', hua: '话化花华画划滑哗', huai: '怀坏淮徊',
+    huan: '欢换环缓患幻唤焕', huang: '黄皇荒慌晃谎煌恍凰', hui: '会回灰挥辉毁汇惠慧悔绘徽恢晖', hun: '婚混魂昏浑',
+    huo: '活或火获货伙霍惑祸', ji: '几机己及记级即极基集济计技际积击纪急继既激挤寂季忌吉籍迹肌饥疾辑鸡姬绩寄祭剂讥霁',
+    jia: '家加价假架佳甲夹嘉驾嫁贾颊', jian: '见间件建简坚剑渐健尖检键肩减舰荐监箭艰践鉴兼茧拣捡煎溅',
+    jiang: '将江讲奖降蒋疆酱僵浆桨姜', jiao: '教交角叫较脚骄焦胶郊搅娇浇椒狡饺矫轿', jie: '接解界结街节姐阶借介杰洁戒届揭截劫皆捷',
+    jin: '进今金近尽仅紧禁劲津锦斤筋谨晋浸烬', jing: '经京精境静竟景警镜净敬井惊径晶荆鲸睛颈竞茎', jiong: '窘炯',
+    jiu: '就九旧究酒久救纠揪舅玖鸠', ju: '局据举具居巨句聚剧拒俱距菊鞠橘拘惧飓', juan: '卷捐娟倦绢', jue: '觉决绝掘诀爵',
+    jun: '军均君俊峻菌骏', ka: '卡咖', kai: '开凯慨楷', kan: '看刊砍堪侃坎', kang: '康抗扛炕慷', kao: '考靠烤拷',
+    ke: '可科克客刻课颗渴壳柯棵咳坷', ken: '肯恳啃垦', keng: '坑', kong: '空孔控恐', kou: '口扣寇',
+    ku: '苦哭库裤酷枯窟', kua: '夸跨垮', kuai: '快块筷', kuan: '宽款', kuang: '况狂矿框旷眶', kui: '亏愧溃葵魁馈',
+    kun: '困昆捆', kuo: '扩括阔廓', la: '拉啦辣蜡腊喇', lai: '来赖莱', lan: '蓝兰烂拦篮懒栏澜揽览滥榄',
+    lang: '浪狼郎朗廊', lao: '老劳牢捞姥', le: '了乐勒', lei: '类泪累雷蕾垒', leng: '冷愣',
+    li: '里理力利立李历离例礼丽黎粒厉励璃梨莉狸荔篱吏隶雳', lia: '俩', lian: '连联脸练恋莲怜炼帘链廉敛涟',
+    liang: '两量亮良凉梁粮辆谅', liao: '料聊疗辽寥', lie: '列烈裂猎劣', lin: '林临邻淋琳磷鳞凛',
+    ling: '领另令灵零铃龄凌玲岭陵', liu: '六流留刘柳溜琉硫', long: '龙隆笼拢陇聋胧', lou: '楼漏搂娄篓',
+    lu: '路陆录露鹿炉卢鲁芦禄庐', lv: '绿律率旅虑履屡驴吕铝', luan: '乱卵', lve: '略掠', lun: '论轮伦沦',
+    luo: '落罗洛络逻萝螺骆', ma: '马吗妈麻嘛码骂玛蚂', mai: '买卖麦迈埋脉', man: '满慢漫蛮瞒曼馒鳗', mang: '忙芒盲茫',
+    mao: '毛冒猫帽貌茂矛', me: '么', mei: '没每美妹梅眉媒煤霉玫枚', men: '们门闷', meng: '梦蒙猛盟萌孟',
+    mi: '米密迷秘蜜谜弥眯觅', mian: '面免棉眠绵', miao: '秒妙描苗庙渺', mie: '灭蔑', min: '民敏悯', ming: '明名命鸣铭',
+    miu: '谬', mo: '模末莫默摸磨魔墨漠陌寞抹膜', mou: '某谋', mu: '目母木幕慕暮牧墓募姆', na: '那拿哪纳娜',
+    nai: '乃奶耐', nan: '南难男', nang: '囊', nao: '脑闹恼', ne: '呢', nei: '内', nen: '嫩', neng: '能',
+    ni: '你尼泥逆拟腻', nian: '年念', niang: '娘酿', niao: '鸟尿袅', nie: '聂', nin: '您', ning: '宁凝', niu: '牛扭纽钮',
+    nong: '农弄浓', nu: '努怒奴', nv: '女', nuan: '暖', nuo: '诺挪', o: '哦噢', ou: '欧偶鸥', pa: '怕爬帕',
+    pai: '派排拍牌', pan: '盘判盼攀叛畔', pang: '旁胖庞', pao: '跑炮泡抛袍', pei: '配陪培佩赔', pen: '喷盆',
+    peng: '朋碰鹏捧蓬棚澎膨', pi: '皮批疲脾匹屁披譬', pian: '片篇偏骗', piao: '飘票漂', pin: '品贫拼频聘',
+    ping: '平评凭瓶苹屏萍', po: '破迫坡泼婆颇魄', pu: '普铺扑朴谱浦葡',
+    qi: '起其期气七奇器齐妻骑棋旗企启弃汽泣欺漆岂戚祈栖凄绮', qia: '恰洽', qian: '前千钱浅签迁牵欠潜谦遣歉铅谴',
+    qiang: '强墙枪抢腔蔷', qiao: '桥巧悄敲瞧乔翘俏窍', qie: '切且窃怯', qin: '亲琴勤侵秦禽寝芹',
+    qing: '情请青清轻倾庆晴卿顷', qiong: '穷琼', qiu: '求秋球丘囚', qu: '去取区曲趣屈驱渠娶趋',
+    quan: '全权圈泉劝拳犬券', que: '却确缺雀鹊', qun: '群裙', ran: '然燃染冉', rang: '让嚷壤', rao: '绕扰饶',
+    re: '热惹', ren: '人认任仁忍刃', reng: '仍扔', ri: '日', rong: '容荣融溶绒蓉', rou: '肉柔揉', ru: '如入乳辱儒',
+    ruan: '软', rui: '锐瑞蕊', run: '润闰', ruo: '若弱', sa: '撒洒萨', sai: '赛塞腮', san: '三散伞', sang: '桑丧嗓',
+    sao: '扫嫂骚', se: '色涩瑟', sen: '森', sha: '沙杀傻啥纱鲨', shai: '晒筛', shan: '山善闪扇衫杉珊陕',
+    shang: '上商伤尚赏裳殇', shao: '少烧绍稍哨勺', she: '社设射舍蛇摄涉', shei: '谁', shen: '身深神什甚申伸沈审慎肾婶渗',
+    sheng: '生声胜省升圣盛剩绳牲', shi: '是时事十使世市实式始识史失士师示室视石施试诗湿食势释适拾饰逝誓狮尸驶蚀',
+    shou: '手受收首守授售寿瘦兽', shu: '书数树属术输束述熟叔舒殊鼠梳疏蔬淑竖', shua: '刷耍', shuai: '帅摔衰甩',
+    shuan: '拴栓', shuang: '双霜爽', shui: '水睡税', shun: '顺瞬', shuo: '说硕烁', si: '四死思斯司丝似私寺撕肆',
+    song: '送松宋颂诵耸', sou: '搜艘', su: '素速诉苏宿塑俗肃酥', suan: '算酸蒜', sui: '随虽岁碎遂隧穗',
+    sun: '孙损笋', suo: '所索锁缩琐', ta: '他她它踏塔塌', tai: '太台态泰抬胎', tan: '谈探弹叹坦贪摊滩坛昙',
+    tang: '堂糖唐汤躺趟烫塘', tao: '套逃讨桃陶涛淘掏', te: '特', teng: '疼腾藤', ti: '体提题替梯踢啼蹄',
+    tian: '天田甜填添', tiao: '条跳挑', tie: '铁贴', ting: '听停庭挺厅亭婷', tong: '同通统痛童铜桶筒彤',
+    tou: '头投透偷', tu: '突图土徒途涂吐兔秃', tuan: '团', tui: '推退腿颓蜕', tun: '吞屯', tuo: '脱托拖妥拓驼',
+    wa: '哇挖娃瓦袜', wai: '外歪', wan: '万完晚玩碗湾弯挽婉丸顽', wang: '王望往网忘亡旺汪妄',
+    wei: '为位未委维围味卫微危威伟尾唯违谓慰胃伪薇喂韦', wen: '问文温闻稳纹吻', weng: '翁', wo: '我握卧窝沃喔蜗涡',
+    wu: '无五物务午舞雾屋武吴误悟伍污乌巫吾呜', xi: '西系喜息希习细席戏稀吸洗惜溪昔夕熙悉析袭牺玺',
+    xia: '下夏吓峡侠霞虾瞎狭', xian: '先现线限显险县鲜仙闲献弦陷嫌羡贤掀娴纤', xiang: '想向相香像乡响项箱享详祥翔湘巷厢',
+    xiao: '小笑消校效晓销萧孝肖潇', xie: '些写谢鞋协斜泄携邪挟胁谐', xin: '新心信欣辛薪馨芯', xing: '行性星形兴醒幸姓型刑杏',
+    xiong: '雄兄胸凶熊汹', xiu: '修秀休袖绣羞朽锈', xu: '需许续须序徐虚叙绪旭蓄', xuan: '选宣旋悬玄轩炫绚',
+    xue: '学雪血穴靴', xun: '寻训迅讯询巡循逊熏', ya: '呀压牙亚雅鸭芽崖哑鸦讶',
+    yan: '眼言研严验烟演延颜盐沿岩宴艳炎焰雁燕厌咽', yang: '样阳洋养羊扬央仰杨氧痒', yao: '要药摇遥腰邀咬谣耀妖钥窑',
+    ye: '也夜业叶爷野页液耶', yi: '一以已意义议易医依衣移亿艺忆益异疑宜仪椅遗乙译役亦毅谊翼伊',
+    yin: '因音引印银隐阴饮吟寅', ying: '应影英营硬迎赢映鹰樱莹盈萤婴缨莺荧鹦', yo: '哟', yong: '用永勇涌拥庸咏泳',
+    you: '有又由友油游右优尤幽邮犹忧悠诱幼', yu: '于与语雨鱼遇育预玉域余欲愈宇羽愉渔娱御裕豫狱郁浴寓愚予',
+    yuan: '员原元远院愿圆园源缘怨援袁渊冤苑鸢', yue: '月越约跃阅悦岳粤', yun: '云运允孕韵晕匀蕴酝', za: '杂砸',
+    zai: '在再载灾栽仔宰', zan: '咱赞暂', zang: '脏葬', zao: '早造遭澡糟枣燥躁灶', ze: '则责泽择', zei: '贼',
+    zen: '怎', zeng: '增赠', zha: '扎炸闸眨诈榨渣', zhai: '摘窄债宅寨斋', zhan: '站展战占沾斩盏崭绽栈',
+    zhang: '张章掌丈帐障涨账仗杖', zhao: '找照招召兆沼赵罩', zhe: '这着者折哲遮浙', zhen: '真针阵镇震珍枕振贞侦诊',
+    zheng: '正争整证政征挣症郑睁蒸筝狰', zhi: '之只知制至直指治支值志止纸职质织执智置植致枝旨汁脂肢芝稚滞掷帜',
+    zhong: '中种重众终钟忠肿仲衷', zhou: '周州洲舟粥宙皱昼骤轴', zhu: '主住注助著竹朱猪珠柱祝逐烛筑驻嘱诸株',
+    zhua: '抓', zhuan: '转专砖赚', zhuang: '装状壮庄撞妆桩', zhui: '追坠缀', zhun: '准', zhuo: '桌捉卓浊灼琢',
+    zi: '子自字资紫姿滋籽', zong: '总宗综纵踪棕', zou: '走奏揍邹', zu: '组族足祖阻租', zuan: '钻',
+    zui: '最嘴醉罪', zun: '尊遵', zuo: '作做坐左座昨'
+};
+
+const SIMPLIFIED_MAP = new Map();
+TRADITIONAL_PAIRS.trim().split(/\s+/).forEach(pair => {
+    const [traditional, simplified] = Array.from(pair);
+    SIMPLIFIED_MAP.set(traditional, simplified);
+});
+
+const PINYIN_MAP = new Map();
+Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+    Array.from(chars).forEach(ch => {
+        if (!PINYIN_MAP.has(ch)) PINYIN_MAP.set(ch, syllable);
+    });
+});
+
+const HAN_PATTERN = /[㐀-鿿]/;
+
+export function containsHan(text) {
+    return HAN_PATTERN.test(String(text || ''));
+}
+
+// 繁体字折叠为简体，其余字符不变
+export function toSimplified(text) {
+    return Array.from(String(text || ''), ch => SIMPLIFIED_MAP.get(ch) || ch).join('');
+}
+
+// 汉字转为无声调拼音并直接连写（如“夜曲”→“yequ”），非汉字原样保留
+export function toPinyin(text) {
+    return Array.from(toSimplified(text), ch => PINYIN_MAP.get(ch) || ch).join('');
+}
@@ -10,9 +10,65 @@ export const CONFIG = {
     THROTTLE: {
         LYRICS_UPDATE: 50       // 歌词更新节流间隔
     },
+    // 音频同步配置
+    AUDIO_SYNC: {
+        MAX_EXTRAPOLATION: 0.3  // 音频时间未更新时最多向前推算的时长 (秒)，超过则等待音频时钟
+    },
     // 歌词解析配置
     LRC: {
         APPLY_OFFSET: true,     // 是否应用 [offset] 偏移
-        MERGE_DUPLICATES: true  // 是否合并同时间戳歌词
+        MERGE_DUPLICATES: true, // 是否合并同时间戳歌词
+        LAST_WORD_DURATION: 1   // 逐字歌词末字缺少结束标签时的默认时长 (秒)
+    },
+    // 本地曲库配置
+    LIBRARY: {
+        SAVE_DELAY: 1000        // 列表变化后延迟保存的时间 (ms)
+    },
+    // 歌词与音频匹配配置
+    MATCHING: {
+        MIN_SCORE: 0.7,         // 自动匹配的最低分数 (0-1)
+        REVIEW_CANDIDATES: 3    // 匹配审核中显示的备选数量
+    },
+    // 歌曲封面背景配置
+    COVER: {
+        FILE_NAMES: ['cover', 'folder', 'front'] // 作为文件夹封面的图片文件名 (不含扩展名，小写)
+    },
+    // 背景切换配置
+    BACKGROUND: {
+        CROSSFADE_DURATION: 800, // 切歌时背景淡入淡出时长 (ms)
+        VIDEO_DRIFT: 0.3,        // 背景视频跟随进度时允许的最大偏差 (秒)
+        TIME_SYNC_INTERVAL: 500  // 向投影输出窗口发送播放时间的间隔 (ms)
+    },
+    // 音频可视化配置
+    VISUALIZER: {
+        FFT_SIZE: 2048,         // AnalyserNode 的 FFT 大小
+        SMOOTHING: 0.8,         // 频谱平滑系数 (0-1)
+        BAR_COUNT: 64,          // 频谱模式的柱数
+        VU_BANDS: 16,           // LED 电平柱的频段数
+        VU_SEGMENTS: 24,        // 每根 LED 电平柱的方块数
+        PEAK_FALL: 0.3          // 峰值每帧回落的方块数
+    },
+    // 滚动歌词视图配置
+    SCROLL_LYRICS: {
+        DURATION: 0.6           // 切换到新一行时的滚动时长 (秒)
+    },
+    // LED 点阵渲染配置
+    LED_MATRIX: {
+        FONT_RATIO: 0.8,        // 字号占点阵行数的比例
+        THRESHOLD: 64,          // 亮度低于该值的点熄灭 (0-255)
+        BRIGHTNESS_LEVELS: 4,   // 点亮的点分几档亮度
+        DOT_FILL: 0.8,          // 点直径占点距的比例
+        OFF_DOT_ALPHA: 0.08,    // 熄灭的点的可见度
+        SCROLL_SPEED: 48,       // 长句滚动速度 (点/秒)
+        SCROLL_HOLD: 1          // 长句滚动前后的停留时间 (秒)
+    },
+    // 演出监听屏配置
+    MONITOR: {
+        UPCOMING_LINES: 4       // 显示的后续歌词行数
+    },
+    // 歌词打轴编辑器配置
+    EDITOR: {
+        NUDGE_STEP: 0.1,        // 单次微调步长 (秒)
+        UNDO_LIMIT: 50          // 最多保留的撤销步数
     }
 };
@@ -0,0 +1,145 @@
+// 歌词文本编码检测：BOM → UTF-16 零字节特征 → 严格 UTF-8 → 旧版中日文编码打分
+
+// 播放列表中可手动选择的编码
+export const TEXT_ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'gbk', label: 'GBK' },
+    { value: 'big5', label: 'Big5' },
+    { value: 'shift_jis', label: 'Shift_JIS' },
+    { value: 'utf-16le', label: 'UTF-16LE' },
+    { value: 'utf-16be', label: 'UTF-16BE' }
+];
+
+// 无 BOM 时参与打分的旧版编码，得分相同时靠前者优先
+const LEGACY_ENCODINGS = ['gbk', 'big5', 'shift_jis'];
+
+// 嗅探时最多检查的字节数，长文件只看开头即可
+const SNIFF_LIMIT = 64 * 1024;
+
+// 歌词中的高频汉字（简繁两套），正确解码时命中率远高于乱码
+const COMMON_HAN = new Set(Array.from(
+    '的一是不了我你他她在有人个们来到时大地为子中上说生也就要会可以天心爱情想没看还好多过里去那把让用给得着梦风花雨月夜光日年无回走开真再等最只谁自己什么样如果永远起快乐世界' +
+    '们这个来时为说会爱无过里没还让给梦点从对现发经么样远乐欢听开见东头长门间问声' +
+    '們這個來時為說會愛無過裡沒還讓給夢點從對現發經麼樣遠樂歡聽開見東頭長門間問聲' +
+    '今明星空海雪山水云雲家路手眼泪淚笑哭吗嗎呢吧啊哦陪忘记記得离開離别別思念温溫暖寂寞孤单單相遇唱歌曲'
+));
+
+function toBytes(buffer) {
+    if (buffer instanceof Uint8Array) return buffer;
+    if (ArrayBuffer.isView(buffer)) {
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+    return new Uint8Array(buffer || 0);
+}
+
+function detectBom(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return 'utf-8';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return 'utf-16le';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+// 无 BOM 的 UTF-16：ASCII 字符的高字节为 0，集中出现在奇数位(LE)或偶数位(BE)
+function detectUtf16(bytes) {
+    const length = Math.min(bytes.length, SNIFF_LIMIT) & ~1;
+    if (length < 4) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = length / 2;
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+    return null;
+}
+
+function isValidUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 按解码结果的“像不像正常歌词”打分：常用汉字和假名加分，替换符和私用区字符扣分
+export function scoreDecodedText(text) {
+    let score = 0;
+    for (const ch of text) {
+        const code = ch.codePointAt(0);
+        if (code === 0xFFFD) {
+            score -= 10;
+        } else if (COMMON_HAN.has(ch)) {
+            score += 3;
+        } else if (code >= 0x3040 && code <= 0x30FF) {
+            score += 2;
+        } else if (code >= 0xFF61 && code <= 0xFF9F) {
+            score -= 1;
+        } else if (code >= 0xE000 && code <= 0xF8FF) {
+            score -= 5;
+        }
+    }
+    return score;
+}
+
+export function detectEncoding(buffer) {
+    const bytes = toBytes(buffer);
+
+    const bomEncoding = detectBom(bytes);
+    if (bomEncoding) return bomEncoding;
+
+    const utf16Encoding = detectUtf16(bytes);
+    if (utf16Encoding) return utf16Encoding;
+
+    // 纯 ASCII 也是合法 UTF-8
+    if (isValidUtf8(bytes)) return 'utf-8';
+
+    const legacy = detectLegacyEncoding(bytes);
+    return legacy ? legacy.encoding : 'utf-8';
+}
+
+// 旧版中日文编码中得分最高的一种 { encoding, score }，运行环境都不支持时返回 null；
+// 调用方可按得分判断结果是否可信
+export function detectLegacyEncoding(buffer) {
+    const sample = toBytes(buffer).subarray(0, SNIFF_LIMIT);
+    let best = null;
+    LEGACY_ENCODINGS.forEach(encoding => {
+        let text;
+        try {
+            text = new TextDecoder(encoding).decode(sample);
+        } catch (error) {
+            return; // 运行环境不支持该编码
+        }
+        const score = scoreDecodedText(text);
+        if (!best || score > best.score) {
+            best = { encoding, score };
+        }
+    });
+    return best;
+}
+
+// 解码字节内容；未指定编码时自动检测，返回实际使用的编码
+export function decodeText(buffer, encoding = null) {
+    const bytes = toBytes(buffer);
+    const targetEncoding = encoding || detectEncoding(bytes);
+    try {
+        return { text: new TextDecoder(targetEncoding).decode(bytes), encoding: targetEncoding };
+    } catch (error) {
+        return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8' };
+    }
+}
+
+export function getEncodingLabel(encoding) {
+    const option = TEXT_ENCODINGS.find(item => item.value === encoding);
+    return option ? option.label : String(encoding || '').toUpperCase();
+}
@@ -0,0 +1,237 @@
+// LED 点阵渲染：把当前歌词栅格化到与实体 LED 屏相同分辨率的点阵上，在画布上逐点绘制，
+// 支持点距、点形、光晕，超出屏宽的长句水平滚动
+
+import { CONFIG } from './config.js';
+
+export const DEFAULT_LED_MATRIX_OPTIONS = {
+    enabled: false,
+    cols: 192,          // 点阵列数，与实体屏分辨率一致
+    rows: 64,           // 点阵行数
+    shape: 'round',
+    pitch: 4,           // 点距 (px)
+    bloom: 0.4          // 光晕强度 0-1
+};
+
+export const LED_MATRIX_SHAPES = ['round', 'square'];
+
+const MAX_COLS = 1024;
+const MAX_ROWS = 256;
+const MAX_CANVAS_WIDTH = 8192; // 低于各浏览器的画布尺寸上限
+
+function toNumber(value, fallback, min, max, integer = true) {
+    const number = integer ? Math.round(Number(value)) : Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// 校验并补全点阵设置，非法值回退为默认值。grid 为 '列x行' 形式的尺寸简写（预设按钮及旧版设置使用），
+// 旧版设置没有 enabled 字段，grid 不为 'off' 即视为开启
+export function normalizeLedMatrixOptions(options = {}) {
+    const defaults = DEFAULT_LED_MATRIX_OPTIONS;
+    const grid = typeof options.grid === 'string' ? options.grid.match(/^(\d+)x(\d+)$/) : null;
+    return {
+        enabled: options.enabled === undefined ? Boolean(grid) : Boolean(options.enabled),
+        cols: toNumber(grid ? grid[1] : options.cols, defaults.cols, 8, MAX_COLS),
+        rows: toNumber(grid ? grid[2] : options.rows, defaults.rows, 8, MAX_ROWS),
+        shape: LED_MATRIX_SHAPES.includes(options.shape) ? options.shape : defaults.shape,
+        pitch: toNumber(options.pitch, defaults.pitch, 2, 12),
+        bloom: toNumber(options.bloom, defaults.bloom, 0, 1, false)
+    };
+}
+
+// 把栅格化后的 RGBA 像素（每个像素对应一个点）转换为每个点的亮度 (0-255)，低于阈值的抗锯齿边缘视为熄灭
+export function sampleDotMatrix(data, width, height, threshold = CONFIG.LED_MATRIX.THRESHOLD) {
+    const dots = new Uint8Array(width * height);
+    for (let i = 0; i < dots.length; i++) {
+        const alpha = data[i * 4 + 3];
+        dots[i] = alpha >= threshold ? alpha : 0;
+    }
+    return dots;
+}
+
+// 文字在点阵中的水平偏移（单位：点）。放得下时居中；放不下时先停留，再匀速滚到末尾，停留后从头循环
+export function getMarqueeOffset(textWidth, cols, elapsed, speed = CONFIG.LED_MATRIX.SCROLL_SPEED, hold = CONFIG.LED_MATRIX.SCROLL_HOLD) {
+    if (textWidth <= cols) return Math.floor((cols - textWidth) / 2);
+
+    const distance = textWidth - cols;
+    const scrollTime = distance / speed;
+    const t = Math.max(0, elapsed) % (hold * 2 + scrollTime);
+    if (t < hold) return 0;
+    if (t < hold + scrollTime) return -Math.floor((t - hold) * speed);
+    return -distance;
+}
+
+export class LedMatrixRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.options = { ...DEFAULT_LED_MATRIX_OPTIONS };
+        this.pitch = this.options.pitch; // 实际点距，放不下时小于设置值
+        this.text = '';
+        this.color = '#ffffff';
+        this.dots = null;         // 当前文字的点阵亮度，宽 textWidth、高 rows
+        this.textWidth = 0;
+        this.startTime = 0;       // 文字切换的时间，用于计算滚动位置
+        this.lastOffset = null;   // 偏移不变时不重绘
+        this.gridCanvas = null;   // 熄灭的点组成的底图
+        this.dotCanvas = null;    // 点亮的点，用于叠加光晕
+        this.frameId = null;
+    }
+
+    setOptions(options) {
+        this.options = normalizeLedMatrixOptions({ ...this.options, ...options });
+        this.resize();
+        this.rasterize();
+    }
+
+    // 按设置的点距确定画布尺寸；超出容器宽度或画布上限时缩小点距，容器宽度变化后需重新调用
+    resize() {
+        const { cols, rows } = this.options;
+        const container = this.canvas.parentElement;
+        const available = Math.min(MAX_CANVAS_WIDTH, container && container.clientWidth > 0 ? container.clientWidth : Infinity);
+        this.pitch = Math.max(1, Math.min(this.options.pitch, Math.floor(available / cols)));
+        this.canvas.width = cols * this.pitch;
+        this.canvas.height = rows * this.pitch;
+        this.canvas.style.width = `${cols * this.pitch}px`;
+        this.gridCanvas = null;
+        this.lastOffset = null;
+    }
+
+    setText(text, color) {
+        const nextText = text || '';
+        const nextColor = color || '#ffffff';
+        if (nextText === this.text && nextColor === this.color && this.dots) return;
+        const textChanged = nextText !== this.text;
+        this.text = nextText;
+        this.color = nextColor;
+        if (textChanged || !this.dots) {
+            this.rasterize();
+        } else {
+            this.lastOffset = null;
+        }
+    }
+
+    // 以每点一个像素把文字画到离屏画布，再按透明度采样为点阵
+    rasterize() {
+        const { rows } = this.options;
+        const source = document.createElement('canvas');
+        const ctx = source.getContext('2d');
+        const font = `700 ${Math.round(rows * CONFIG.LED_MATRIX.FONT_RATIO)}px sans-serif`;
+        ctx.font = font;
+        this.textWidth = Math.max(1, Math.ceil(ctx.measureText(this.text).width));
+
+        // 修改尺寸会重置画布状态，需要重新设置字体
+        source.width = this.textWidth;
+        source.height = rows;
+        ctx.font = font;
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(this.text, 0, rows / 2);
+
+        this.dots = sampleDotMatrix(ctx.getImageData(0, 0, this.textWidth, rows).data, this.textWidth, rows);
+        this.startTime = performance.now();
+        this.lastOffset = null;
+    }
+
+    start() {
+        if (this.frameId) return;
+        const loop = (now) => {
+            this.render(now);
+            this.frameId = requestAnimationFrame(loop);
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    render(now = performance.now()) {
+        if (!this.dots) return;
+        const offset = getMarqueeOffset(this.textWidth, this.options.cols, (now - this.startTime) / 1000);
+        if (offset === this.lastOffset) return;
+        this.lastOffset = offset;
+        this.draw(offset);
+    }
+
+    // 按点形在 (col, row) 处添加一个点的路径
+    addDotPath(ctx, col, row) {
+        const pitch = this.pitch;
+        const size = pitch * CONFIG.LED_MATRIX.DOT_FILL;
+        if (this.options.shape === 'square') {
+            ctx.rect(col * pitch + (pitch - size) / 2, row * pitch + (pitch - size) / 2, size, size);
+        } else {
+            const x = col * pitch + pitch / 2;
+            const y = row * pitch + pitch / 2;
+            ctx.moveTo(x + size / 2, y);
+            ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+        }
+    }
+
+    // 熄灭的点只随尺寸和点形变化，缓存为底图
+    buildGrid() {
+        const { cols, rows } = this.options;
+        this.gridCanvas = document.createElement('canvas');
+        this.gridCanvas.width = this.canvas.width;
+        this.gridCanvas.height = this.canvas.height;
+        const ctx = this.gridCanvas.getContext('2d');
+        ctx.fillStyle = `rgba(255, 255, 255, ${CONFIG.LED_MATRIX.OFF_DOT_ALPHA})`;
+        ctx.beginPath();
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                this.addDotPath(ctx, col, row);
+            }
+        }
+        ctx.fill();
+
+        this.dotCanvas = document.createElement('canvas');
+        this.dotCanvas.width = this.canvas.width;
+        this.dotCanvas.height = this.canvas.height;
+    }
+
+    draw(offset) {
+        if (!this.gridCanvas) this.buildGrid();
+        const { cols, rows } = this.options;
+        const levels = CONFIG.LED_MATRIX.BRIGHTNESS_LEVELS;
+
+        // 只遍历一次文字所在的列，把点亮的点按亮度分档，每档合并为一条路径绘制
+        const buckets = Array.from({ length: levels }, () => []);
+        const firstCol = Math.max(0, offset);
+        const lastCol = Math.min(cols, offset + this.textWidth);
+        for (let row = 0; row < rows; row++) {
+            for (let col = firstCol; col < lastCol; col++) {
+                const brightness = this.dots[row * this.textWidth + col - offset];
+                if (brightness) buckets[Math.ceil(brightness / 256 * levels) - 1].push(col, row);
+            }
+        }
+
+        const dotCtx = this.dotCanvas.getContext('2d');
+        dotCtx.clearRect(0, 0, this.dotCanvas.width, this.dotCanvas.height);
+        dotCtx.fillStyle = this.color;
+        buckets.forEach((dots, index) => {
+            dotCtx.globalAlpha = (index + 1) / levels;
+            dotCtx.beginPath();
+            for (let i = 0; i < dots.length; i += 2) {
+                this.addDotPath(dotCtx, dots[i], dots[i + 1]);
+            }
+            dotCtx.fill();
+        });
+        dotCtx.globalAlpha = 1;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(this.gridCanvas, 0, 0);
+        ctx.drawImage(this.dotCanvas, 0, 0);
+
+        // 光晕：把点亮的点模糊后叠加
+        if (this.options.bloom > 0) {
+            ctx.save();
+            ctx.filter = `blur(${this.pitch * 1.5}px)`;
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.globalAlpha = this.options.bloom;
+            ctx.drawImage(this.dotCanvas, 0, 0);
+            ctx.restore();
+        }
+    }
+}
@@ -0,0 +1,165 @@
+// 本地曲库持久化：歌曲数据、音频文件与背景媒体保存在 IndexedDB 中，刷新页面后自动恢复
+
+const DB_NAME = 'led_lyrics_player_library';
+const DB_VERSION = 2;
+const SONG_STORE = 'songs';             // 歌词、元数据、模式、偏移等，按 name 存储
+const AUDIO_STORE = 'audio';            // 音频 Blob/File，按歌曲 name 存储
+const BACKGROUND_STORE = 'backgrounds'; // 歌曲背景图片/视频 Blob/File，按歌曲 name 存储
+
+// 将 IDBRequest 包装为 Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 等待事务完成（写入真正落盘后才 resolve）
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+    });
+}
+
+export class LibraryStore {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SONG_STORE)) {
+                        db.createObjectStore(SONG_STORE, { keyPath: 'name' });
+                    }
+                    if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+                        db.createObjectStore(AUDIO_STORE, { keyPath: 'name' });
+                    }
+                    if (!db.objectStoreNames.contains(BACKGROUND_STORE)) {
+                        db.createObjectStore(BACKGROUND_STORE, { keyPath: 'name' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // 打开失败时允许下次重试
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // 以当前列表整体替换已保存的歌曲记录
+    async saveSongs(records) {
+        const db = await this.open();
+        const transaction = db.transaction(SONG_STORE, 'readwrite');
+        const store = transaction.objectStore(SONG_STORE);
+        store.clear();
+        records.forEach(record => store.put(record));
+        return promisifyTransaction(transaction);
+    }
+
+    // 读取歌曲记录，按保存时的顺序返回
+    async loadSongs() {
+        const db = await this.open();
+        const store = db.transaction(SONG_STORE, 'readonly').objectStore(SONG_STORE);
+        const records = await promisifyRequest(store.getAll());
+        return records.sort((a, b) => (a.order || 0) - (b.order || 0));
+    }
+
+    async saveAudio(name, file) {
+        return this.saveFile(AUDIO_STORE, name, file);
+    }
+
+    async loadAudio(name) {
+        return this.loadFile(AUDIO_STORE, name);
+    }
+
+    // 删除不在 keepNames 中的音频记录，返回删除数量
+    async pruneAudio(keepNames) {
+        return this.pruneFiles(AUDIO_STORE, keepNames);
+    }
+
+    async saveBackground(name, file) {
+        return this.saveFile(BACKGROUND_STORE, name, file);
+    }
+
+    async loadBackground(name) {
+        return this.loadFile(BACKGROUND_STORE, name);
+    }
+
+    // 删除不在 keepNames 中的背景媒体记录，返回删除数量
+    async pruneBackgrounds(keepNames) {
+        return this.pruneFiles(BACKGROUND_STORE, keepNames);
+    }
+
+    // 已保存的音频与背景媒体数量 { audio, backgrounds }
+    async countFiles() {
+        const db = await this.open();
+        const transaction = db.transaction([AUDIO_STORE, BACKGROUND_STORE], 'readonly');
+        const [audio, backgrounds] = await Promise.all([
+            promisifyRequest(transaction.objectStore(AUDIO_STORE).count()),
+            promisifyRequest(transaction.objectStore(BACKGROUND_STORE).count())
+        ]);
+        return { audio, backgrounds };
+    }
+
+    async saveFile(storeName, name, file) {
+        const db = await this.open();
+        const transaction = db.transaction(storeName, 'readwrite');
+        transaction.objectStore(storeName).put({
+            name,
+            file,
+            fileName: file.name || name,
+            size: file.size || 0
+        });
+        return promisifyTransaction(transaction);
+    }
+
+    async loadFile(storeName, name) {
+        const db = await this.open();
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        return (await promisifyRequest(store.get(name))) || null;
+    }
+
+    async pruneFiles(storeName, keepNames) {
+        const db = await this.open();
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const keys = await promisifyRequest(store.getAllKeys());
+        const staleKeys = keys.filter(key => !keepNames.has(key));
+        staleKeys.forEach(key => store.delete(key));
+        await promisifyTransaction(transaction);
+        return staleKeys.length;
+    }
+
+    // 清空整个曲库
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([SONG_STORE, AUDIO_STORE, BACKGROUND_STORE], 'readwrite');
+        transaction.objectStore(SONG_STORE).clear();
+        transaction.objectStore(AUDIO_STORE).clear();
+        transaction.objectStore(BACKGROUND_STORE).clear();
+        return promisifyTransaction(transaction);
+    }
+
+    // 浏览器存储用量估算 { usage, quota }，不支持时返回 null
+    async estimateUsage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
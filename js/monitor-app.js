@@ -0,0 +1,13 @@
+import { StageMonitor } from './stage-monitor.js';
+import { log } from './utils.js';
+
+class StageMonitorApp {
+    static init() {
+        document.addEventListener('DOMContentLoaded', () => {
+            window.stageMonitor = new StageMonitor();
+            log('演出监听屏初始化完成');
+        });
+    }
+}
+
+StageMonitorApp.init();
@@ -0,0 +1,13 @@
+import { StageOutput } from './stage-output.js';
+import { log } from './utils.js';
+
+class StageOutputApp {
+    static init() {
+        document.addEventListener('DOMContentLoaded', () => {
+            window.stageOutput = new StageOutput();
+            log('投影输出窗口初始化完成');
+        });
+    }
+}
+
+StageOutputApp.init();
@@ -0,0 +1,190 @@
+// 输出映射：把歌词舞台固定渲染到屏幕上的指定像素区域（宽高、X/Y 偏移、旋转、镜像），
+// 与浏览器窗口大小无关，供 LED 处理器按固定区域采集；附带用于对位的测试图。
+// 歌词层按固定的参考分辨率排版，再整体缩放进区域，字号不随区域大小失控
+
+export const DEFAULT_OUTPUT_MAPPING = {
+    enabled: false,
+    width: 1536,
+    height: 256,
+    x: 0,
+    y: 0,
+    scaleMode: 'device', // 'device' 按物理像素（抵消缩放与高分屏倍率），'css' 按 CSS 像素
+    rotation: 0,         // 内容旋转角度: 0 / 90 / 180 / 270
+    mirrorX: false,
+    mirrorY: false,
+    fit: 'fit',          // 歌词缩放方式: 'fit' 完整显示, 'fill' 填满后裁切, 'stretch' 拉伸
+    testPattern: false
+};
+
+// 歌词层排版使用的参考分辨率 (CSS 像素)，与常见的全屏窗口一致
+export const STAGE_REFERENCE_SIZE = { width: 1920, height: 1080 };
+
+const ROTATIONS = [0, 90, 180, 270];
+const FIT_MODES = ['fit', 'fill', 'stretch'];
+const MAX_SIZE = 16384;
+
+function toInteger(value, fallback, min, max) {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// 校验并补全映射设置，非法值回退为默认值
+export function normalizeOutputMapping(mapping = {}) {
+    const defaults = DEFAULT_OUTPUT_MAPPING;
+    return {
+        enabled: Boolean(mapping.enabled),
+        width: toInteger(mapping.width, defaults.width, 1, MAX_SIZE),
+        height: toInteger(mapping.height, defaults.height, 1, MAX_SIZE),
+        x: toInteger(mapping.x, defaults.x, 0, MAX_SIZE),
+        y: toInteger(mapping.y, defaults.y, 0, MAX_SIZE),
+        scaleMode: mapping.scaleMode === 'css' ? 'css' : 'device',
+        rotation: ROTATIONS.includes(Number(mapping.rotation)) ? Number(mapping.rotation) : 0,
+        mirrorX: Boolean(mapping.mirrorX),
+        mirrorY: Boolean(mapping.mirrorY),
+        fit: FIT_MODES.includes(mapping.fit) ? mapping.fit : defaults.fit,
+        testPattern: Boolean(mapping.testPattern)
+    };
+}
+
+// 计算舞台元素的 CSS 布局。区域按设置的像素换算为 CSS 像素；旋转 90/270 度时内容按竖向排版
+// （宽高互换），再绕中心旋转填满区域。pixelWidth/pixelHeight 为内容方向上的实际像素数；
+// contentScaleX/contentScaleY 为参考分辨率的歌词层缩放到舞台内的比例
+export function computeStageLayout(mapping, devicePixelRatio = 1) {
+    const ratio = mapping.scaleMode === 'device' ? 1 / (devicePixelRatio || 1) : 1;
+    const sideways = mapping.rotation === 90 || mapping.rotation === 270;
+    const pixelWidth = sideways ? mapping.height : mapping.width;
+    const pixelHeight = sideways ? mapping.width : mapping.height;
+    const width = pixelWidth * ratio;
+    const height = pixelHeight * ratio;
+
+    const scaleX = width / STAGE_REFERENCE_SIZE.width;
+    const scaleY = height / STAGE_REFERENCE_SIZE.height;
+    const uniform = mapping.fit === 'fill' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+
+    const transforms = [];
+    if (mapping.rotation) transforms.push(`rotate(${mapping.rotation}deg)`);
+    if (mapping.mirrorX || mapping.mirrorY) {
+        transforms.push(`scale(${mapping.mirrorX ? -1 : 1}, ${mapping.mirrorY ? -1 : 1})`);
+    }
+
+    return {
+        left: mapping.x * ratio + (mapping.width * ratio - width) / 2,
+        top: mapping.y * ratio + (mapping.height * ratio - height) / 2,
+        width,
+        height,
+        pixelWidth,
+        pixelHeight,
+        transform: transforms.join(' '),
+        contentScaleX: mapping.fit === 'stretch' ? scaleX : uniform,
+        contentScaleY: mapping.fit === 'stretch' ? scaleY : uniform
+    };
+}
+
+// 对位测试图：外框、网格、对角线、中心十字与圆、色条、尺寸与四角标记（用于确认旋转和镜像）
+export function drawTestPattern(ctx, width, height) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    // 32px 细网格，128px 粗网格
+    for (let x = 0; x <= width; x += 32) {
+        ctx.fillStyle = x % 128 === 0 ? '#555' : '#222';
+        ctx.fillRect(x, 0, 1, height);
+    }
+    for (let y = 0; y <= height; y += 32) {
+        ctx.fillStyle = y % 128 === 0 ? '#555' : '#222';
+        ctx.fillRect(0, y, width, 1);
+    }
+
+    // 色条：红、绿、蓝、青、品红、黄、白
+    const bars = ['#f00', '#0f0', '#00f', '#0ff', '#f0f', '#ff0', '#fff'];
+    const barWidth = width / bars.length;
+    const barHeight = Math.max(4, Math.round(height / 8));
+    bars.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(i * barWidth), height - barHeight - 2, Math.ceil(barWidth), barHeight);
+    });
+
+    ctx.strokeStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(width, height);
+    ctx.moveTo(width, 0);
+    ctx.lineTo(0, height);
+    ctx.stroke();
+
+    ctx.strokeStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, Math.max(1, Math.min(width, height) / 2 - 2), 0, Math.PI * 2);
+    ctx.moveTo(width / 2 - 20, height / 2 + 0.5);
+    ctx.lineTo(width / 2 + 20, height / 2 + 0.5);
+    ctx.moveTo(width / 2 + 0.5, height / 2 - 20);
+    ctx.lineTo(width / 2 + 0.5, height / 2 + 20);
+    ctx.stroke();
+
+    // 最外圈像素画 1px 边框，确认采集区域没有裁切
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, 1);
+    ctx.fillRect(0, height - 1, width, 1);
+    ctx.fillRect(0, 0, 1, height);
+    ctx.fillRect(width - 1, 0, 1, height);
+
+    const fontSize = Math.max(10, Math.min(32, Math.round(height / 8)));
+    ctx.font = `700 ${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('TL', 4, 4);
+    ctx.textAlign = 'right';
+    ctx.fillText('TR', width - 4, 4);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('BR', width - 4, height - barHeight - 6);
+    ctx.textAlign = 'left';
+    ctx.fillText('BL', 4, height - barHeight - 6);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${width}×${height}`, width / 2, height / 2 - fontSize);
+}
+
+// 把映射应用到舞台元素；关闭时恢复为铺满窗口。主窗口与投影输出窗口共用
+export function applyStageMapping(stage, patternCanvas, mapping, devicePixelRatio = 1) {
+    if (!stage) return;
+    const content = stage.querySelector('.lyrics-display');
+
+    if (!mapping.enabled) {
+        document.body.classList.remove('output-mapped');
+        stage.style.left = '';
+        stage.style.top = '';
+        stage.style.width = '';
+        stage.style.height = '';
+        stage.style.transform = '';
+        if (content) {
+            content.style.width = '';
+            content.style.height = '';
+            content.style.transform = '';
+        }
+        if (patternCanvas) patternCanvas.style.display = 'none';
+        return;
+    }
+
+    const layout = computeStageLayout(mapping, devicePixelRatio);
+    document.body.classList.add('output-mapped');
+    stage.style.left = `${layout.left}px`;
+    stage.style.top = `${layout.top}px`;
+    stage.style.width = `${layout.width}px`;
+    stage.style.height = `${layout.height}px`;
+    stage.style.transform = layout.transform;
+    if (content) {
+        content.style.width = `${STAGE_REFERENCE_SIZE.width}px`;
+        content.style.height = `${STAGE_REFERENCE_SIZE.height}px`;
+        content.style.transform = `translate(-50%, -50%) scale(${layout.contentScaleX}, ${layout.contentScaleY})`;
+    }
+
+    if (patternCanvas) {
+        patternCanvas.style.display = mapping.testPattern ? 'block' : 'none';
+        if (mapping.testPattern) {
+            patternCanvas.width = layout.pixelWidth;
+            patternCanvas.height = layout.pixelHeight;
+            drawTestPattern(patternCanvas.getContext('2d'), layout.pixelWidth, layout.pixelHeight);
+        }
+    }
+}
@@ -1,5 +1,13 @@
 import { CONFIG } from './config.js';
-import { log, warn, error, escapeHtml, highlightText, formatTime as formatTimeUtil } from './utils.js';
+import { log, warn, error, escapeHtml, highlightText, formatTime as formatTimeUtil, formatBytes } from './utils.js';
+import { TEXT_ENCODINGS, decodeText, getEncodingLabel } from './encoding.js';
+import { LibraryStore } from './library-store.js';
+import { containsHan, toSimplified, toPinyin } from './chinese.js';
+import { readAudioTags, readMp4TrackTypes } from './audio-tags.js';
+import { AudioVisualizer, VISUALIZER_MODES, getVisualizerColors } from './visualizer.js';
+import { LedMatrixRenderer, DEFAULT_LED_MATRIX_OPTIONS, normalizeLedMatrixOptions } from './led-matrix.js';
+import { StageChannel } from './stage-output.js';
+import { DEFAULT_OUTPUT_MAPPING, normalizeOutputMapping, applyStageMapping } from './output-mapping.js';
 
 export class LEDLyricsPlayer {
     constructor() {
@@ -10,6 +18,9 @@ export class LEDLyricsPlayer {
         this.totalTimeSpan = document.getElementById('totalTime');
         this.currentLyricEl = document.getElementById('currentLyric');
         this.nextLyricEl = document.getElementById('nextLyric');
+        this.translationLyricEl = document.getElementById('translationLyric');
+        this.scrollLyricsContainer = document.getElementById('scrollLyrics');
+        this.scrollLyricsTrack = document.getElementById('scrollLyricsTrack');
         this.statusIndicator = document.getElementById('statusIndicator');
         this.backgroundContainer = document.getElementById('backgroundContainer');
         this.playlist = document.getElementById('playlist');
@@ -20,6 +31,8 @@ export class LEDLyricsPlayer {
         this.currentSongInfo = document.getElementById('currentSongInfo');
         this.currentSongName = document.getElementById('currentSongName');
         this.currentSongStatus = document.getElementById('currentSongStatus');
+        this.currentSongAlbum = document.getElementById('currentSongAlbum');
+        this.currentSongCover = document.getElementById('currentSongCover');
         this.prevButton = document.getElementById('prevButton');
         this.nextButton = document.getElementById('nextButton');
         this.modeToggleButton = document.getElementById('modeToggleButton');
@@ -38,15 +51,63 @@ export class LEDLyricsPlayer {
         this.lastLyricSearchIndex = 0; // 新增：记录上次查找到的索引
         this.lastLyricSearchTime = 0;  // 新增：记录上次查找的时间
         this.lyricsCache = new Map();
+        this.karaokeWords = null; // 当前行的逐字时间
+        this.karaokeWordEls = []; // 当前行逐字对应的 DOM 元素
+        this.currentLyricColor = null; // 当前行的颜色覆盖 (ASS 样式)
+        this.lyricGapActive = false; // 是否处于字幕间隙（显示空白）
+        this.audioClock = null; // 音频时钟插值锚点
+        this.translationMode = 'both'; // 双语显示: 'both' 原文+翻译, 'original' 仅原文, 'translation' 仅翻译
+        this.displayMode = 'lines'; // 歌词视图: 'lines' 当前句+下一句, 'scroll' 整首歌词滚动
+        this.scrollLyricEls = []; // 滚动视图中的歌词行元素
+        this.scrollLyricsSource = null; // 滚动视图对应的歌词与双语设置，变化时重建
+        this.scrollActiveIndex = null; // 滚动视图当前高亮的行
+        this.currentTranslation = ''; // 当前显示的翻译文本
+
+        // 歌词打轴编辑器
+        this.lyricEditorList = document.getElementById('lyricEditorList');
+        this.editorCursor = 0; // 编辑器选中行
+        this.editorUndoStack = []; // 撤销快照
+        this.lyricEditorTapMode = false; // 打轴模式：按 Enter 为选中行打上当前时间
 
         // 音频播放支持
         this.audioElement = null;
         this.audioMode = false; // false: 纯歌词模式, true: 音频同步模式
-        this.audioOffset = 0; // 音频与歌词的时间偏移
+        this.audioOffset = 0; // 当前歌曲音频与歌词的时间偏移
+        this.songOffsets = {}; // 按歌曲名保存的同步偏移，随设置持久化
+
+        // 本地曲库 (IndexedDB)
+        this.libraryStore = LibraryStore.isSupported() ? new LibraryStore() : null;
+        this.persistAudio = true; // 是否同时保存音频和背景媒体文件
+        this.isRestoringLibrary = false; // 恢复期间不触发保存
+        this.librarySaveTimer = null;
+        this.librarySaveChain = null; // 串行化保存，避免并发事务互相覆盖
         this.fontScale = 1.3; // 字体缩放比例
         this.currentTheme = 'classic'; // 当前主题
         this.searchResults = []; // 搜索结果
         this.objectUrls = new Set(); // 跟踪创建的URL对象
+        this.audioTags = new WeakMap(); // 音频文件 -> 标签（歌名/歌手/专辑/音轨号/封面）
+        this.manualBackgroundUrl = null; // 手动选择的背景图片或视频
+        this.manualBackgroundType = 'image'; // 手动背景类型: 'image' | 'video'
+        this.videoSyncMode = 'loop'; // 背景视频: 'loop' 独立循环, 'lockstep' 跟随播放进度定位
+        this.backgroundMode = 'cover'; // 背景: 'cover' 封面优先, 'manual' 手动背景优先
+        this.coverImages = new Map(); // "文件夹/小写文件名" -> 封面图片文件（cover.jpg、<歌名>.jpg）
+        this.mediaObjectUrls = new Map(); // 封面/背景媒体文件 -> 对象 URL
+        this.backgroundLayer = null; // 当前显示的背景层（图片/视频/颜色）
+        this.backgroundKey = ''; // 当前背景的标识，相同背景不重复渲染
+        this.songBackgroundTarget = null; // 背景设置弹窗对应的歌曲
+        this.visualizerMode = 'off'; // 音频可视化: 'off' | 'spectrum' 频谱 | 'waveform' 波形 | 'vu' LED 电平柱
+        this.visualizer = null; // 首次开启可视化时创建
+        this.ledMatrixOptions = { ...DEFAULT_LED_MATRIX_OPTIONS }; // LED 点阵渲染: 关闭时使用文字显示
+        this.ledMatrix = null; // 首次开启点阵渲染时创建
+        this.outputMapping = { ...DEFAULT_OUTPUT_MAPPING }; // 输出映射: 舞台固定渲染到指定像素区域，供 LED 处理器采集
+        this.stageChannel = null; // 投影输出同步频道 (BroadcastChannel)
+        this.stageLyrics = { current: '', next: '', translation: '', color: null }; // 当前舞台显示的歌词
+        this.stageBackground = null; // 当前舞台背景
+        this.lastStageMessage = ''; // 上次同步的状态，内容不变时不重复发送
+        this.lastStageTimeBroadcast = 0; // 上次向输出窗口发送播放时间的时间戳 (ms)
+        this.outputWindow = null; // 投影输出窗口
+        this.connectedMonitors = new Set(); // 正在接收数据的演出监听屏（按监听屏 id）
+        this.monitorWindow = null; // 演出监听屏窗口
         this.eventListeners = new Map(); // 跟踪事件监听器
         this.eventListenerRegistry = new Map(); // 增强的事件监听器注册表
         this.timers = new Set(); // 跟踪定时器
@@ -71,11 +132,20 @@ export class LEDLyricsPlayer {
             this.cleanup();
         });
 
+        // 浏览器缩放会改变设备像素比，需要重新换算映射区域；点阵画布按新的容器宽度调整点距
+        window.addEventListener('resize', () => {
+            if (this.outputMapping.enabled) this.applyOutputMapping();
+            if (this.ledMatrix && this.ledMatrixOptions.enabled) this.ledMatrix.resize();
+        });
+
         // 页面可见性变化监听器
         document.addEventListener('visibilitychange', () => {
             this.handleVisibilityChange();
         });
 
+        // 投影输出窗口同步
+        this.initStageChannel();
+
         // 加载保存的设置
         this.loadSettings();
 
@@ -87,6 +157,9 @@ export class LEDLyricsPlayer {
         this.initPanelInteraction();
         this.initResourcePanel();
         this.initTabs();
+
+        // 恢复上次保存的曲库
+        this.restoreLibrary();
     }
 
     // 初始化 Tab 切换
@@ -105,6 +178,7 @@ export class LEDLyricsPlayer {
                 const targetId = tab.dataset.target;
                 const targetPane = document.getElementById(targetId);
                 if (targetPane) targetPane.classList.add('active');
+                if (targetId === 'tab-editor') this.renderLyricEditor();
             });
         });
     }
@@ -175,6 +249,19 @@ export class LEDLyricsPlayer {
                 if (settings.fontSize) this.setFontScale(settings.fontSize);
                 if (settings.speed) this.setPlaybackSpeed(settings.speed);
                 if (settings.playMode) this.setPlayMode(settings.playMode);
+                if (settings.translationMode) this.setTranslationMode(settings.translationMode);
+                if (settings.displayMode) this.setDisplayMode(settings.displayMode);
+                if (settings.backgroundMode) this.setBackgroundMode(settings.backgroundMode);
+                if (settings.videoSyncMode) this.setVideoSyncMode(settings.videoSyncMode);
+                if (settings.visualizerMode) this.setVisualizerMode(settings.visualizerMode);
+                if (settings.ledMatrix && typeof settings.ledMatrix === 'object') {
+                    this.setLedMatrixOptions(normalizeLedMatrixOptions(settings.ledMatrix));
+                }
+                if (settings.outputMapping && typeof settings.outputMapping === 'object') this.setOutputMapping(settings.outputMapping);
+                if (typeof settings.persistAudio === 'boolean') this.setPersistAudio(settings.persistAudio);
+                if (settings.songOffsets && typeof settings.songOffsets === 'object') {
+                    this.songOffsets = { ...settings.songOffsets };
+                }
                 log('已加载用户设置');
             }
         } catch (e) {
@@ -188,9 +275,22 @@ export class LEDLyricsPlayer {
             theme: this.currentTheme,
             fontSize: this.fontScale,
             speed: this.playbackSpeed,
-            playMode: this.playMode
+            playMode: this.playMode,
+            translationMode: this.translationMode,
+            displayMode: this.displayMode,
+            backgroundMode: this.backgroundMode,
+            videoSyncMode: this.videoSyncMode,
+            visualizerMode: this.visualizerMode,
+            ledMatrix: this.ledMatrixOptions,
+            outputMapping: this.outputMapping,
+            persistAudio: this.persistAudio,
+            songOffsets: this.songOffsets
         };
-        localStorage.setItem('led_lyrics_player_settings', JSON.stringify(settings));
+        try {
+            localStorage.setItem('led_lyrics_player_settings', JSON.stringify(settings));
+        } catch (e) {
+            warn('保存设置失败:', e);
+        }
     }
 
     // 浏览器兼容性检查
@@ -332,6 +432,20 @@ export class LEDLyricsPlayer {
             this.addEventListenerTracked(document, eventName, preventDefaultHandler);
         });
 
+        // 拖到控制面板上时隐藏覆盖层并展开面板，便于把图片拖到歌曲上
+        const controlPanel = document.querySelector('.control-panel');
+        const dragOverHandler = (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            const overPanel = e.target.closest && e.target.closest('.control-panel, .trigger-zone');
+            if (overPanel) {
+                dragOverlay.classList.remove('active');
+                if (controlPanel) controlPanel.classList.add('active');
+            } else {
+                dragOverlay.classList.add('active');
+            }
+        };
+        this.addEventListenerTracked(document, 'dragover', dragOverHandler);
+
         // 拖拽进入
         const dragEnterHandler = (e) => {
             dragCounter++;
@@ -357,21 +471,57 @@ export class LEDLyricsPlayer {
             dragOverlay.classList.remove('active');
 
             const files = Array.from(e.dataTransfer.files);
-            if (files.length > 0) {
-                this.handleDroppedFiles(files);
+            if (files.length === 0) return;
+
+            const handleError = (error) => {
+                console.error('拖入文件处理失败:', error);
+                this.showNotification(`拖入文件处理失败: ${error.message}`, 'error');
+            };
+
+            // 拖到播放列表中的歌曲上：图片/背景视频设为该歌曲的背景
+            const songItem = e.target.closest ? e.target.closest('.song-item') : null;
+            if (songItem) {
+                this.handleFilesDroppedOnSong(parseInt(songItem.dataset.index), files).catch(handleError);
+                return;
             }
+            this.handleDroppedFiles(files).catch(handleError);
         };
         this.addEventListenerTracked(document, 'drop', dropHandler);
     }
 
-    handleDroppedFiles(files) {
+    // 拖到歌曲上的文件：第一个图片或背景视频（按轨道区分，带音轨的 .mp4 仍是音频）设为该歌曲的背景，
+    // 其余文件按普通拖入处理
+    async handleFilesDroppedOnSong(songIndex, files) {
+        const videoFiles = await this.detectBackgroundVideos(files);
+        const backgroundFile = files.find(file =>
+            videoFiles.includes(file) || this.getBackgroundFileType(file) === 'image'
+        );
+        if (backgroundFile) {
+            this.assignSongBackgroundFile(songIndex, backgroundFile);
+        }
+
+        const otherFiles = files.filter(file => file !== backgroundFile);
+        if (otherFiles.length > 0) {
+            await this.handleDroppedFiles(otherFiles);
+        }
+    }
+
+    async handleDroppedFiles(files) {
         const lrcFiles = [];
         const audioFiles = [];
         const imageFiles = [];
 
+        // 导入列表后缺少的背景文件优先重新关联
+        const relinked = this.relinkSongBackgrounds(files);
+        files = files.filter(file => !relinked.includes(file));
+
+        // 视频文件（含无音轨的 .mp4）作为背景视频，不当作音频
+        const videoFiles = await this.detectBackgroundVideos(files);
+        files = files.filter(file => !videoFiles.includes(file));
+
         files.forEach(file => {
             const ext = file.name.toLowerCase().split('.').pop();
-            if (ext === 'lrc' || ext === 'txt') {
+            if (this.isLyricFile(file.name)) {
                 lrcFiles.push(file);
             } else if (['mp3', 'wav', 'flac', 'ogg', 'aac', 'm4a', 'mp4'].includes(ext)) {
                 audioFiles.push(file);
@@ -392,10 +542,19 @@ export class LEDLyricsPlayer {
             this.loadAudioFiles(audioFiles);
         }
 
-        // 处理背景图片
-        if (imageFiles.length > 0) {
-            log('拖拽上传背景图片:', imageFiles[0].name);
-            this.loadBackgroundImage(imageFiles[0]);
+        // 处理图片：cover.jpg 或与歌曲同名的图片作为封面，其余作为背景图片
+        const audioNames = audioFiles.map(file => file.name.replace(/\.[^/.]+$/, ''));
+        const coverFiles = imageFiles.filter(file => this.isCoverImageFile(file, audioNames));
+        if (coverFiles.length > 0) {
+            this.registerCoverImages(coverFiles);
+        }
+        const backgroundFiles = imageFiles.filter(file => !coverFiles.includes(file));
+        if (videoFiles.length > 0) {
+            log('拖拽上传背景视频:', videoFiles[0].name);
+            this.loadBackgroundVideo(videoFiles[0]);
+        } else if (backgroundFiles.length > 0) {
+            log('拖拽上传背景图片:', backgroundFiles[0].name);
+            this.loadBackgroundImage(backgroundFiles[0]);
         }
     }
 
@@ -439,9 +598,14 @@ export class LEDLyricsPlayer {
             backgroundFile.addEventListener('change', (e) => {
                 const file = e.target.files[0];
                 if (file) {
-                    log('开始加载背景图片:', file.name);
+                    log('开始加载背景:', file.name);
                     this.updatePathDisplay('bgPathDisplay', file.name);
-                    this.loadBackgroundImage(file);
+                    // 从背景入口选择的 .mp4 一律视为背景视频
+                    if (this.getBackgroundFileType(file) === 'video') {
+                        this.loadBackgroundVideo(file);
+                    } else {
+                        this.loadBackgroundImage(file);
+                    }
                 }
             });
             if (backgroundFileBtn) backgroundFileBtn.addEventListener('click', () => backgroundFile.click());
@@ -540,6 +704,88 @@ export class LEDLyricsPlayer {
             });
         });
 
+        // 双语歌词显示控制
+        document.querySelectorAll('.translation-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setTranslationMode(e.target.dataset.translationMode);
+                this.saveSettings();
+            });
+        });
+
+        // 背景来源控制
+        document.querySelectorAll('.background-mode-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setBackgroundMode(e.target.dataset.backgroundMode);
+                this.saveSettings();
+            });
+        });
+
+        // 背景视频同步方式
+        document.querySelectorAll('.video-sync-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setVideoSyncMode(e.target.dataset.videoSync);
+                this.saveSettings();
+            });
+        });
+
+        // 投影输出窗口
+        const openOutputBtn = getEl('openOutputWindow');
+        if (openOutputBtn) {
+            openOutputBtn.addEventListener('click', () => this.openOutputWindow());
+        }
+        const openMonitorBtn = getEl('openMonitorWindow');
+        if (openMonitorBtn) {
+            openMonitorBtn.addEventListener('click', () => this.openMonitorWindow());
+        }
+
+        // 歌词视图
+        document.querySelectorAll('.display-mode-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setDisplayMode(e.target.dataset.displayMode);
+                this.saveSettings();
+            });
+        });
+
+        // LED 点阵渲染：列数/行数/点距输入框在修改完成后生效，预设按钮同时设置列数和行数
+        document.querySelectorAll('.led-matrix-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                this.setLedMatrixOptions({ [e.target.dataset.ledOption]: value });
+                this.saveSettings();
+            });
+        });
+
+        document.querySelectorAll('.led-matrix-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setLedMatrixOptions({ [e.target.dataset.ledOption]: e.target.dataset.value });
+                this.saveSettings();
+            });
+        });
+
+        // 输出映射：数值输入框和复选框在修改完成后生效
+        document.querySelectorAll('.mapping-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                this.setOutputMapping({ [e.target.dataset.mapping]: value });
+                this.saveSettings();
+            });
+        });
+
+        document.querySelectorAll('.mapping-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setOutputMapping({ [e.target.dataset.mapping]: e.target.dataset.value });
+                this.saveSettings();
+            });
+        });
+
+        // 音频可视化
+        document.querySelectorAll('.visualizer-button').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setVisualizerMode(e.target.dataset.visualizer);
+                this.saveSettings();
+            });
+        });
+
         // 播放模式控制
         document.querySelectorAll('.play-mode-button').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -605,6 +851,122 @@ export class LEDLyricsPlayer {
             this.exportPlaylist();
         });
 
+        // 本地曲库
+        const persistAudioToggle = getEl('persistAudioToggle');
+        if (persistAudioToggle) persistAudioToggle.addEventListener('change', (e) => {
+            this.setPersistAudio(e.target.checked);
+            this.saveSettings();
+            this.scheduleLibrarySave();
+        });
+
+        const purgeLibraryBtn = getEl('purgeLibraryBtn');
+        if (purgeLibraryBtn) purgeLibraryBtn.addEventListener('click', () => {
+            this.purgeLibrary();
+        });
+
+        // 歌词打轴编辑器
+        const editorActions = {
+            editorTapToggle: () => this.toggleLyricTapMode(),
+            editorInsertLine: () => this.insertLyricLine(),
+            editorDeleteLine: () => this.deleteLyricLine(),
+            editorUndo: () => this.undoLyricEdit(),
+            editorDownload: () => this.downloadLrc()
+        };
+        Object.entries(editorActions).forEach(([id, action]) => {
+            const button = getEl(id);
+            if (button) button.addEventListener('click', action);
+        });
+
+        if (this.lyricEditorList) {
+            this.lyricEditorList.addEventListener('click', (e) => {
+                const row = e.target.closest('.editor-row');
+                if (!row) return;
+                const index = parseInt(row.dataset.index);
+                if (e.target.classList.contains('editor-nudge')) {
+                    this.nudgeLyricLine(index, parseFloat(e.target.dataset.delta));
+                } else if (e.target.classList.contains('editor-time')) {
+                    this.editorCursor = index;
+                    this.jumpToLyric(index);
+                    this.renderLyricEditor();
+                } else if (!e.target.classList.contains('editor-text')) {
+                    this.editorCursor = index;
+                    this.renderLyricEditor();
+                }
+            });
+            this.lyricEditorList.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('editor-text')) return;
+                const row = e.target.closest('.editor-row');
+                if (row) this.updateLyricLineText(parseInt(row.dataset.index), e.target.value);
+            });
+        }
+
+        // 匹配审核
+        const matchReviewBtn = getEl('matchReviewBtn');
+        if (matchReviewBtn) matchReviewBtn.addEventListener('click', () => {
+            this.showMatchReview();
+        });
+
+        const matchReviewClose = getEl('matchReviewClose');
+        if (matchReviewClose) matchReviewClose.addEventListener('click', () => {
+            this.closeMatchReview();
+        });
+
+        const matchReviewList = getEl('matchReviewList');
+        if (matchReviewList) {
+            matchReviewList.addEventListener('click', (e) => {
+                const row = e.target.closest('.match-row');
+                if (!row) return;
+                const index = parseInt(row.dataset.songIndex);
+                const candidate = e.target.closest('.match-candidate');
+                if (candidate) {
+                    this.reassignAudio(index, parseInt(candidate.dataset.targetIndex));
+                } else if (e.target.classList.contains('match-confirm')) {
+                    this.confirmMatch(index);
+                } else if (e.target.classList.contains('match-unlink')) {
+                    this.unlinkAudio(index);
+                }
+            });
+            matchReviewList.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('match-reassign') || e.target.value === '') return;
+                const row = e.target.closest('.match-row');
+                if (row) this.reassignAudio(parseInt(row.dataset.songIndex), parseInt(e.target.value));
+            });
+        }
+
+        // 歌曲背景设置弹窗
+        const songBackgroundFile = getEl('songBackgroundFile');
+        const songBackgroundFileBtn = getEl('songBackgroundFileBtn');
+        if (songBackgroundFile) {
+            songBackgroundFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.assignSongBackgroundFile(this.getSongBackgroundTargetIndex(), file);
+                e.target.value = '';
+            });
+            if (songBackgroundFileBtn) songBackgroundFileBtn.addEventListener('click', () => songBackgroundFile.click());
+        }
+
+        const songBackgroundColorBtn = getEl('songBackgroundColorBtn');
+        if (songBackgroundColorBtn) songBackgroundColorBtn.addEventListener('click', () => {
+            const input = document.getElementById('songBackgroundColor');
+            if (input) this.setSongBackgroundColor(this.getSongBackgroundTargetIndex(), input.value);
+        });
+
+        const songBackgroundGradientBtn = getEl('songBackgroundGradientBtn');
+        if (songBackgroundGradientBtn) songBackgroundGradientBtn.addEventListener('click', () => {
+            const input = document.getElementById('songBackgroundGradient');
+            if (input) this.setSongBackgroundColor(this.getSongBackgroundTargetIndex(), input.value);
+        });
+
+        const songBackgroundClear = getEl('songBackgroundClear');
+        if (songBackgroundClear) songBackgroundClear.addEventListener('click', () => {
+            this.setSongBackground(this.getSongBackgroundTargetIndex(), null);
+        });
+
+        const songBackgroundClose = getEl('songBackgroundClose');
+        if (songBackgroundClose) songBackgroundClose.addEventListener('click', () => {
+            this.closeSongBackgroundDialog();
+        });
+
         const sortPlaylistBtn = getEl('sortPlaylist');
         if (sortPlaylistBtn) sortPlaylistBtn.addEventListener('click', () => {
             this.sortPlaylist();
@@ -707,6 +1069,14 @@ export class LEDLyricsPlayer {
             } else if (e.key === ']') {
                 e.preventDefault();
                 this.adjustOffset(0.1);
+            } else if (e.key === 'Enter' && this.lyricEditorTapMode) {
+                // 阻止默认行为，避免触发获得焦点的按钮
+                e.preventDefault();
+                this.stampLyricLine();
+            } else if ((e.key === 'z' || e.key === 'Z') && (e.ctrlKey || e.metaKey) && this.isLyricEditorOpen()) {
+                // 只在打轴编辑器打开时撤销，其余情况交给浏览器
+                e.preventDefault();
+                this.undoLyricEdit();
             } else if (e.code.startsWith('Digit')) {
                 const num = parseInt(e.code.replace('Digit', ''));
                 if (num >= 1 && num <= 9) {
@@ -728,47 +1098,50 @@ export class LEDLyricsPlayer {
         const promises = [];
 
         files.forEach(file => {
-            if (file.name.toLowerCase().endsWith('.lrc') || file.name.toLowerCase().endsWith('.txt')) {
-                const promise = new Promise((resolve) => {
-                    const reader = new FileReader();
-                    reader.onload = (e) => {
-                        try {
-                            const lyrics = this.parseLrc(e.target.result);
-                            const song = {
-                                name: file.name.replace(/\.[^/.]+$/, ""),
-                                lyrics: lyrics,
-                                duration: lyrics.length > 0 ? lyrics[lyrics.length - 1].time + 5 : 300, // 默认5分钟
-                                mode: 'lyrics' // 纯歌词模式
-                            };
-                            this.addSong(song);
+            if (this.isLyricFile(file.name)) {
+                const promise = this.readLyricText(file).then(({ text, encoding }) => {
+                    try {
+                        const { lyrics, meta } = this.parseLyricFile(text, file.name);
+                        const lastLine = lyrics[lyrics.length - 1];
+                        const song = {
+                            name: file.name.replace(/\.[^/.]+$/, ""),
+                            lyrics: lyrics,
+                            meta: meta,
+                            // 优先使用 [length] 标签，其次字幕结束时间，否则按最后一句+5秒估算，默认5分钟
+                            duration: meta.length || (lastLine ? (lastLine.end || lastLine.time + 5) : 300),
+                            mode: 'lyrics', // 纯歌词模式
+                            encoding: encoding, // 检测到的文本编码
+                            lyricFile: file // 保留原文件，便于手动切换编码后重新解码
+                        };
 
-                            loadedCount++;
-                            log(`歌曲 ${loadedCount}/${totalFiles} 加载完成:`, song.name);
+                        loadedCount++;
+                        const audioSong = this.attachLyricsToAudioSong(song);
+                        if (audioSong) {
+                            this.showNotification(`歌词 "${song.name}" 已关联到音频 "${audioSong.name}"`, 'success');
+                        } else {
+                            this.addSong(song);
+                            log(`歌曲 ${loadedCount}/${totalFiles} 加载完成:`, song.name, `(${encoding})`);
                             if (this.showNotification) {
                                 this.showNotification(`加载歌曲: ${song.name}`, 'success');
                             }
-                        } catch (error) {
-                            console.error('歌词解析错误:', file.name, error);
-                            if (this.showNotification) {
-                                this.showNotification(`歌词解析失败: ${file.name} - ${error.message}`, 'error');
-                            }
-                            loadedCount++;
                         }
-                        resolve();
-                    };
-                    reader.onerror = (error) => {
-                        console.error('文件读取失败:', file.name, error);
+                    } catch (error) {
+                        console.error('歌词解析错误:', file.name, error);
                         if (this.showNotification) {
-                            this.showNotification(`文件读取失败: ${file.name}`, 'error');
+                            this.showNotification(`歌词解析失败: ${file.name} - ${error.message}`, 'error');
                         }
                         loadedCount++;
-                        resolve(); // 即使失败也resolve，以确保Promise.all能完成
-                    };
-                    reader.readAsText(file, 'UTF-8');
+                    }
+                }, (error) => {
+                    console.error('文件读取失败:', file.name, error);
+                    if (this.showNotification) {
+                        this.showNotification(`文件读取失败: ${file.name}`, 'error');
+                    }
+                    loadedCount++; // 即使失败也resolve，以确保Promise.all能完成
                 });
                 promises.push(promise);
             } else {
-                warn('跳过非LRC文件:', file.name);
+                warn('跳过非歌词文件:', file.name);
                 loadedCount++;
             }
         });
@@ -784,20 +1157,33 @@ export class LEDLyricsPlayer {
     }
 
     loadAudioFiles(files) {
-        let loadedCount = 0;
-        let matchedCount = 0;
-
-        files.forEach(file => {
+        const audioFiles = files.filter(file => {
             const ext = file.name.toLowerCase().split('.').pop();
-            if (['mp3', 'wav', 'flac', 'ogg', 'aac', 'm4a', 'mp4'].includes(ext)) {
-                loadedCount++;
+            return ['mp3', 'wav', 'flac', 'ogg', 'aac', 'm4a', 'mp4'].includes(ext);
+        });
+        if (audioFiles.length === 0) return Promise.resolve();
+
+        // 先读取全部标签，标签中的歌名/歌手作为额外匹配依据
+        return Promise.all(audioFiles.map(file => this.loadAudioTags(file))).then(tagList => {
+            let matchedCount = 0;
+            let audioOnlyCount = 0;
+            let embeddedCount = 0;
+
+            audioFiles.forEach((file, index) => {
+                const tags = tagList[index];
                 const fileName = file.name.replace(/\.[^/.]+$/, "");
-                const matchedSong = this.findMatchingSong(fileName);
+                // 导入列表时记录了音频文件名的歌曲（含纯音频占位）按文件名重新关联；
+                // 模糊匹配只考虑带独立歌词文件的歌曲，避免纯音频或内嵌歌词歌曲之间互相抢占
+                const matchedSong = this.songs.find(song => !song.audioFile && song.audioFileName === file.name) ||
+                    this.findMatchingSong(fileName, this.songs.filter(song => this.hasExternalLyrics(song)), tags);
 
                 if (matchedSong) {
                     matchedCount++;
                     // 关联音频文件
                     matchedSong.audioFile = file;
+                    matchedSong.matchConfirmed = false; // 新的自动配对需要重新审核
+                    // 纯音频占位重新关联后读取内嵌歌词（已有独立歌词的歌曲不受影响）
+                    this.applyEmbeddedLyrics(matchedSong, tags);
                     this.updateSongMode(matchedSong);
                     log(`音频文件 "${file.name}" 正在关联到歌曲 "${matchedSong.name}"`);
 
@@ -808,45 +1194,194 @@ export class LEDLyricsPlayer {
                         this.applyModeChange(matchedSong);
                     }
 
-                    // --- 轻量级预加载以获取时长 ---
-                    const tempAudio = new Audio();
-                    const tempUrl = URL.createObjectURL(file);
-
-                    tempAudio.addEventListener('loadedmetadata', () => {
-                        log(`获取到 "${file.name}" 的精确时长: ${tempAudio.duration}`);
-                        matchedSong.duration = tempAudio.duration;
-                        // 销毁临时对象
-                        tempAudio.src = '';
-                        URL.revokeObjectURL(tempUrl);
-                        // 时长更新后，刷新播放列表显示
-                        this.updatePlaylist();
-                    }, { once: true });
-
-                    tempAudio.addEventListener('error', () => {
-                        warn(`预加载 "${file.name}" 时长失败`);
-                        URL.revokeObjectURL(tempUrl);
-                    }, { once: true });
-
-                    tempAudio.src = tempUrl;
-                    // --- 预加载结束 ---
-
+                    this.preloadAudioDuration(matchedSong, file);
                 } else {
-                    warn(`音频文件 "${file.name}" 无法匹配到歌词文件，已跳过。`);
-                    this.showNotification(`音频 "${file.name}" 未找到匹配的歌词`, 'warning');
+                    // 未匹配的音频优先使用内嵌歌词，否则（暖场、纯伴奏等）作为纯音频歌曲加入列表
+                    const song = this.addAudioOnlySong(file);
+                    if (song.lyricSource === 'embedded') {
+                        embeddedCount++;
+                        log(`音频文件 "${file.name}" 未匹配到歌词文件，使用内嵌歌词 (${song.lyrics.length} 行)`);
+                        this.showNotification(`音频 "${file.name}" 未找到匹配的歌词，已使用内嵌歌词`, 'info');
+                    } else {
+                        audioOnlyCount++;
+                        log(`音频文件 "${file.name}" 未匹配到歌词，作为纯音频歌曲添加`);
+                        this.showNotification(`音频 "${file.name}" 未找到匹配的歌词，已作为纯音频添加`, 'info');
+                    }
                 }
-            }
-        });
+            });
+
+            if (matchedCount > 0) this.scheduleLibrarySave();
 
-        if (loadedCount > 0) {
-            this.showNotification(`处理了 ${loadedCount} 个音频文件，成功关联 ${matchedCount} 个`, 'info');
+            const embeddedHint = embeddedCount > 0 ? `，使用内嵌歌词 ${embeddedCount} 首` : '';
+            const audioOnlyHint = audioOnlyCount > 0 ? `，新增纯音频 ${audioOnlyCount} 首` : '';
+            this.showNotification(`处理了 ${audioFiles.length} 个音频文件，成功关联 ${matchedCount} 个${embeddedHint}${audioOnlyHint}`, 'info');
+            this.updateSongDisplay();
+            this.applySongBackground();
             const timerId = setTimeout(() => {
                 this.sortPlaylist();
                 this.updatePlaylist();
                 this.showMatchingReport();
             }, 500); // 延迟以等待可能的元数据加载
             this.addTimer(timerId);
+        }).catch(error => {
+            console.error('音频文件处理失败:', error);
+            this.showNotification(`音频文件处理失败: ${error.message}`, 'error');
+        });
+    }
+
+    // 从音频标签中提取内嵌歌词：SYLT 同步歌词优先，其次为 LRC 格式的 USLT/LYRICS 文本；
+    // 不带时间标签的纯文本歌词无法同步，忽略
+    extractEmbeddedLyrics(tags) {
+        if (!tags) return null;
+
+        if (tags.syncedLyrics && tags.syncedLyrics.length > 0) {
+            const lyrics = tags.syncedLyrics.map(line => ({
+                ...line,
+                ...(line.words ? { words: line.words.map(word => ({ ...word })) } : {})
+            }));
+            return { lyrics: this.fillWordEndTimes(lyrics), meta: {} };
+        }
+
+        if (tags.lyrics && /\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/.test(tags.lyrics)) {
+            try {
+                const { lyrics, meta } = this.parseLyricFile(tags.lyrics, 'embedded.lrc');
+                if (lyrics.length > 0) return { lyrics, meta };
+            } catch (error) {
+                warn('内嵌歌词解析失败:', error);
+            }
+        }
+        return null;
+    }
+
+    // 没有独立歌词文件时使用音频内嵌歌词，成功时返回 true
+    applyEmbeddedLyrics(song, tags) {
+        if (this.hasExternalLyrics(song)) return false;
+
+        const embedded = this.extractEmbeddedLyrics(tags);
+        if (!embedded) return false;
+
+        song.lyrics = embedded.lyrics;
+        song.meta = embedded.meta;
+        song.lyricSource = 'embedded';
+        this.updateSongMode(song);
+        return true;
+    }
+
+    // 歌曲是否带有独立加载的歌词（内嵌歌词不算）
+    hasExternalLyrics(song) {
+        return Boolean(song.lyrics && song.lyrics.length > 0 && song.lyricSource !== 'embedded');
+    }
+
+    // 读取并缓存音频文件的标签（按文件对象缓存，改配音频时标签随文件移动）
+    async loadAudioTags(file) {
+        if (this.audioTags.has(file)) {
+            return this.audioTags.get(file);
+        }
+        const tags = await readAudioTags(file);
+        if (tags) {
+            this.audioTags.set(file, tags);
+            log(`读取到 "${file.name}" 的标签:`, tags.title, tags.artist, tags.album, tags.track);
+        }
+        return tags;
+    }
+
+    // 获取歌曲当前音频文件的标签
+    getSongTags(song) {
+        return song && song.audioFile ? this.audioTags.get(song.audioFile) || null : null;
+    }
+
+    // 封面图片的对象 URL，首次使用时创建
+    getCoverArtUrl(song) {
+        const tags = this.getSongTags(song);
+        if (!tags || !tags.picture) return null;
+        if (!tags.pictureUrl) {
+            tags.pictureUrl = URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mime }));
+            this.trackObjectUrl(tags.pictureUrl);
         }
+        return tags.pictureUrl;
     }
+
+    // 导入的纯音频歌曲在重新加载音频文件之前只是占位
+    isAudioPlaceholder(song) {
+        return Boolean(song.audioFileName && !song.audioFile && (!song.lyrics || song.lyrics.length === 0));
+    }
+
+    // 将音频文件作为纯音频歌曲加入列表，名称与已有歌曲冲突时追加后缀
+    addAudioOnlySong(file) {
+        const baseName = file.name.replace(/\.[^/.]+$/, "");
+        let name = baseName;
+        for (let i = 1; this.songs.some(song => song.name === name); i++) {
+            name = i === 1 ? `${baseName} (音频)` : `${baseName} (音频 ${i})`;
+        }
+
+        const song = {
+            name,
+            lyrics: [],
+            meta: {},
+            duration: 0,
+            audioFile: file,
+            mode: 'audio' // 纯音频模式
+        };
+        this.applyEmbeddedLyrics(song, this.audioTags.get(file));
+        this.addSong(song);
+        this.preloadAudioDuration(song, file);
+        return song;
+    }
+
+    // 轻量级预加载以获取音频时长
+    preloadAudioDuration(song, file) {
+        const tempAudio = new Audio();
+        const tempUrl = URL.createObjectURL(file);
+
+        tempAudio.addEventListener('loadedmetadata', () => {
+            log(`获取到 "${file.name}" 的精确时长: ${tempAudio.duration}`);
+            song.duration = tempAudio.duration;
+            // 销毁临时对象
+            tempAudio.src = '';
+            URL.revokeObjectURL(tempUrl);
+            // 时长更新后，刷新播放列表显示
+            this.updatePlaylist();
+        }, { once: true });
+
+        tempAudio.addEventListener('error', () => {
+            warn(`预加载 "${file.name}" 时长失败`);
+            URL.revokeObjectURL(tempUrl);
+        }, { once: true });
+
+        tempAudio.src = tempUrl;
+    }
+
+    // 反向匹配：新加载的歌词关联到已有的纯音频（或仅有内嵌歌词的）歌曲，成功时返回该歌曲
+    attachLyricsToAudioSong(lyricSong) {
+        const audioOnlySongs = this.songs.filter(song =>
+            song.audioFile && !this.hasExternalLyrics(song)
+        );
+        if (audioOnlySongs.length === 0) return null;
+
+        const audioSong = audioOnlySongs.find(song => song.name === lyricSong.name) ||
+            this.findBestMatch(lyricSong.name, audioOnlySongs);
+        if (!audioSong) return null;
+
+        audioSong.lyrics = lyricSong.lyrics;
+        audioSong.meta = lyricSong.meta;
+        delete audioSong.lyricSource; // 独立歌词文件优先于内嵌歌词
+        if (lyricSong.encoding) audioSong.encoding = lyricSong.encoding;
+        if (lyricSong.lyricFile) audioSong.lyricFile = lyricSong.lyricFile;
+        // 音频时长更准确，仅在尚未获取时使用歌词估算值
+        if (!audioSong.duration) audioSong.duration = lyricSong.duration;
+        this.updateSongMode(audioSong);
+        log(`歌词 "${lyricSong.name}" 已关联到纯音频歌曲 "${audioSong.name}"`);
+
+        if (this.currentSongIndex >= 0 &&
+            this.songs[this.currentSongIndex] === audioSong &&
+            (audioSong.userMode === 'auto' || !audioSong.userMode)) {
+            this.applyModeChange(audioSong);
+        }
+        this.updatePlaylist();
+        this.scheduleLibrarySave();
+        return audioSong;
+    }
+
     updateAudioMode() {
         const syncControls = document.getElementById('syncControls');
 
@@ -925,7 +1460,9 @@ export class LEDLyricsPlayer {
             this.updatePlaylist();
         },
         timeupdate: () => {
-            if (this.audioMode && this.isPlaying && this.audioElement === audio) {
+            // 正常由 animate 帧循环驱动；页面隐藏导致帧回调暂停时由 timeupdate 兜底
+            const frameLoopActive = this.animationId && !document.hidden;
+            if (this.audioMode && this.isPlaying && this.audioElement === audio && !frameLoopActive) {
                 this.syncWithAudio();
             }
         },
@@ -993,110 +1530,1092 @@ syncWithAudio() {
 }
 
 loadBackgroundImage(file) {
+    this.setManualBackground(file, 'image');
+}
+
+// 背景视频静音循环播放，随播放/暂停同步
+loadBackgroundVideo(file) {
+    this.setManualBackground(file, 'video');
+}
+
+setManualBackground(file, type) {
+    const label = type === 'video' ? '背景视频' : '背景图片';
     if (!this.backgroundContainer) {
-        warn('背景容器不存在，无法加载背景图片');
+        warn(`背景容器不存在，无法加载${label}`);
         return;
     }
     try {
-        // 释放之前的背景图片URL
-        const currentBg = this.backgroundContainer.style.backgroundImage;
-        if (currentBg && currentBg.includes('blob:')) {
-            const match = currentBg.match(/url\("?([^"\)]+)"?\)/);
-            if (match && match[1]) {
-                this.revokeObjectUrl(match[1]);
-            }
+        // 释放之前的手动背景URL（封面URL单独缓存，不在此释放）
+        if (this.manualBackgroundUrl) {
+            this.revokeObjectUrl(this.manualBackgroundUrl);
         }
 
         // 使用 ObjectURL 替代 DataURL，减少内存占用
         const objectUrl = URL.createObjectURL(file);
         this.trackObjectUrl(objectUrl);
-        this.backgroundContainer.style.backgroundImage = `url(${objectUrl})`;
+        this.manualBackgroundUrl = objectUrl;
+        this.manualBackgroundType = type;
+        this.applySongBackground();
 
-        log('背景图片加载成功');
-        this.showNotification(`背景图片加载成功: ${file.name}`, 'success');
+        log(`${label}加载成功`);
+        this.showNotification(`${label}加载成功: ${file.name}`, 'success');
     } catch (error) {
-        console.error('背景图片处理错误:', error);
-        this.showNotification('背景图片处理失败', 'error');
+        console.error(`${label}处理错误:`, error);
+        this.showNotification(`${label}处理失败`, 'error');
     }
 }
 
-parseLrc(lrcContent) {
-    // 先校验参数，避免空值导致异常
-    if (!lrcContent || typeof lrcContent !== 'string') {
-        throw new Error('无效的歌词文件内容');
+// 设置背景视频同步方式：独立循环，或按播放进度逐帧对齐（适合 MV 背景）
+setVideoSyncMode(mode) {
+    if (!['loop', 'lockstep'].includes(mode)) return;
+    this.videoSyncMode = mode;
+
+    document.querySelectorAll('.video-sync-button').forEach(btn => {
+        if (btn.dataset.videoSync === mode) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+    const video = this.getBackgroundVideo();
+    if (video && mode === 'loop') video.playbackRate = 1;
+    this.syncBackgroundVideo(true);
+    log('背景视频同步方式设置为:', mode);
+}
+
+// 投影输出窗口打开后会请求一次完整状态
+initStageChannel() {
+    if (!StageChannel.isSupported()) return;
+    this.stageChannel = new StageChannel(message => this.handleStageMessage(message));
+    // 主窗口刷新后通知已打开的输出窗口和监听屏重新请求状态
+    this.stageChannel.post('stage-ready');
+}
+
+// 处理输出窗口和监听屏的请求；可同时打开多个监听屏，按各自的 id 记录连接
+handleStageMessage(message) {
+    switch (message.type) {
+        case 'request-state':
+            this.broadcastStageState(true);
+            break;
+        case 'request-monitor':
+            this.connectedMonitors.add(message.monitorId || '');
+            this.broadcastMonitorSong();
+            this.broadcastMonitorTime();
+            break;
+        case 'monitor-closed':
+            this.connectedMonitors.delete(message.monitorId || '');
+            break;
     }
+}
 
-    const lyrics = [];
-    const lines = lrcContent.split('\n');
-        let offsetSeconds = 0;
+// 输出窗口需要的舞台状态
+getStageState() {
+    return {
+        lyrics: this.stageLyrics,
+        theme: this.currentTheme,
+        fontScale: this.fontScale,
+        background: this.stageBackground,
+        isPlaying: this.isPlaying,
+        currentTime: this.currentTime,
+        playbackSpeed: this.playbackSpeed,
+        videoSyncMode: this.videoSyncMode,
+        outputMapping: this.outputMapping
+    };
+}
 
-    lines.forEach((line, index) => {
-        try {
-            if (CONFIG.LRC.APPLY_OFFSET) {
-                const offsetMatch = line.match(/\[offset:([+-]?\d+)\]/i);
-                if (offsetMatch) {
-                    const offsetMs = parseInt(offsetMatch[1], 10);
-                    if (!isNaN(offsetMs)) {
-                        offsetSeconds = offsetMs / 1000;
-                    }
-                    return;
-                }
-            }
+// 舞台状态变化时同步到输出窗口；播放时间单独变化时由 broadcastStageTime 节流发送
+broadcastStageState(force = false) {
+    if (!this.stageChannel) return;
+    const state = this.getStageState();
+    const key = JSON.stringify({ ...state, currentTime: undefined });
+    if (!force && key === this.lastStageMessage) return;
+    this.lastStageMessage = key;
+    this.stageChannel.post('state', { state });
+}
 
-            const match = line.match(/\[(\d+):(\d+)(?:\.(\d+))?\](.*)/);
-            if (match) {
-                const minutes = parseInt(match[1]);
-                const seconds = parseInt(match[2]);
-                const centiseconds = match[3] ? parseInt(match[3].padEnd(2, '0').slice(0, 2)) : 0;
-                const text = match[4].trim();
+// 播放时间节流发送给输出窗口，用于校正跟随进度的背景视频；跳转时立即发送并要求对齐
+broadcastStageTime(seeked = false) {
+    if (!this.stageChannel) return;
+    const now = performance.now();
+    if (!seeked && now - this.lastStageTimeBroadcast < CONFIG.BACKGROUND.TIME_SYNC_INTERVAL) return;
+    this.lastStageTimeBroadcast = now;
+    this.stageChannel.post('stage-time', { time: { currentTime: this.currentTime, seeked } });
+}
 
-                if (isNaN(minutes) || isNaN(seconds) || minutes < 0 || seconds < 0 || seconds >= 60) {
-                    throw new Error(`第${index + 1}行时间格式错误: ${line}`);
-                }
+// 监听屏显示的歌单下一首；随机播放时下一首在切歌时才决定，不提前抽取
+getMonitorNextSong() {
+    if (this.playMode === 'random') return '随机播放';
+    const nextIndex = this.getNextSongIndex();
+    if (nextIndex < 0) return null;
+    const name = this.getSongDisplayName(this.songs[nextIndex]);
+    return nextIndex === this.currentSongIndex ? `${name}（单曲循环）` : name;
+}
 
-                const time = Math.max(0, minutes * 60 + seconds + centiseconds / 100 + offsetSeconds);
-                lyrics.push({ time, text: text || '♪' });
-            }
-        } catch (error) {
-            warn(`解析歌词第${index + 1}行失败:`, line, error.message);
-        }
+// 歌曲、歌单或双语设置变化时把当前歌曲的歌词和下一首发送给监听屏
+broadcastMonitorSong() {
+    if (!this.stageChannel || this.connectedMonitors.size === 0) return;
+    const song = this.songs[this.currentSongIndex];
+    this.stageChannel.post('monitor-song', {
+        song: song ? {
+            name: this.getSongDisplayName(song),
+            lyrics: (song.lyrics || []).map(line => ({
+                time: line.time,
+                text: this.getLyricMainText(line),
+                translation: this.getLyricTranslation(line)
+            })),
+            nextSong: this.getMonitorNextSong()
+        } : null
     });
+}
 
-    const sortedLyrics = lyrics.sort((a, b) => a.time - b.time);
-    if (!CONFIG.LRC.MERGE_DUPLICATES) {
-        return sortedLyrics;
-    }
-
-    const mergedLyrics = [];
-    sortedLyrics.forEach(line => {
-        const lastLine = mergedLyrics[mergedLyrics.length - 1];
-        if (lastLine && Math.abs(lastLine.time - line.time) < 0.001) {
-            const combined = `${lastLine.text} / ${line.text}`.trim();
-            lastLine.text = combined;
-            return;
+// 播放进度随进度条节流发送给监听屏
+broadcastMonitorTime() {
+    if (!this.stageChannel || this.connectedMonitors.size === 0) return;
+    const song = this.songs[this.currentSongIndex];
+    if (!song) return;
+    this.stageChannel.post('monitor-time', {
+        time: {
+            currentTime: this.currentTime,
+            duration: this.audioMode && this.audioElement ? this.audioElement.duration : song.duration,
+            currentLyricIndex: this.currentLyricIndex,
+            lyricGapActive: this.lyricGapActive
         }
-        mergedLyrics.push({ time: line.time, text: line.text });
     });
-
-    return mergedLyrics;
 }
 
-    addSong(song) {
-    // 确保新歌曲有默认的userMode
-    if (!song.userMode) {
-        song.userMode = 'auto';
+// 打开给台上歌手看的演出监听屏
+openMonitorWindow() {
+    if (!this.stageChannel) {
+        this.showNotification('当前浏览器不支持演出监听屏', 'warning');
+        return;
     }
-
-    // 检查是否已存在同名歌曲，避免重复添加
-    const existingSong = this.songs.find(s => s.name === song.name);
-    if (existingSong) {
-        warn(`歌曲 "${song.name}" 已存在，跳过重复添加`);
+    if (this.monitorWindow && !this.monitorWindow.closed) {
+        this.monitorWindow.focus();
+        return;
+    }
+    this.monitorWindow = window.open('monitor.html', 'led_lyrics_monitor', 'popup,width=1280,height=720');
+    if (!this.monitorWindow) {
+        this.showNotification('监听屏窗口被拦截，请允许本页面弹出窗口', 'warning');
         return;
     }
+    this.showNotification('已打开演出监听屏', 'success');
+    log('打开演出监听屏');
+}
+
+// 打开只显示歌词舞台的投影输出窗口，可拖到投影屏幕后双击全屏
+openOutputWindow() {
+    if (!this.stageChannel) {
+        this.showNotification('当前浏览器不支持投影输出窗口', 'warning');
+        return;
+    }
+    if (this.outputWindow && !this.outputWindow.closed) {
+        this.outputWindow.focus();
+        return;
+    }
+    this.outputWindow = window.open('output.html', 'led_lyrics_output', 'popup,width=1280,height=720');
+    if (!this.outputWindow) {
+        this.showNotification('输出窗口被拦截，请允许本页面弹出窗口', 'warning');
+        return;
+    }
+    this.showNotification('已打开投影输出窗口，拖到投影屏幕后双击全屏', 'success');
+    log('打开投影输出窗口');
+}
+
+// 设置音频可视化样式：关闭、频谱、波形或 LED 电平柱
+setVisualizerMode(mode) {
+    if (!VISUALIZER_MODES.includes(mode)) return;
+    if (mode !== 'off' && !AudioVisualizer.isSupported()) {
+        this.showNotification('当前浏览器不支持音频可视化', 'warning');
+        return;
+    }
+    this.visualizerMode = mode;
+
+    document.querySelectorAll('.visualizer-button').forEach(btn => {
+        if (btn.dataset.visualizer === mode) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+    this.updateVisualizer();
+    log('音频可视化设置为:', mode);
+}
+
+getVisualizer() {
+    if (!this.visualizer) {
+        const canvas = document.getElementById('visualizerCanvas');
+        if (!canvas || !AudioVisualizer.isSupported()) return null;
+        this.visualizer = new AudioVisualizer(canvas);
+    }
+    return this.visualizer;
+}
+
+// 可视化只在播放音频时运行；纯歌词模式、暂停或关闭时停止并清空画布
+updateVisualizer() {
+    const active = this.visualizerMode !== 'off' && this.audioMode && this.audioElement && this.isPlaying;
+    if (!active) {
+        if (this.visualizer) this.visualizer.stop();
+        return;
+    }
+
+    const visualizer = this.getVisualizer();
+    if (!visualizer || !visualizer.connect(this.audioElement)) return;
+    visualizer.setMode(this.visualizerMode);
+    visualizer.setTheme(this.currentTheme);
+    visualizer.start();
+}
+
+getBackgroundVideo() {
+    const layer = this.backgroundLayer;
+    return layer && layer.tagName === 'VIDEO' ? layer : null;
+}
+
+// 背景视频跟随播放状态：播放时播放、暂停时暂停；
+// 跟随进度模式下按当前时间（超出视频长度时循环取余）定位，偏差超过阈值才校正
+syncBackgroundVideo(forceSeek = false) {
+    const video = this.getBackgroundVideo();
+    if (!video) return;
+
+    if (this.videoSyncMode === 'lockstep') {
+        const duration = video.duration;
+        if (Number.isFinite(duration) && duration > 0) {
+            const target = Math.max(0, this.currentTime) % duration;
+            if (forceSeek || Math.abs(video.currentTime - target) > CONFIG.BACKGROUND.VIDEO_DRIFT) {
+                video.currentTime = target;
+            }
+        }
+        video.playbackRate = this.playbackSpeed;
+    }
+
+    if (this.isPlaying && video.paused) {
+        const playPromise = video.play();
+        if (playPromise && playPromise.catch) playPromise.catch(e => warn('背景视频播放失败:', e));
+    } else if (!this.isPlaying && !video.paused) {
+        video.pause();
+    }
+}
+
+// 区分背景视频与音频 .mp4：只有视频轨、没有音频轨的 MP4 视为背景视频；
+// webm/mov/m4v 等视频格式直接视为背景视频
+async detectBackgroundVideos(files) {
+    const results = await Promise.all(files.map(async file => {
+        const ext = file.name.toLowerCase().split('.').pop();
+        if (ext !== 'mp4') return this.getBackgroundFileType(file) === 'video';
+        const tracks = await readMp4TrackTypes(file);
+        return Boolean(tracks && tracks.has('vide') && !tracks.has('soun'));
+    }));
+    return files.filter((file, index) => results[index]);
+}
+
+// 设置背景来源：封面优先（无封面时用手动背景）或手动背景优先（未设置时用封面）
+setBackgroundMode(mode) {
+    if (!['cover', 'manual'].includes(mode)) return;
+    this.backgroundMode = mode;
+
+    document.querySelectorAll('.background-mode-button').forEach(btn => {
+        if (btn.dataset.backgroundMode === mode) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+    this.applySongBackground();
+    log('背景来源设置为:', mode);
+}
+
+// 按当前歌曲应用背景
+applySongBackground(song = this.songs[this.currentSongIndex]) {
+    this.renderBackground(this.resolveSongBackground(song));
+}
+
+// 计算歌曲应显示的背景：歌曲指定的背景 > 封面/手动背景（按背景来源设置）；
+// 返回 { type: 'image' | 'video', url, blur } 或 { type: 'color', color }，没有背景时返回 null
+resolveSongBackground(song) {
+    const assigned = song ? this.getAssignedBackground(song) : null;
+    if (assigned) return assigned;
+
+    const coverUrl = song ? this.getSongCoverUrl(song) : null;
+    if (coverUrl && (this.backgroundMode === 'cover' || !this.manualBackgroundUrl)) {
+        return { type: 'image', url: coverUrl, blur: true }; // 封面模糊变暗显示
+    }
+    return this.manualBackgroundUrl ? { type: this.manualBackgroundType, url: this.manualBackgroundUrl, blur: false } : null;
+}
+
+// 歌曲指定的背景；导入后尚未重新关联文件的图片/视频视为没有背景
+getAssignedBackground(song) {
+    const background = song.background;
+    if (!background) return null;
+    if (background.type === 'color') return { type: 'color', color: background.color };
+    if (background.file) return { type: background.type, url: this.getMediaObjectUrl(background.file), blur: false };
+    return null;
+}
+
+// 以淡入淡出切换背景层，旧层在过渡结束后移除
+renderBackground(background) {
+    if (!this.backgroundContainer) return;
+
+    const key = background ? `${background.type}|${background.url || background.color}|${background.blur ? 1 : 0}` : '';
+    if (key === this.backgroundKey) return;
+    this.backgroundKey = key;
+
+    const previous = this.backgroundLayer;
+    const layer = background ? this.createBackgroundLayer(background) : null;
+    this.backgroundLayer = layer;
+    this.stageBackground = background;
+    this.broadcastStageState();
+
+    if (layer) {
+        this.backgroundContainer.appendChild(layer);
+        // 下一帧再显示，触发透明度过渡
+        this.scheduleFrame(() => layer.classList.add('visible'));
+        this.syncBackgroundVideo(true);
+    }
+    if (previous) {
+        previous.classList.remove('visible');
+        this.setTimer(() => this.disposeBackgroundLayer(previous), CONFIG.BACKGROUND.CROSSFADE_DURATION);
+    }
+}
+
+createBackgroundLayer(background) {
+    let layer;
+    if (background.type === 'video') {
+        layer = document.createElement('video');
+        layer.muted = true;
+        layer.loop = true;
+        layer.playsInline = true;
+        layer.preload = 'auto';
+        layer.src = background.url;
+        // 时长可用后再按播放状态和进度同步
+        layer.addEventListener('loadedmetadata', () => {
+            if (layer === this.backgroundLayer) this.syncBackgroundVideo(true);
+        }, { once: true });
+    } else {
+        layer = document.createElement('div');
+        if (background.type === 'color') {
+            layer.style.background = background.color;
+        } else {
+            layer.style.backgroundImage = `url(${background.url})`;
+        }
+    }
+    layer.className = background.blur ? 'background-layer cover-art' : 'background-layer';
+    layer.style.transition = `opacity ${CONFIG.BACKGROUND.CROSSFADE_DURATION}ms ease`;
+    return layer;
+}
+
+disposeBackgroundLayer(layer) {
+    if (layer.tagName === 'VIDEO') {
+        layer.pause();
+        layer.removeAttribute('src');
+        layer.load();
+    }
+    if (layer.parentNode) layer.parentNode.removeChild(layer);
+}
+
+// 背景文件类型：图片或视频，其它返回 null
+getBackgroundFileType(file) {
+    const type = file.type || '';
+    if (type.startsWith('image/') || /\.(jpe?g|png|gif|webp|bmp)$/i.test(file.name)) return 'image';
+    if (type.startsWith('video/') || /\.(mp4|webm|mov|m4v|ogv)$/i.test(file.name)) return 'video';
+    return null;
+}
+
+// 只接受颜色值和渐变，防止写入 url() 等其它 CSS
+sanitizeBackgroundColor(value) {
+    const color = String(value || '').trim();
+    if (!color || color.length > 300 || /url\s*\(|[;{}<>]/i.test(color)) return null;
+    const isColor = /^#[0-9a-f]{3,8}$/i.test(color) || /^(rgba?|hsla?)\([^()]*\)$/i.test(color);
+    const isGradient = /^(repeating-)?(linear|radial|conic)-gradient\((?:[^()]|\([^()]*\))*\)$/i.test(color);
+    return isColor || isGradient ? color : null;
+}
+
+// 为歌曲指定背景，传 null 清除
+setSongBackground(songIndex, background) {
+    const song = this.songs[songIndex];
+    if (!song) return;
+
+    if (background) {
+        song.background = background;
+    } else {
+        delete song.background;
+    }
+    if (songIndex === this.currentSongIndex) {
+        this.applySongBackground(song);
+    }
+    this.updatePlaylist();
+    this.scheduleLibrarySave();
+}
+
+// 用图片或视频文件作为歌曲背景，成功时返回 true
+assignSongBackgroundFile(songIndex, file) {
+    const song = this.songs[songIndex];
+    const type = file ? this.getBackgroundFileType(file) : null;
+    if (!song || !type) {
+        this.showNotification('请选择图片或视频文件作为歌曲背景', 'warning');
+        return false;
+    }
+
+    this.setSongBackground(songIndex, { type, file, fileName: file.name });
+    this.showNotification(`已将${type === 'video' ? '视频' : '图片'} "${file.name}" 设为 "${song.name}" 的背景`, 'success');
+    return true;
+}
+
+// 用纯色或渐变作为歌曲背景，成功时返回 true
+setSongBackgroundColor(songIndex, value) {
+    const color = this.sanitizeBackgroundColor(value);
+    if (!color) {
+        this.showNotification('无效的颜色或渐变', 'warning');
+        return false;
+    }
+    this.setSongBackground(songIndex, { type: 'color', color });
+    return true;
+}
+
+// 导出/保存用的背景数据；图片视频只记录文件名，文件本身按需单独保存到本地曲库
+serializeSongBackground(background) {
+    if (!background) return null;
+    if (background.type === 'color') return { type: 'color', color: background.color };
+    return { type: background.type, fileName: background.fileName || (background.file && background.file.name) || '' };
+}
+
+// 校验导入或恢复的背景数据
+parseSongBackground(data) {
+    if (!data || typeof data !== 'object') return null;
+    if (data.type === 'color') {
+        const color = this.sanitizeBackgroundColor(data.color);
+        return color ? { type: 'color', color } : null;
+    }
+    if (data.type !== 'image' && data.type !== 'video') return null;
+
+    const file = typeof Blob !== 'undefined' && data.file instanceof Blob ? data.file : null;
+    const fileName = typeof data.fileName === 'string' ? data.fileName : (file && file.name) || '';
+    if (!file && !fileName) return null;
+    const background = { type: data.type, fileName };
+    if (file) background.file = file;
+    return background;
+}
+
+// 把新加载的文件重新关联到导入时缺少文件的歌曲背景，返回已使用的文件
+relinkSongBackgrounds(files) {
+    const used = [];
+    this.songs.forEach((song, index) => {
+        const background = song.background;
+        if (!background || background.type === 'color' || background.file) return;
+        const file = files.find(candidate => candidate.name === background.fileName);
+        if (!file) return;
+        background.file = file;
+        used.push(file);
+        if (index === this.currentSongIndex) this.applySongBackground(song);
+    });
+    if (used.length > 0) {
+        log('重新关联歌曲背景文件:', used.length, '个');
+        this.updatePlaylist();
+        this.scheduleLibrarySave();
+    }
+    return used;
+}
+
+// 打开歌曲背景设置弹窗
+showSongBackgroundDialog(songIndex) {
+    const modal = document.getElementById('songBackgroundModal');
+    const song = this.songs[songIndex];
+    if (!modal || !song) return;
+
+    this.songBackgroundTarget = song;
+    const title = document.getElementById('songBackgroundTitle');
+    if (title) title.textContent = song.name;
+    const gradientInput = document.getElementById('songBackgroundGradient');
+    if (gradientInput) {
+        gradientInput.value = song.background && song.background.type === 'color' && song.background.color.includes('gradient')
+            ? song.background.color
+            : '';
+    }
+    modal.style.display = 'flex';
+    modal.style.opacity = '1';
+}
+
+closeSongBackgroundDialog() {
+    const modal = document.getElementById('songBackgroundModal');
+    if (modal) modal.style.display = 'none';
+    this.songBackgroundTarget = null;
+}
+
+// 背景设置弹窗当前对应的歌曲索引（列表可能已重新排序）
+getSongBackgroundTargetIndex() {
+    return this.songBackgroundTarget ? this.songs.indexOf(this.songBackgroundTarget) : -1;
+}
+
+// 文件所在文件夹（拖放的文件没有路径，视为同一文件夹）
+getFileFolder(file) {
+    const path = (file && file.webkitRelativePath) || '';
+    return path.split('/').slice(0, -1).join('/');
+}
+
+// 图片是否为封面：cover.jpg 等固定文件名，或与歌曲/音频同名
+isCoverImageFile(file, extraNames = []) {
+    const baseName = file.name.replace(/\.[^/.]+$/, '').toLowerCase();
+    if (CONFIG.COVER.FILE_NAMES.includes(baseName)) return true;
+
+    const names = [...extraNames];
+    this.songs.forEach(song => {
+        names.push(song.name);
+        if (song.audioFile) names.push(song.audioFile.name.replace(/\.[^/.]+$/, ''));
+    });
+    return names.some(name => name.toLowerCase() === baseName);
+}
+
+// 登记封面图片，按文件夹和文件名查找
+registerCoverImages(imageFiles) {
+    imageFiles.forEach(file => {
+        const baseName = file.name.replace(/\.[^/.]+$/, '').toLowerCase();
+        this.coverImages.set(`${this.getFileFolder(file)}/${baseName}`, file);
+    });
+    log('登记封面图片:', imageFiles.length, '张');
+    this.applySongBackground();
+}
+
+// 歌曲封面：内嵌封面 > 同文件夹的同名图片 > 同文件夹的 cover.jpg
+getSongCoverUrl(song) {
+    const embeddedUrl = this.getCoverArtUrl(song);
+    if (embeddedUrl) return embeddedUrl;
+    if (this.coverImages.size === 0) return null;
+
+    const names = [song.name.toLowerCase()];
+    if (song.audioFile) names.unshift(song.audioFile.name.replace(/\.[^/.]+$/, '').toLowerCase());
+    const folders = [...new Set([song.audioFile, song.lyricFile].filter(Boolean).map(file => this.getFileFolder(file)))];
+    if (folders.length === 0) folders.push('');
+
+    for (const candidates of [names, CONFIG.COVER.FILE_NAMES]) {
+        for (const folder of folders) {
+            const file = candidates.map(name => this.coverImages.get(`${folder}/${name}`)).find(Boolean);
+            if (file) return this.getMediaObjectUrl(file);
+        }
+    }
+    return null;
+}
+
+getMediaObjectUrl(file) {
+    if (!this.mediaObjectUrls.has(file)) {
+        const url = URL.createObjectURL(file);
+        this.trackObjectUrl(url);
+        this.mediaObjectUrls.set(file, url);
+    }
+    return this.mediaObjectUrls.get(file);
+}
+
+parseLrc(lrcContent) {
+    // 先校验参数，避免空值导致异常
+    if (!lrcContent || typeof lrcContent !== 'string') {
+        throw new Error('无效的歌词文件内容');
+    }
+
+    const lyrics = [];
+    const lines = lrcContent.split('\n');
+        let offsetSeconds = 0;
+
+    lines.forEach((line, index) => {
+        try {
+            if (CONFIG.LRC.APPLY_OFFSET) {
+                const offsetMatch = line.match(/\[offset:([+-]?\d+)\]/i);
+                if (offsetMatch) {
+                    const offsetMs = parseInt(offsetMatch[1], 10);
+                    if (!isNaN(offsetMs)) {
+                        offsetSeconds = offsetMs / 1000;
+                    }
+                    return;
+                }
+            }
+
+            // 行首可能有多个时间标签（压缩格式），如 [00:12.00][01:05.30]副歌
+            const match = line.match(/((?:\[\d+:\d+(?:\.\d+)?\]\s*)+)(.*)/);
+            if (match) {
+                const rawText = match[2];
+                const tagPattern = /\[(\d+):(\d+)(?:\.(\d+))?\]/g;
+                const times = [];
+                let tagMatch;
+
+                while ((tagMatch = tagPattern.exec(match[1])) !== null) {
+                    const minutes = parseInt(tagMatch[1]);
+                    const seconds = parseInt(tagMatch[2]);
+                    if (isNaN(minutes) || isNaN(seconds) || minutes < 0 || seconds < 0 || seconds >= 60) {
+                        throw new Error(`第${index + 1}行时间格式错误: ${line}`);
+                    }
+                    times.push(Math.max(0, this.parseLrcTimestamp(tagMatch[1], tagMatch[2], tagMatch[3]) + offsetSeconds));
+                }
+
+                // 逐字时间以第一个时间标签为基准，重复出现的行按时间差平移
+                const firstTime = times[0];
+                const baseWords = this.parseWordTimings(rawText, firstTime, offsetSeconds);
+                const text = baseWords ? baseWords.map(word => word.text).join('') : rawText.trim();
+
+                times.forEach(time => {
+                    const entry = { time, text: text || '♪' };
+                    if (baseWords) {
+                        const shift = time - firstTime;
+                        entry.words = baseWords.map(word => ({
+                            time: word.time + shift,
+                            end: word.end === null ? null : word.end + shift,
+                            text: word.text
+                        }));
+                    }
+                    lyrics.push(entry);
+                });
+            }
+        } catch (error) {
+            warn(`解析歌词第${index + 1}行失败:`, line, error.message);
+        }
+    });
+
+    const sortedLyrics = lyrics.sort((a, b) => a.time - b.time);
+    if (!CONFIG.LRC.MERGE_DUPLICATES) {
+        return this.fillWordEndTimes(sortedLyrics);
+    }
+
+    const mergedLyrics = [];
+    sortedLyrics.forEach(line => {
+        const lastLine = mergedLyrics[mergedLyrics.length - 1];
+        if (lastLine && Math.abs(lastLine.time - line.time) < 0.001) {
+            // 同一时间戳的后续行视为翻译，作为副文本单独显示
+            lastLine.secondary = (lastLine.secondary || []).concat(line.text);
+            return;
+        }
+        const entry = { time: line.time, text: line.text };
+        if (line.words) entry.words = line.words;
+        mergedLyrics.push(entry);
+    });
+
+    return this.fillWordEndTimes(mergedLyrics);
+}
+
+// 判断是否为支持的歌词文件 (LRC/TXT/SRT/VTT/ASS/SSA)
+isLyricFile(fileName) {
+    const ext = fileName.toLowerCase().split('.').pop();
+    return ['lrc', 'txt', 'srt', 'vtt', 'ass', 'ssa'].includes(ext);
+}
+
+// 以字节读取文本文件并解码；未指定 encoding 时自动检测 (BOM/UTF-16/UTF-8/GBK/Big5/Shift_JIS)
+readLyricText(file, encoding = null) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                resolve(decodeText(e.target.result, encoding));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        reader.onerror = (error) => reject(error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// 按扩展名选择解析器，统一返回 { lyrics, meta }
+parseLyricFile(content, fileName) {
+    const ext = fileName.toLowerCase().split('.').pop();
+    if (ext === 'srt') {
+        return { lyrics: this.parseSrt(content), meta: {} };
+    }
+    if (ext === 'vtt') {
+        return { lyrics: this.parseVtt(content), meta: {} };
+    }
+    if (ext === 'ass' || ext === 'ssa') {
+        return { lyrics: this.parseAss(content), meta: this.parseAssMetadata(content) };
+    }
+    return { lyrics: this.parseLrc(content), meta: this.parseLrcMetadata(content) };
+}
+
+// 解析 SubRip (.srt) 字幕
+parseSrt(content) {
+    return this.parseTimedCues(content);
+}
+
+// 解析 WebVTT (.vtt) 字幕
+parseVtt(content) {
+    if (typeof content === 'string' && !/^\uFEFF?WEBVTT/.test(content.trimStart())) {
+        warn('VTT 文件缺少 WEBVTT 头部，按字幕格式继续解析');
+    }
+    return this.parseTimedCues(content);
+}
+
+// SRT/VTT 通用的字幕块解析，保留每条字幕的结束时间
+parseTimedCues(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('无效的歌词文件内容');
+    }
+
+    const timingPattern = /((?:\d+:)?\d{1,2}:\d{1,2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{1,2}[,.]\d{1,3})/;
+    const cues = [];
+    const blocks = content.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+
+    blocks.forEach((block, index) => {
+        const lines = block.split(/\r?\n/);
+        const timingIndex = lines.findIndex(line => timingPattern.test(line));
+        if (timingIndex < 0) return; // WEBVTT 头部、NOTE、STYLE 等非字幕块
+
+        const timingMatch = lines[timingIndex].match(timingPattern);
+        const time = this.parseCueTimestamp(timingMatch[1]);
+        const end = this.parseCueTimestamp(timingMatch[2]);
+        if (time === null || end === null) {
+            warn(`解析字幕第${index + 1}块失败:`, lines[timingIndex]);
+            return;
+        }
+
+        // 多行字幕按合并歌词的惯例用 " / " 连接，并去除 <i>、<c.xxx>、<v 人名> 等标记
+        const text = lines.slice(timingIndex + 1)
+            .map(line => line.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, '').trim())
+            .filter(Boolean)
+            .join(' / ');
+        if (!text) return;
+
+        cues.push({ time, end: Math.max(time, end), text });
+    });
+
+    return cues.sort((a, b) => a.time - b.time);
+}
+
+// 解析 ASS/SSA 字幕：Dialogue 事件映射为歌词行，\k 标签映射为逐字时间，样式主色映射为行颜色
+parseAss(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('无效的歌词文件内容');
+    }
+
+    const styles = new Map();
+    const lyrics = [];
+    let section = '';
+    let styleFormat = [];
+    let eventFormat = [];
+
+    content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].toLowerCase();
+            return;
+        }
+
+        const fieldMatch = line.match(/^([A-Za-z]+):\s*(.*)$/);
+        if (!fieldMatch) return;
+        const [, key, value] = fieldMatch;
+
+        try {
+            if (section.includes('styles')) {
+                if (key === 'Format') {
+                    styleFormat = value.split(',').map(field => field.trim().toLowerCase());
+                } else if (key === 'Style') {
+                    const fields = value.split(',').map(field => field.trim());
+                    const name = fields[styleFormat.indexOf('name')];
+                    const colour = fields[styleFormat.indexOf('primarycolour')];
+                    if (name) styles.set(name, this.parseAssColor(colour));
+                }
+            } else if (section === 'events') {
+                if (key === 'Format') {
+                    eventFormat = value.split(',').map(field => field.trim().toLowerCase());
+                } else if (key === 'Dialogue') {
+                    const entry = this.parseAssDialogue(value, eventFormat, styles);
+                    if (entry) lyrics.push(entry);
+                }
+            }
+        } catch (error) {
+            warn(`解析字幕第${index + 1}行失败:`, rawLine, error.message);
+        }
+    });
+
+    const sortedLyrics = lyrics.sort((a, b) => a.time - b.time);
+    if (!CONFIG.LRC.MERGE_DUPLICATES) {
+        return sortedLyrics;
+    }
+
+    // 与 LRC 一致：同一开始时间的多条事件合并为一行
+    const mergedLyrics = [];
+    sortedLyrics.forEach(line => {
+        const lastLine = mergedLyrics[mergedLyrics.length - 1];
+        if (lastLine && Math.abs(lastLine.time - line.time) < 0.001) {
+            lastLine.secondary = (lastLine.secondary || []).concat(line.text);
+            lastLine.end = Math.max(lastLine.end, line.end);
+            return;
+        }
+        mergedLyrics.push(line);
+    });
+    return mergedLyrics;
+}
+
+// 解析单条 Dialogue 事件，文本字段可能包含逗号，因此只按格式字段数切分
+parseAssDialogue(value, eventFormat, styles) {
+    const format = eventFormat.length > 0
+        ? eventFormat
+        : ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+    const parts = value.split(',');
+    const fields = parts.slice(0, format.length - 1);
+    fields.push(parts.slice(format.length - 1).join(','));
+
+    const field = (name) => {
+        const fieldIndex = format.indexOf(name);
+        return fieldIndex >= 0 && fields[fieldIndex] !== undefined ? fields[fieldIndex].trim() : '';
+    };
+
+    const time = this.parseAssTimestamp(field('start'));
+    const end = this.parseAssTimestamp(field('end'));
+    if (time === null || end === null) {
+        throw new Error(`时间格式错误: ${field('start')} / ${field('end')}`);
+    }
+
+    const rawText = fields[format.indexOf('text')] || '';
+    const words = this.parseAssKaraoke(rawText, time);
+    const text = words
+        ? words.map(word => word.text).join('')
+        : this.stripAssTags(rawText);
+    if (!text) return null;
+
+    const entry = { time, end: Math.max(time, end), text };
+    if (words) entry.words = words;
+
+    // 行内 \c / \1c 颜色优先于样式主色
+    const inlineColor = rawText.match(/\\1?c(&H[0-9A-Fa-f]+&?)/);
+    const color = inlineColor ? this.parseAssColor(inlineColor[1]) : styles.get(field('style'));
+    if (color) entry.color = color;
+
+    return entry;
+}
+
+// 将 \k/\K/\kf/\ko 卡拉OK标签（单位：百分秒）转换为逐字时间，无标签时返回 null
+parseAssKaraoke(rawText, lineTime) {
+    const tagPattern = /\{([^}]*)\}/g;
+    if (!/\\[kK][fo]?\d/.test(rawText)) return null;
+
+    const words = [];
+    let cursor = lineTime;
+    let pendingDuration = 0;
+    let lastIndex = 0;
+    let match;
+
+    const pushSegment = (segment) => {
+        const text = this.stripAssTags(segment, false);
+        const start = cursor;
+        cursor = Math.round((cursor + pendingDuration) * 1000) / 1000;
+        pendingDuration = 0;
+        if (!text) return;
+        // 纯空白片段并入上一个字，保持原有的词间距
+        if (!text.trim() && words.length > 0) {
+            words[words.length - 1].text += text;
+            return;
+        }
+        words.push({ time: start, end: cursor, text });
+    };
+
+    // 只在卡拉OK标签处切分，其他覆盖标签留在片段内由 stripAssTags 去除
+    // 无文本的 \k 标签表示停顿，其时长在下一次切分时直接累加
+    while ((match = tagPattern.exec(rawText)) !== null) {
+        const karaoke = match[1].match(/\\[kK][fo]?(\d+)/);
+        if (!karaoke) continue;
+        pushSegment(rawText.slice(lastIndex, match.index));
+        pendingDuration = parseInt(karaoke[1], 10) / 100;
+        lastIndex = tagPattern.lastIndex;
+    }
+    pushSegment(rawText.slice(lastIndex));
+
+    const visibleWords = words.filter(word => word.text.trim());
+    if (visibleWords.length === 0) return null;
+
+    visibleWords[0].text = visibleWords[0].text.trimStart();
+    const lastWord = visibleWords[visibleWords.length - 1];
+    lastWord.text = lastWord.text.trimEnd();
+    return visibleWords;
+}
+
+// 去除 ASS 覆盖标签，\N/\n 换行按合并歌词的惯例转换为 " / "
+stripAssTags(text, trim = true) {
+    const stripped = text
+        .replace(/\{[^}]*\}/g, '')
+        .replace(/\\[Nn]/g, ' / ')
+        .replace(/\\h/g, ' ');
+    return trim ? stripped.trim() : stripped;
+}
+
+// 解析 ASS 时间戳 h:mm:ss.cc
+parseAssTimestamp(value) {
+    const match = value.match(/^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/);
+    if (!match) return null;
+    const fraction = match[4] ? parseInt(match[4].padEnd(3, '0'), 10) / 1000 : 0;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10) + fraction;
+}
+
+// 将 ASS 颜色 (&HAABBGGRR，SSA 也可能是十进制) 转换为 CSS 颜色
+// 纯白为默认样式颜色，不覆盖主题配色，返回 null
+parseAssColor(value) {
+    if (!value) return null;
+    const hexMatch = value.trim().match(/^&H([0-9A-Fa-f]+)&?$/);
+    const numeric = hexMatch ? parseInt(hexMatch[1], 16) : parseInt(value, 10);
+    if (!Number.isFinite(numeric)) return null;
+
+    const red = numeric & 0xFF;
+    const green = (numeric >>> 8) & 0xFF;
+    const blue = (numeric >>> 16) & 0xFF;
+    const alpha = (numeric >>> 24) & 0xFF; // 0 为不透明
+    if (red === 255 && green === 255 && blue === 255 && alpha === 0) return null;
+
+    const toHex = (channel) => channel.toString(16).padStart(2, '0');
+    if (alpha === 0) {
+        return `#${toHex(red)}${toHex(green)}${toHex(blue)}`;
+    }
+    return `rgba(${red}, ${green}, ${blue}, ${Math.round((1 - alpha / 255) * 100) / 100})`;
+}
+
+// 读取 [Script Info] 中的标题
+parseAssMetadata(content) {
+    const meta = {};
+    if (!content || typeof content !== 'string') {
+        return meta;
+    }
+    const titleMatch = content.match(/^Title:\s*(.+)$/m);
+    if (titleMatch) {
+        const title = titleMatch[1].trim();
+        if (title && !/^(<untitled>|Default Aegisub file)$/i.test(title)) {
+            meta.title = title;
+        }
+    }
+    return meta;
+}
+
+// 解析字幕时间戳 (hh:)mm:ss,ttt / (hh:)mm:ss.ttt，无效时返回 null
+parseCueTimestamp(value) {
+    const match = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+    if (!match) return null;
+
+    const hours = match[1] ? parseInt(match[1], 10) : 0;
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+    if (minutes >= 60 || seconds >= 60) return null;
+
+    const milliseconds = parseInt(match[4].padEnd(3, '0'), 10);
+    return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
+}
+
+// 解析 LRC 头部的 ID 标签 ([ti]/[ar]/[al]/[by]/[length])
+parseLrcMetadata(lrcContent) {
+    const meta = {};
+    if (!lrcContent || typeof lrcContent !== 'string') {
+        return meta;
+    }
+
+    const tagKeys = { ti: 'title', ar: 'artist', al: 'album', by: 'author', length: 'length' };
+    lrcContent.split('\n').forEach(line => {
+        const match = line.trim().match(/^\[(ti|ar|al|by|length)\s*:(.*)\]$/i);
+        if (!match) return;
+
+        const key = tagKeys[match[1].toLowerCase()];
+        const value = match[2].trim();
+        if (!value || meta[key] !== undefined) return;
+
+        if (key === 'length') {
+            const length = this.parseLengthTag(value);
+            if (length > 0) meta.length = length;
+        } else {
+            meta[key] = value;
+        }
+    });
+
+    return meta;
+}
+
+// 解析 [length] 标签，支持 "mm:ss(.xx)" 与纯秒数两种写法
+parseLengthTag(value) {
+    const clockMatch = value.match(/^(\d+):(\d{1,2})(?:\.(\d+))?$/);
+    if (clockMatch) {
+        return this.parseLrcTimestamp(clockMatch[1], clockMatch[2], clockMatch[3]);
+    }
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) ? seconds : 0;
+}
+
+// 将 LRC 时间标签的分、秒、小数部分转换为秒数（小数部分按百分秒处理）
+parseLrcTimestamp(minutes, seconds, fraction) {
+    const centiseconds = fraction ? parseInt(fraction.padEnd(2, '0').slice(0, 2)) : 0;
+    return parseInt(minutes) * 60 + parseInt(seconds) + centiseconds / 100;
+}
+
+// 解析增强型 LRC 的逐字时间标签 <mm:ss.xx>，无逐字标签时返回 null
+parseWordTimings(rawText, lineTime, offsetSeconds = 0) {
+    const tagPattern = /<(\d+):(\d+)(?:\.(\d+))?>/g;
+    if (!rawText || !rawText.includes('<')) return null;
+
+    const words = [];
+    let cursor = 0;
+    let wordStart = lineTime;
+    let hasTag = false;
+    let match;
+
+    const pushWord = (text, end) => {
+        if (!text) return;
+        // 纯空白片段并入上一个字，保持原有的词间距
+        if (!text.trim() && words.length > 0) {
+            words[words.length - 1].text += text;
+            return;
+        }
+        words.push({ time: wordStart, end, text });
+    };
+
+    while ((match = tagPattern.exec(rawText)) !== null) {
+        const seconds = parseInt(match[2]);
+        if (seconds >= 60) continue;
+
+        hasTag = true;
+        const tagTime = Math.max(0, this.parseLrcTimestamp(match[1], match[2], match[3]) + offsetSeconds);
+        pushWord(rawText.slice(cursor, match.index), tagTime);
+        wordStart = tagTime;
+        cursor = tagPattern.lastIndex;
+    }
+
+    if (!hasTag) return null;
+    pushWord(rawText.slice(cursor), null);
+
+    const visibleWords = words.filter(word => word.text.trim());
+    if (visibleWords.length === 0) return null;
+
+    // 去除首尾空白，使逐字文本拼接后与整行文本一致
+    visibleWords[0].text = visibleWords[0].text.trimStart();
+    const lastWord = visibleWords[visibleWords.length - 1];
+    lastWord.text = lastWord.text.trimEnd();
+    return visibleWords;
+}
+
+// 为缺少结束时间的末字补全结束时间（取下一句开始时间）
+fillWordEndTimes(lyrics) {
+    lyrics.forEach((line, index) => {
+        if (!line.words) return;
+        const nextLine = lyrics[index + 1];
+        line.words.forEach(word => {
+            if (word.end === null || word.end === undefined) {
+                word.end = nextLine
+                    ? Math.max(word.time, nextLine.time)
+                    : word.time + CONFIG.LRC.LAST_WORD_DURATION;
+            }
+        });
+    });
+    return lyrics;
+}
+
+    addSong(song) {
+    // 确保新歌曲有默认的userMode
+    if (!song.userMode) {
+        song.userMode = 'auto';
+    }
+
+    // 检查是否已存在同名歌曲，避免重复添加
+    const existingSong = this.songs.find(s => s.name === song.name);
+    if (existingSong) {
+        warn(`歌曲 "${song.name}" 已存在，跳过重复添加`);
+        return;
+    }
+
+    // 恢复该歌曲上次保存的同步偏移
+    if (!Number.isFinite(song.audioOffset)) {
+        const savedOffset = Number(this.songOffsets[song.name]);
+        song.audioOffset = Number.isFinite(savedOffset) ? savedOffset : 0;
+    }
 
     this.songs.push(song);
     log('歌曲添加到列表:', song.name, '总时长:', this.formatTime(song.duration));
     this.updatePlaylist();
+    this.scheduleLibrarySave();
     this.updateStatusIndicator();
 
         // 如果这是第一首歌，自动选中
@@ -1113,6 +2632,7 @@ parseLrc(lrcContent) {
     }
 
 updatePlaylist() {
+    this.broadcastMonitorSong(); // 列表、顺序或当前歌曲变化都会影响监听屏
     if (this.isPlaylistUpdatePending) return;
     this.isPlaylistUpdatePending = true;
     this.scheduleFrame(() => {
@@ -1148,7 +2668,12 @@ updatePlaylist() {
 
         // 获取歌曲模式并显示相应图标
         const songMode = this.getSongMode(song);
-        const safeName = escapeHtml(song.name);
+        const meta = song.meta || {};
+        const safeName = escapeHtml(meta.title ? this.getSongDisplayName(song) : song.name);
+        const tooltip = [song.name, meta.album, meta.author ? `歌词: ${meta.author}` : '']
+            .filter(Boolean)
+            .join('\n');
+        const safeTooltip = escapeHtml(tooltip);
         let modeIcon = '';
         let modeTitle = '';
         switch (songMode) {
@@ -1171,9 +2696,13 @@ updatePlaylist() {
                 <div class="song-index-num">${index + 1}</div>
                 <div class="song-mode-icon" title="${modeTitle}" style="font-size: 10px; margin-right: 4px;">${modeIcon}</div>
                 ${this.createModeSelector(song, index)}
-                <div class="song-name" title="${safeName}">${safeName}</div>
+                ${this.createEncodingSelector(song, index)}
+                <div class="song-name" title="${safeTooltip}">${safeName}</div>
+                ${song.lyricSource === 'embedded' ? '<span class="song-lyric-source" title="歌词来自音频文件内嵌标签">内嵌</span>' : ''}
+                ${this.isAudioPlaceholder(song) ? `<span class="song-lyric-source" title="${escapeHtml(`音频未加载，拖入 ${song.audioFileName} 即可恢复`)}">待关联</span>` : ''}
                 <div class="song-duration">${this.formatTime(song.duration)}</div>
                 <div class="song-controls">
+                    ${this.createBackgroundButton(song, index)}
                     <button class="song-control-btn delete-btn" data-action="delete" data-index="${index}" title="删除">×</button>
                 </div>
             `;
@@ -1199,9 +2728,17 @@ updatePlaylist() {
                 return;
             }
 
-            // 如果点击的是拖拽手柄或模式选择器，不执行切换歌曲
+            // 背景按钮打开歌曲背景设置
+            if (e.target.dataset.action === 'background') {
+                e.stopPropagation();
+                this.showSongBackgroundDialog(parseInt(e.target.dataset.index));
+                return;
+            }
+
+            // 如果点击的是拖拽手柄、模式或编码选择器，不执行切换歌曲
             if (e.target.classList.contains('drag-handle') ||
-                e.target.classList.contains('mode-selector')) {
+                e.target.classList.contains('mode-selector') ||
+                e.target.classList.contains('encoding-selector')) {
                 e.stopPropagation();
                 return;
             }
@@ -1212,10 +2749,12 @@ updatePlaylist() {
 
         // 双击事件
         item.addEventListener('dblclick', (e) => {
-            // 如果点击的是删除按钮、拖拽手柄或模式选择器，不执行播放
+            // 如果点击的是删除/背景按钮、拖拽手柄或模式选择器，不执行播放
             if (e.target.dataset.action === 'delete' ||
+                e.target.dataset.action === 'background' ||
                 e.target.classList.contains('drag-handle') ||
-                e.target.classList.contains('mode-selector')) {
+                e.target.classList.contains('mode-selector') ||
+                e.target.classList.contains('encoding-selector')) {
                 return;
             }
 
@@ -1236,6 +2775,16 @@ updatePlaylist() {
             });
         }
 
+        // 编码选择器变化事件
+        const encodingSelector = item.querySelector('.encoding-selector');
+        if (encodingSelector) {
+            encodingSelector.addEventListener('change', (e) => {
+                e.stopPropagation();
+                const songIndex = parseInt(e.target.dataset.songIndex);
+                this.changeSongEncoding(songIndex, e.target.value);
+            });
+        }
+
         // 拖拽事件 - 初始化拖拽手柄
         const dragHandle = item.querySelector('.drag-handle');
         if (dragHandle) {
@@ -1302,6 +2851,13 @@ initSongItemDragEvents(item, dragHandle) {
     // 拖拽覆盖事件 - 绑定到歌曲项
     item.addEventListener('dragover', (e) => {
         e.preventDefault();
+
+        // 拖入的是文件（设置歌曲背景），只高亮当前项
+        if (e.dataTransfer.types.includes('Files')) {
+            e.dataTransfer.dropEffect = 'copy';
+            item.classList.add('drag-over');
+            return;
+        }
         e.dataTransfer.dropEffect = 'move';
 
         if (item !== this.draggedElement) {
@@ -1354,6 +2910,8 @@ initSongItemDragEvents(item, dragHandle) {
         item.style.borderBottom = '';
 
         if (item === this.draggedElement) return;
+        // 文件由全局 drop 处理（设置歌曲背景）
+        if (e.dataTransfer.files && e.dataTransfer.files.length > 0) return;
 
         const dragIndex = parseInt(e.dataTransfer.getData('text/plain'));
         const dropIndex = parseInt(item.dataset.index);
@@ -1394,6 +2952,7 @@ reorderSongs(fromIndex, toIndex) {
     // 更新显示
     this.updatePlaylist();
     this.updateSongDisplay();
+    this.scheduleLibrarySave();
 
     log(`歌曲从位置 ${fromIndex + 1} 移动到位置 ${toIndex + 1}`);
     this.showNotification(`歌曲已移动到第 ${toIndex + 1} 位`, 'success');
@@ -1416,9 +2975,14 @@ switchToSong(index) {
     const newSong = this.songs[this.currentSongIndex];
 
     this.currentLyricIndex = -1;
+    this.lyricGapActive = false;
     this.currentTime = 0;
     this.pausedTime = 0;
     this.lyricsCache.clear();
+    this.editorCursor = 0;
+    this.editorUndoStack = [];
+    this.audioOffset = Number.isFinite(newSong.audioOffset) ? newSong.audioOffset : 0;
+    this.updateOffsetDisplay();
 
     if (this.playMode === 'random' && !this.playHistory.includes(index)) {
         this.playHistory.push(index);
@@ -1438,8 +3002,12 @@ switchToSong(index) {
 
     // 4. 更新UI
     this.updateSongDisplay();
+    this.applySongBackground(newSong);
+    this.syncBackgroundVideo(true); // 同一视频背景跨歌曲时也回到新歌曲的进度
     this.updatePlaylist();
     this.updateLyricsDisplay();
+    this.updateScrollLyrics();
+    this.renderLyricEditor();
     this.progressBar.style.width = '0%';
     this.updateProgress();
     this.updateAudioMode();
@@ -1447,8 +3015,7 @@ switchToSong(index) {
     if (songMode === 'audio') {
         this.showLyrics('♪ 音频准备播放 ♪', '');
     } else if (newSong.lyrics && newSong.lyrics.length > 0) {
-        this.showLyrics(newSong.lyrics[0].text,
-            newSong.lyrics.length > 1 ? newSong.lyrics[1].text : '');
+        this.showLyricAt(newSong.lyrics, 0);
     } else {
         this.showLyrics('♪', '');
     }
@@ -1531,6 +3098,7 @@ onSongEnded() {
         song.userMode = nextMode;
         this.applyModeChange(song);
         this.updatePlaylist();
+        this.scheduleLibrarySave();
         this.updateModeToggleButton();
         this.showNotification(`切换到${this.getModeDisplayName(nextMode)}模式`, 'info');
     }
@@ -1564,6 +3132,7 @@ removeSong(index) {
 
     // 更新播放列表
     this.updatePlaylist();
+    this.scheduleLibrarySave();
     this.updateStatusIndicator();
 
     // 如果没有歌曲了
@@ -1586,9 +3155,11 @@ removeSong(index) {
         if (this.currentSongIndex >= 0 && this.currentSongIndex < this.songs.length) {
             const currentSong = this.songs[this.currentSongIndex];
 
-            // 更新顶部显示（隐藏数字前缀）
+            const displayName = this.getSongDisplayName(currentSong);
+
+            // 更新顶部显示（优先使用歌词标签，否则隐藏数字前缀）
             if (this.displaySongTitle) {
-                this.displaySongTitle.textContent = this.formatSongNameForDisplay(currentSong.name);
+                this.displaySongTitle.textContent = displayName;
             }
             if (this.displaySongIndex) {
                 this.displaySongIndex.textContent = `${this.currentSongIndex + 1} / ${this.songs.length}`;
@@ -1597,13 +3168,14 @@ removeSong(index) {
                 this.songInfo.style.display = 'block';
             }
 
-            // 更新控制面板显示（隐藏数字前缀）
+            // 更新控制面板显示
             if (this.currentSongName) {
-                this.currentSongName.textContent = this.formatSongNameForDisplay(currentSong.name);
+                this.currentSongName.textContent = displayName;
             }
             if (this.currentSongStatus) {
                 this.currentSongStatus.textContent = this.isPlaying ? '播放中' : '已暂停';
             }
+            this.updateSongTagDisplay(currentSong);
             if (this.currentSongInfo) {
                 this.currentSongInfo.style.display = 'block';
             }
@@ -1620,6 +3192,28 @@ removeSong(index) {
         }
     }
 
+    // 控制面板中显示音频标签的专辑、音轨号和封面
+    updateSongTagDisplay(song) {
+        const tags = this.getSongTags(song);
+        if (this.currentSongAlbum) {
+            const parts = [];
+            if (tags && tags.album) parts.push(tags.album);
+            if (tags && tags.track) parts.push(`第 ${tags.track} 首`);
+            this.currentSongAlbum.textContent = parts.join(' · ');
+            this.currentSongAlbum.style.display = parts.length > 0 ? '' : 'none';
+        }
+        if (this.currentSongCover) {
+            const coverUrl = this.getCoverArtUrl(song);
+            if (coverUrl) {
+                this.currentSongCover.src = coverUrl;
+                this.currentSongCover.style.display = '';
+            } else {
+                this.currentSongCover.removeAttribute('src');
+                this.currentSongCover.style.display = 'none';
+            }
+        }
+    }
+
     updateStatusIndicator() {
         if (!this.statusIndicator) {
             return;
@@ -1663,16 +3257,39 @@ removeSong(index) {
         this.modeToggleButton.title = titleMap[mode] || '切换模式 (C)';
     }
 
-    showLyrics(current, next = '') {
+    showLyrics(current, next = '', words = null, color = null, translation = '') {
         if (!this.currentLyricEl || !this.nextLyricEl) {
             return;
         }
+        // 逐字时间、行颜色或翻译变化时（如重复的副歌）即使文本相同也要重新渲染
+        const wordsChanged = (words || null) !== (this.karaokeWords || null);
+        const colorChanged = (color || null) !== (this.currentLyricColor || null);
+        const translationChanged = (translation || '') !== this.currentTranslation;
+        this.karaokeWords = words || null;
+        this.currentLyricColor = color || null;
+        this.currentTranslation = translation || '';
+        this.stageLyrics = { current, next, translation: translation || '', color: color || null };
+        this.broadcastStageState();
+        this.updateLedMatrixText();
+
         // 避免不必要的DOM更新
-        if (this.currentLyricEl.textContent !== current) {
+        if (this.currentLyricEl.textContent !== current || wordsChanged || colorChanged || translationChanged) {
             // 使用 requestAnimationFrame 批量更新DOM，减少重排
             this.scheduleFrame(() => {
-                this.currentLyricEl.textContent = current;
+                // 字幕样式颜色覆盖主题颜色，空值时恢复主题
+                this.currentLyricEl.style.color = color || '';
+                this.currentLyricEl.style.setProperty('--karaoke-fill', color || '');
+
+                if (words && words.length > 0) {
+                    this.renderKaraokeLine(current, words);
+                } else {
+                    this.karaokeWordEls = [];
+                    this.currentLyricEl.textContent = current;
+                }
                 this.nextLyricEl.textContent = next;
+                if (this.translationLyricEl) {
+                    this.translationLyricEl.textContent = translation || '';
+                }
 
                 // 添加入场动画 - 使用双重 rAF 确保动画正常执行
                 this.currentLyricEl.classList.remove('entering');
@@ -1683,6 +3300,270 @@ removeSong(index) {
         }
     }
 
+    // 将逐字歌词渲染为独立的 span，填充进度由 CSS 变量 --karaoke-progress 控制
+    renderKaraokeLine(current, words) {
+        this.currentLyricEl.textContent = '';
+        this.karaokeWordEls = words.map(word => {
+            const span = document.createElement('span');
+            span.className = 'karaoke-word';
+            span.textContent = word.text;
+            span.dataset.text = word.text;
+            this.currentLyricEl.appendChild(span);
+            return span;
+        });
+
+        // 合并后的行可能带有额外文本（如翻译），作为普通文本追加
+        const wordsText = words.map(word => word.text).join('');
+        if (current.startsWith(wordsText) && current.length > wordsText.length) {
+            const rest = document.createElement('span');
+            rest.textContent = current.slice(wordsText.length);
+            this.currentLyricEl.appendChild(rest);
+        }
+
+        this.updateKaraokeProgress();
+    }
+
+    // 根据当前时间更新逐字填充进度
+    updateKaraokeProgress() {
+        const words = this.karaokeWords;
+        const wordEls = this.karaokeWordEls;
+        if (!words || !wordEls || wordEls.length === 0) return;
+
+        wordEls.forEach((el, index) => {
+            const word = words[index];
+            if (!word) return;
+            const duration = Math.max(word.end - word.time, 0.001);
+            const ratio = Math.max(0, Math.min((this.currentTime - word.time) / duration, 1));
+            const progress = `${(ratio * 100).toFixed(1)}%`;
+            if (el._karaokeProgress !== progress) {
+                el._karaokeProgress = progress;
+                el.style.setProperty('--karaoke-progress', progress);
+            }
+        });
+    }
+
+// 按双语设置取行的主显示文本：仅翻译模式下有翻译时显示翻译
+getLyricMainText(line) {
+    if (!line) return '';
+    if (this.translationMode === 'translation' && line.secondary && line.secondary.length > 0) {
+        return line.secondary.join(' / ');
+    }
+    return line.text;
+}
+
+// 取显示在当前行下方的翻译文本，仅在原文+翻译模式下显示
+getLyricTranslation(line) {
+    if (!line || this.translationMode !== 'both' || !line.secondary) return '';
+    return line.secondary.join(' / ');
+}
+
+// 显示指定索引的歌词行（含下一行与翻译）
+showLyricAt(lyrics, index) {
+    const line = lyrics[index];
+    const nextLine = index < lyrics.length - 1 ? lyrics[index + 1] : null;
+    // 逐字时间属于原文，主行换成翻译时不再使用
+    const words = this.getLyricMainText(line) === line.text ? line.words : null;
+    this.showLyrics(this.getLyricMainText(line), this.getLyricMainText(nextLine), words, line.color, this.getLyricTranslation(line));
+}
+
+// 设置双语歌词显示方式
+setTranslationMode(mode) {
+    if (!['both', 'original', 'translation'].includes(mode)) return;
+    this.translationMode = mode;
+
+    document.querySelectorAll('.translation-button').forEach(btn => {
+        if (btn.dataset.translationMode === mode) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+
+    // 立即按新设置重绘当前行
+    const song = this.songs[this.currentSongIndex];
+    if (song && song.lyrics && this.currentLyricIndex >= 0 && this.currentLyricIndex < song.lyrics.length && !this.lyricGapActive) {
+        this.showLyricAt(song.lyrics, this.currentLyricIndex);
+    }
+    this.broadcastMonitorSong();
+    this.updateScrollLyrics();
+    log('双语显示设置为:', mode);
+}
+
+// 设置歌词视图：当前句+下一句，或整首歌词滚动（当前行居中高亮，前后行渐隐）
+setDisplayMode(mode) {
+    if (!['lines', 'scroll'].includes(mode)) return;
+    this.displayMode = mode;
+    if (mode === 'scroll') {
+        document.body.classList.add('display-scroll');
+    } else {
+        document.body.classList.remove('display-scroll');
+    }
+
+    document.querySelectorAll('.display-mode-button').forEach(btn => {
+        if (btn.dataset.displayMode === mode) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+    this.scrollLyricsSource = null;
+    this.updateScrollLyrics();
+    log('歌词视图设置为:', mode);
+}
+
+// 设置 LED 点阵渲染（开关、列数、行数、点形、点距、光晕），只修改传入的字段，非法值回退为默认值
+setLedMatrixOptions(changes) {
+    this.ledMatrixOptions = normalizeLedMatrixOptions({ ...this.ledMatrixOptions, ...changes });
+    const options = this.ledMatrixOptions;
+
+    document.querySelectorAll('.led-matrix-input').forEach(input => {
+        const value = options[input.dataset.ledOption];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    });
+    document.querySelectorAll('.led-matrix-button').forEach(btn => {
+        const option = btn.dataset.ledOption;
+        const current = option === 'grid' ? `${options.cols}x${options.rows}` : options[option];
+        if (String(current) === btn.dataset.value) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+    this.applyLedMatrix();
+    log('LED 点阵设置:', options);
+}
+
+// 开启时用点阵画布代替文字显示当前句，关闭时恢复文字
+applyLedMatrix() {
+    if (!this.ledMatrixOptions.enabled) {
+        document.body.classList.remove('display-led');
+        if (this.ledMatrix) this.ledMatrix.stop();
+        return;
+    }
+
+    if (!this.ledMatrix) {
+        const canvas = document.getElementById('ledMatrixCanvas');
+        if (!canvas || !canvas.getContext) return;
+        this.ledMatrix = new LedMatrixRenderer(canvas);
+    }
+    document.body.classList.add('display-led');
+    this.ledMatrix.setOptions(this.ledMatrixOptions);
+    this.updateLedMatrixText();
+    this.ledMatrix.start();
+}
+
+// 设置输出映射（宽高、X/Y 偏移、缩放模式、旋转、镜像、测试图），只修改传入的字段，非法值回退为默认值
+setOutputMapping(changes) {
+    this.outputMapping = normalizeOutputMapping({ ...this.outputMapping, ...changes });
+    const mapping = this.outputMapping;
+
+    document.querySelectorAll('.mapping-input').forEach(input => {
+        const value = mapping[input.dataset.mapping];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    });
+    document.querySelectorAll('.mapping-button').forEach(btn => {
+        if (String(mapping[btn.dataset.mapping]) === btn.dataset.value) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+
+    this.applyOutputMapping();
+    this.broadcastStageState();
+    log('输出映射设置:', mapping);
+}
+
+// 按映射设置摆放舞台；关闭时舞台铺满窗口
+applyOutputMapping() {
+    const stage = document.getElementById('stage');
+    if (!stage) return;
+    applyStageMapping(stage, document.getElementById('testPatternCanvas'), this.outputMapping, window.devicePixelRatio || 1);
+    // 映射开关会改变歌词层宽度
+    if (this.ledMatrix && this.ledMatrixOptions.enabled) this.ledMatrix.resize();
+}
+
+// 与 showLyrics 同步：把当前句交给点阵渲染，字幕行颜色优先，否则使用主题色
+updateLedMatrixText() {
+    if (!this.ledMatrix || !this.ledMatrixOptions.enabled) return;
+    const { current, color } = this.stageLyrics;
+    this.ledMatrix.setText(current, color || getVisualizerColors(this.currentTheme).primary);
+}
+
+// 按当前歌曲重建滚动歌词列表
+renderScrollLyrics(song) {
+    const lyrics = song && Array.isArray(song.lyrics) ? song.lyrics : [];
+    this.scrollLyricsTrack.innerHTML = '';
+    this.scrollLyricEls = lyrics.map(line => {
+        const el = document.createElement('div');
+        el.className = 'scroll-lyric-line';
+        el.textContent = this.getLyricMainText(line);
+        const translation = this.getLyricTranslation(line);
+        if (translation) {
+            const sub = document.createElement('div');
+            sub.className = 'scroll-lyric-translation';
+            sub.textContent = translation;
+            el.appendChild(sub);
+        }
+        this.scrollLyricsTrack.appendChild(el);
+        return el;
+    });
+    this.scrollLyricsSource = { lyrics: song ? song.lyrics : null, translationMode: this.translationMode };
+    this.scrollActiveIndex = null;
+}
+
+// 滚动位置（以行为单位，可为小数）：新的一行开始后的一小段时间内从上一行缓动过来，
+// 完全由播放时间决定，暂停和跳转时位置保持一致
+getScrollLyricPosition(lyrics, index, time) {
+    if (!lyrics || index <= 0) return 0;
+    const progress = (time - lyrics[index].time) / CONFIG.SCROLL_LYRICS.DURATION;
+    if (!(progress >= 0 && progress < 1)) return index;
+    const eased = 1 - Math.pow(1 - progress, 3); // ease-out
+    return index - 1 + eased;
+}
+
+// 更新滚动视图：当前行变化时更新高亮与渐隐，每次调用按播放时间移动列表使当前位置居中
+updateScrollLyrics() {
+    if (this.displayMode !== 'scroll' || !this.scrollLyricsTrack || !this.scrollLyricsContainer) return;
+
+    const song = this.songs[this.currentSongIndex];
+    const source = this.scrollLyricsSource;
+    if (!source || source.lyrics !== (song ? song.lyrics : null) || source.translationMode !== this.translationMode) {
+        this.renderScrollLyrics(song);
+    }
+
+    const lineEls = this.scrollLyricEls;
+    if (lineEls.length === 0) return;
+
+    const index = Math.min(this.currentLyricIndex, lineEls.length - 1);
+    if (index !== this.scrollActiveIndex) {
+        this.scrollActiveIndex = index;
+        const focus = Math.max(index, 0);
+        lineEls.forEach((el, i) => {
+            el.classList.toggle('active', i === index);
+            el.style.opacity = i === index ? '' : Math.max(0.15, 0.7 - Math.abs(i - focus) * 0.15).toFixed(2);
+        });
+    }
+
+    const position = this.getScrollLyricPosition(song.lyrics, index, this.currentTime);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, lineEls.length - 1);
+    const center = el => el.offsetTop + el.offsetHeight / 2;
+    const offset = center(lineEls[lower]) + (center(lineEls[upper]) - center(lineEls[lower])) * (position - lower);
+    const transform = `translateY(${(this.scrollLyricsContainer.clientHeight / 2 - offset).toFixed(1)}px)`;
+    if (this.scrollLyricsTrack.style.transform !== transform) {
+        this.scrollLyricsTrack.style.transform = transform;
+    }
+}
+
 togglePlay() {
     if (this.currentSongIndex < 0 || this.currentSongIndex >= this.songs.length) {
         log('没有选择有效歌曲');
@@ -1715,6 +3596,7 @@ play() {
 
         this.isPlaying = true;
         this.playButton.textContent = '⏸';
+        this.syncBackgroundVideo(true);
 
         if (this.audioMode && this.audioElement) {
             this.audioElement.currentTime = Math.max(0, this.currentTime - this.audioOffset);
@@ -1727,11 +3609,17 @@ play() {
             if (songMode === 'audio') {
                 this.showLyrics('♪ 音乐播放中 ♪', '');
             }
+            // 同步模式同样由帧循环驱动，读取音频时钟并插值
+            this.audioClock = null;
+            this.animate();
         } else { // 纯歌词模式
             this.startTime = performance.now() - (this.pausedTime * 1000);
             this.animate();
         }
 
+        this.updateVisualizer();
+        this.broadcastStageState();
+        this.broadcastMonitorTime();
         this.updateStatusIndicator();
         this.updateSongDisplay();
         this.requestWakeLock();
@@ -1764,6 +3652,10 @@ pause() {
         this.animationId = null;
     }
 
+    this.syncBackgroundVideo();
+    this.updateVisualizer();
+    this.broadcastStageState();
+    this.broadcastMonitorTime();
     this.updateStatusIndicator();
     this.updateSongDisplay();
     this.releaseWakeLock();
@@ -1773,18 +3665,21 @@ animate() {
     if (!this.isPlaying) return;
 
     const now = performance.now();
-    const elapsed = (now - this.startTime) / 1000;
-    this.currentTime = elapsed * this.playbackSpeed;
-
-    // 音频模式由 'timeupdate' 事件驱动，这里只处理纯歌词模式
     if (this.audioMode) {
-        this.animationId = null;
-        return;
+        if (!this.audioElement) {
+            this.animationId = null;
+            return;
+        }
+        this.currentTime = this.getAudioClockTime(now) + this.audioOffset;
+    } else {
+        const elapsed = (now - this.startTime) / 1000;
+        this.currentTime = elapsed * this.playbackSpeed;
     }
 
-    // 节流更新进度条 (每100ms)
+    // 节流更新进度条 (每100ms)，同时校正背景视频
     if (now - this.lastProgressUpdate >= 100) {
         this.updateProgress();
+        this.syncBackgroundVideo();
         this.lastProgressUpdate = now;
     }
 
@@ -1794,10 +3689,48 @@ animate() {
         this.lastLyricsUpdate = now;
     }
 
+    // 滚动歌词每帧按播放时间平滑移动
+    this.updateScrollLyrics();
+
     // 继续循环
     this.animationId = this.scheduleFrame(() => this.animate());
 }
 
+// 读取音频播放位置：currentTime 在部分浏览器中只按 timeupdate 粒度更新，
+// 两次变化之间按 performance.now() 推算，音频时钟一变化就重新锚定
+getAudioClockTime(now = performance.now()) {
+    const audio = this.audioElement;
+    const mediaTime = audio.currentTime;
+
+    // 暂停、跳转或缓冲不足时不做插值
+    if (audio.paused || audio.seeking || audio.readyState < 3) {
+        this.audioClock = null;
+        return mediaTime;
+    }
+
+    const clock = this.audioClock;
+    if (!clock || clock.audio !== audio || clock.mediaTime !== mediaTime) {
+        this.audioClock = {
+            audio,
+            mediaTime,
+            perfTime: now,
+            lastTime: clock && clock.audio === audio ? clock.lastTime : mediaTime
+        };
+    }
+
+    const anchor = this.audioClock;
+    const maxExtrapolation = CONFIG.AUDIO_SYNC.MAX_EXTRAPOLATION;
+    const elapsed = (now - anchor.perfTime) / 1000 * (audio.playbackRate || 1);
+    let time = anchor.mediaTime + Math.min(Math.max(elapsed, 0), maxExtrapolation);
+
+    // 重新锚定后的微小回退视为时钟抖动，保持单调，避免逐字填充来回闪动
+    if (time < anchor.lastTime && anchor.lastTime - time < maxExtrapolation) {
+        time = anchor.lastTime;
+    }
+    anchor.lastTime = time;
+    return time;
+}
+
 seek(seconds) {
     if (this.currentSongIndex < 0) return;
 
@@ -1820,8 +3753,11 @@ setCurrentTime(time) {
         this.audioElement.currentTime = Math.max(0, time - this.audioOffset);
     }
 
+    this.syncBackgroundVideo(true);
+    this.broadcastStageTime(true);
     this.updateProgress();
     this.updateLyricsDisplay();
+    this.updateScrollLyrics();
 }
 
 seekTo(event) {
@@ -1848,6 +3784,7 @@ setPlaybackSpeed(speed) {
     if (this.audioMode && this.audioElement) {
         this.audioElement.playbackRate = speed;
     }
+    this.syncBackgroundVideo();
 
     // 更新startTime以保持进度正确
     if (this.isPlaying && !this.audioMode) {
@@ -1870,6 +3807,7 @@ setPlaybackSpeed(speed) {
 setFontScale(scale) {
     this.fontScale = scale;
     document.documentElement.style.setProperty('--font-scale', scale);
+    this.broadcastStageState();
 
     // 更新UI
     document.querySelectorAll('.font-size-button').forEach(btn => {
@@ -1896,6 +3834,9 @@ setTheme(themeName) {
     document.body.classList.remove(`theme-${this.currentTheme}`);
     this.currentTheme = themeName;
     document.body.classList.add(`theme-${themeName}`);
+    if (this.visualizer) this.visualizer.setTheme(themeName);
+    this.updateLedMatrixText();
+    this.broadcastStageState();
 
     // 更新UI
     document.querySelectorAll('.theme-button').forEach(btn => {
@@ -2184,6 +4125,24 @@ cleanup() {
     // 释放屏幕唤醒锁
     this.releaseWakeLock();
 
+    // 停止 LED 点阵渲染
+    if (this.ledMatrix) {
+        this.ledMatrix.stop();
+    }
+
+    // 关闭音频可视化
+    if (this.visualizer) {
+        this.visualizer.destroy();
+        this.visualizer = null;
+    }
+
+    // 通知投影输出窗口控制台已关闭
+    if (this.stageChannel) {
+        this.stageChannel.post('shutdown');
+        this.stageChannel.close();
+        this.stageChannel = null;
+    }
+
     log('资源清理完成');
 }
 
@@ -2240,6 +4199,8 @@ cleanup() {
     }
 
 updateProgress() {
+    this.broadcastMonitorTime();
+    this.broadcastStageTime();
     if (!this.progressBar || !this.currentTimeSpan || !this.totalTimeSpan) {
         return;
     }
@@ -2302,133 +4263,673 @@ updateLyricsDisplay() {
         }
     }
 
-    // 只有当歌词索引发生变化时才更新 DOM
-    if (activeIndex !== this.currentLyricIndex) {
-        this.currentLyricIndex = activeIndex;
+    // 字幕类歌词带有结束时间，超过结束时间且下一句未开始时显示空白
+    const activeLine = activeIndex >= 0 ? lyrics[activeIndex] : null;
+    const inGap = Boolean(activeLine && typeof activeLine.end === 'number' && this.currentTime >= activeLine.end);
+
+    // 只有当歌词索引或空白状态发生变化时才更新 DOM
+    if (activeIndex !== this.currentLyricIndex || inGap !== this.lyricGapActive) {
+        this.currentLyricIndex = activeIndex;
+        this.lyricGapActive = inGap;
+
+        if (inGap) {
+            this.showLyrics('', this.getLyricMainText(lyrics[activeIndex + 1]));
+            return;
+        }
+
+        if (activeIndex >= 0) {
+            this.showLyricAt(lyrics, activeIndex);
+        } else {
+            this.showLyrics('...', '');
+        }
+        // 更新进度指示器
+        this.updateLyricProgress();
+    }
+
+    // 逐字歌词需要在同一句内持续推进填充
+    this.updateKaraokeProgress();
+}
+
+toggleFullscreen() {
+    if (!document.fullscreenElement) {
+        document.documentElement.requestFullscreen().catch(err => {
+            log('无法进入全屏模式:', err);
+        });
+    } else {
+        document.exitFullscreen().catch(err => {
+            log('无法退出全屏模式:', err);
+        });
+    }
+}
+
+formatTime(seconds) {
+    return formatTimeUtil(seconds);
+}
+
+// 播放列表管理
+sortPlaylist() {
+    if (this.songs.length <= 1) {
+        this.showNotification('歌曲数量不足，无需排序', 'info');
+        return;
+    }
+
+    // 记录当前播放歌曲的名称
+    const currentSongName = this.currentSongIndex >= 0 ? this.songs[this.currentSongIndex].name : null;
+
+    // 智能排序：两首歌都带专辑标签时按专辑和音轨号排列，否则数字前缀优先，然后按名称
+    this.songs.sort((a, b) => {
+        const nameA = a.name;
+        const nameB = b.name;
+
+        // 不同专辑的音轨号互不可比，只在两首歌都有专辑标签时比较
+        const tagsA = this.getSongTags(a);
+        const tagsB = this.getSongTags(b);
+        if (tagsA && tagsB && tagsA.album && tagsB.album) {
+            if (tagsA.album !== tagsB.album) return tagsA.album.localeCompare(tagsB.album, 'zh-CN');
+            if (tagsA.track && tagsB.track && tagsA.track !== tagsB.track) return tagsA.track - tagsB.track;
+        }
+
+        // 提取数字前缀
+        const extractNumber = (name) => {
+            const match = name.match(/^(\d+)/);
+            return match ? parseInt(match[1]) : Infinity;
+        };
+
+        const numA = extractNumber(nameA);
+        const numB = extractNumber(nameB);
+
+        // 如果都有数字前缀，按数字排序
+        if (numA !== Infinity && numB !== Infinity) {
+            if (numA !== numB) return numA - numB;
+            // 数字相同时按名称排序
+            return nameA.localeCompare(nameB, 'zh-CN');
+        }
+
+        // 如果只有一个有数字前缀，有数字的排在前面
+        if (numA !== Infinity) return -1;
+        if (numB !== Infinity) return 1;
+
+        // 都没有数字前缀，按名称排序
+        return nameA.localeCompare(nameB, 'zh-CN');
+    });
+
+    // 重新找到当前播放歌曲的索引
+    if (currentSongName) {
+        this.currentSongIndex = this.songs.findIndex(song => song.name === currentSongName);
+    }
+
+    // 更新显示
+    this.updatePlaylist();
+    this.updateSongDisplay();
+    this.scheduleLibrarySave();
+
+    this.showNotification(`歌曲列表已排序：同专辑按音轨号，其余按名称 (${this.songs.length} 首)`, 'success');
+    log('播放列表已排序');
+}
+
+exportPlaylist() {
+    if (this.songs.length === 0) {
+        this.showNotification('播放列表为空，无法导出', 'warning');
+        return;
+    }
+
+    const playlistData = {
+        version: '1.0',
+        exportTime: new Date().toISOString(),
+        songs: this.songs.map(song => ({
+            name: song.name,
+            lyrics: Array.isArray(song.lyrics)
+                ? song.lyrics.filter(line =>
+                    line &&
+                    typeof line.time === 'number' &&
+                    !isNaN(line.time) &&
+                    typeof line.text === 'string'
+                )
+                : [],
+            duration: Number.isFinite(song.duration) && song.duration >= 0 ? song.duration : 0,
+            userMode: song.userMode || 'auto',
+            audioOffset: Number.isFinite(song.audioOffset) ? song.audioOffset : 0,
+            meta: this.sanitizeSongMeta(song.meta),
+            audioFileName: song.audioFile ? song.audioFile.name || null : song.audioFileName || null,
+            background: this.serializeSongBackground(song.background)
+        }))
+    };
+
+    const dataStr = JSON.stringify(playlistData, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    this.objectUrls.add(url);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `歌词播放列表_${new Date().toLocaleDateString()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    this.showNotification(`已导出 ${this.songs.length} 首歌曲的播放列表`, 'success');
+}
+
+// 过滤歌曲元数据，只保留已知的字符串/数字字段
+sanitizeSongMeta(meta) {
+    const result = {};
+    if (!meta || typeof meta !== 'object') {
+        return result;
+    }
+    ['title', 'artist', 'album', 'author'].forEach(key => {
+        if (typeof meta[key] === 'string' && meta[key].trim()) {
+            result[key] = meta[key].trim();
+        }
+    });
+    if (Number.isFinite(meta.length) && meta.length > 0) {
+        result.length = meta.length;
+    }
+    return result;
+}
+
+// ==================== 本地曲库持久化 ====================
+
+// 歌曲转为可存入 IndexedDB 的记录（不含音频元素等运行时对象）
+serializeSongRecord(song, order) {
+    return {
+        name: song.name,
+        order,
+        lyrics: Array.isArray(song.lyrics) ? song.lyrics : [],
+        meta: this.sanitizeSongMeta(song.meta),
+        duration: Number.isFinite(song.duration) && song.duration >= 0 ? song.duration : 0,
+        userMode: song.userMode || 'auto',
+        audioOffset: Number.isFinite(song.audioOffset) ? song.audioOffset : 0,
+        encoding: song.encoding || null,
+        audioFileName: song.audioFile ? song.audioFile.name || null : song.audioFileName || null,
+        matchConfirmed: Boolean(song.matchConfirmed),
+        lyricSource: song.lyricSource || null,
+        background: this.serializeSongBackground(song.background)
+    };
+}
+
+// 列表变化后延迟保存，合并短时间内的多次修改
+scheduleLibrarySave() {
+    if (!this.libraryStore || this.isRestoringLibrary) return;
+
+    if (this.librarySaveTimer) {
+        this.clearTimer(this.librarySaveTimer);
+    }
+    this.librarySaveTimer = setTimeout(() => {
+        this.librarySaveTimer = null;
+        this.saveLibrary();
+    }, CONFIG.LIBRARY.SAVE_DELAY);
+    this.addTimer(this.librarySaveTimer);
+}
+
+// 串行执行保存
+saveLibrary() {
+    const run = () => this.writeLibrary();
+    this.librarySaveChain = (this.librarySaveChain || Promise.resolve()).then(run, run);
+    return this.librarySaveChain;
+}
+
+async writeLibrary() {
+    if (!this.libraryStore) return;
+
+    try {
+        await this.libraryStore.saveSongs(this.songs.map((song, order) => this.serializeSongRecord(song, order)));
+
+        // 只写入新增或更换过的音频和背景媒体，其余记录按需清理
+        const keepAudio = new Set();
+        const keepBackgrounds = new Set();
+        if (this.persistAudio) {
+            for (const song of this.songs) {
+                if (song.audioFile) {
+                    if (song.persistedAudio !== song.audioFile) {
+                        await this.libraryStore.saveAudio(song.name, song.audioFile);
+                        song.persistedAudio = song.audioFile;
+                    }
+                    keepAudio.add(song.name);
+                }
+                const backgroundFile = song.background && song.background.file;
+                if (backgroundFile) {
+                    if (song.persistedBackground !== backgroundFile) {
+                        await this.libraryStore.saveBackground(song.name, backgroundFile);
+                        song.persistedBackground = backgroundFile;
+                    }
+                    keepBackgrounds.add(song.name);
+                }
+            }
+        } else {
+            this.songs.forEach(song => {
+                song.persistedAudio = null;
+                song.persistedBackground = null;
+            });
+        }
+        await this.libraryStore.pruneAudio(keepAudio);
+        await this.libraryStore.pruneBackgrounds(keepBackgrounds);
+
+        this.librarySaveFailed = false;
+        log('本地曲库已保存:', this.songs.length, '首歌曲');
+    } catch (error) {
+        console.error('保存本地曲库失败:', error);
+        // 连续失败只提示一次
+        if (!this.librarySaveFailed) {
+            this.librarySaveFailed = true;
+            this.showNotification('本地曲库保存失败，可能超出浏览器存储空间', 'error');
+        }
+    }
+    this.updateLibraryUsage();
+}
+
+// 启动时从 IndexedDB 恢复曲库
+async restoreLibrary() {
+    if (!this.libraryStore) return;
+
+    this.isRestoringLibrary = true;
+    try {
+        const records = await this.libraryStore.loadSongs();
+        let restoredCount = 0;
+        let audioCount = 0;
+        let placeholderCount = 0;
+
+        for (const record of records) {
+            if (!record || typeof record.name !== 'string') continue;
+
+            const song = {
+                name: record.name,
+                lyrics: Array.isArray(record.lyrics) ? record.lyrics : [],
+                meta: this.sanitizeSongMeta(record.meta),
+                duration: Number.isFinite(record.duration) ? record.duration : 0,
+                userMode: record.userMode || 'auto',
+                audioOffset: Number.isFinite(record.audioOffset) ? record.audioOffset : 0
+            };
+            if (record.encoding) song.encoding = record.encoding;
+            if (record.lyricSource === 'embedded') song.lyricSource = 'embedded';
+            const background = this.parseSongBackground(record.background);
+            if (background) song.background = background;
+            if (this.persistAudio && background && background.type !== 'color' && !background.file) {
+                const stored = await this.libraryStore.loadBackground(record.name);
+                if (stored && stored.file && stored.fileName === background.fileName) {
+                    background.file = stored.file;
+                    song.persistedBackground = stored.file;
+                }
+            }
+
+            if (this.persistAudio && record.audioFileName) {
+                const audio = await this.libraryStore.loadAudio(record.name);
+                if (audio && audio.file) {
+                    song.audioFile = audio.file;
+                    song.persistedAudio = audio.file;
+                    if (record.matchConfirmed) song.matchConfirmed = true;
+                    audioCount++;
+                }
+            }
+
+            // 音频未保存（或未开启保存）时记录文件名，重新加载同名音频即可关联
+            if (!song.audioFile && record.audioFileName) song.audioFileName = record.audioFileName;
+
+            // 既无歌词又无音频的记录作为待关联占位恢复，内嵌歌词随音频重新加载时再次读取；
+            // 连音频文件名都没有的记录无法恢复，跳过
+            if ((song.lyrics.length === 0 || song.lyricSource === 'embedded') && !song.audioFile) {
+                if (!song.audioFileName) continue;
+                song.lyrics = [];
+                delete song.lyricSource;
+                placeholderCount++;
+            }
+
+            this.updateSongMode(song);
+            this.addSong(song);
+            restoredCount++;
+        }
+
+        // 恢复的音频重新读取标签，用于显示和排序
+        const restoredAudio = this.songs.filter(song => song.persistedAudio).map(song => song.persistedAudio);
+        if (restoredAudio.length > 0) {
+            await Promise.all(restoredAudio.map(file => this.loadAudioTags(file)));
+            this.updatePlaylist();
+            this.updateSongDisplay();
+            this.applySongBackground();
+        }
+
+        if (restoredCount > 0) {
+            const audioHint = audioCount > 0 ? `，含 ${audioCount} 个音频` : '';
+            const placeholderHint = placeholderCount > 0 ? `，${placeholderCount} 首待重新加载音频` : '';
+            this.showNotification(`已恢复本地曲库: ${restoredCount} 首歌曲${audioHint}${placeholderHint}`, 'success');
+        }
+    } catch (error) {
+        warn('恢复本地曲库失败:', error);
+    } finally {
+        this.isRestoringLibrary = false;
+    }
+    this.updateLibraryUsage();
+}
+
+// 设置是否保存音频和背景媒体文件
+setPersistAudio(enabled) {
+    this.persistAudio = Boolean(enabled);
+    const toggle = document.getElementById('persistAudioToggle');
+    if (toggle) toggle.checked = this.persistAudio;
+}
+
+// 显示浏览器存储用量
+async updateLibraryUsage() {
+    const usageEl = document.getElementById('libraryUsage');
+    if (!usageEl) return;
+
+    if (!this.libraryStore) {
+        usageEl.textContent = '浏览器不支持本地曲库';
+        return;
+    }
+
+    try {
+        const [estimate, counts] = await Promise.all([
+            this.libraryStore.estimateUsage(),
+            this.libraryStore.countFiles()
+        ]);
+        const size = estimate
+            ? `${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)}`
+            : `${this.songs.length} 首歌曲`;
+        usageEl.textContent = `${size} · 音频 ${counts.audio} · 背景 ${counts.backgrounds}`;
+    } catch (error) {
+        warn('获取存储用量失败:', error);
+    }
+}
+
+// 清除本地曲库（不影响当前播放列表）
+purgeLibrary() {
+    if (!this.libraryStore) {
+        this.showNotification('浏览器不支持本地曲库', 'warning');
+        return;
+    }
+
+    this.showCustomConfirm('确定要清除浏览器中保存的曲库和音频吗？当前播放列表不受影响，修改列表后会重新保存。', async () => {
+        try {
+            if (this.librarySaveTimer) {
+                this.clearTimer(this.librarySaveTimer);
+                this.librarySaveTimer = null;
+            }
+            // 等待进行中的保存完成，避免清除后又被写回
+            if (this.librarySaveChain) await this.librarySaveChain;
+            await this.libraryStore.clear();
+            this.songs.forEach(song => {
+                song.persistedAudio = null;
+                song.persistedBackground = null;
+            });
+            this.showNotification('本地曲库已清除', 'success');
+        } catch (error) {
+            console.error('清除本地曲库失败:', error);
+            this.showNotification('清除本地曲库失败', 'error');
+        }
+        this.updateLibraryUsage();
+    });
+}
+
+// ==================== 歌词打轴编辑器 ====================
+
+// 秒数格式化为 LRC 时间标签内容 mm:ss.xx
+formatLrcTimestamp(seconds) {
+    const totalCentiseconds = Math.max(0, Math.round(seconds * 100));
+    const minutes = Math.floor(totalCentiseconds / 6000);
+    const secs = Math.floor((totalCentiseconds % 6000) / 100);
+    const centiseconds = totalCentiseconds % 100;
+    return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centiseconds).padStart(2, '0')}`;
+}
+
+// 将歌曲序列化为 LRC 文本，逐字时间写成增强型 LRC，翻译行使用相同时间标签
+serializeLrc(song) {
+    const meta = song.meta || {};
+    const lines = [];
+    [['ti', meta.title], ['ar', meta.artist], ['al', meta.album], ['by', meta.author]].forEach(([tag, value]) => {
+        if (value) lines.push(`[${tag}:${value}]`);
+    });
+    if (meta.length) {
+        lines.push(`[length:${this.formatLrcTimestamp(meta.length).slice(0, 5)}]`);
+    }
+
+    (song.lyrics || []).forEach(line => {
+        const stamp = `[${this.formatLrcTimestamp(line.time)}]`;
+        if (line.words && line.words.length > 0) {
+            const lastWord = line.words[line.words.length - 1];
+            const body = line.words.map(word => `<${this.formatLrcTimestamp(word.time)}>${word.text}`).join('');
+            const tail = Number.isFinite(lastWord.end) ? `<${this.formatLrcTimestamp(lastWord.end)}>` : '';
+            lines.push(`${stamp}${body}${tail}`);
+        } else {
+            lines.push(`${stamp}${line.text}`);
+        }
+        (line.secondary || []).forEach(text => lines.push(`${stamp}${text}`));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// 下载当前歌曲的 LRC 文件
+downloadLrc() {
+    const song = this.songs[this.currentSongIndex];
+    if (!song || !song.lyrics || song.lyrics.length === 0) {
+        this.showNotification('当前歌曲没有可导出的歌词', 'warning');
+        return;
+    }
+
+    const dataBlob = new Blob([this.serializeLrc(song)], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(dataBlob);
+    this.objectUrls.add(url);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${song.name}.lrc`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    this.showNotification(`已导出歌词: ${song.name}.lrc`, 'success');
+}
+
+// 整体平移一行（含结束时间与逐字时间）
+shiftLyricLine(line, delta) {
+    line.time = Math.max(0, line.time + delta);
+    if (typeof line.end === 'number') {
+        line.end = Math.max(line.time, line.end + delta);
+    }
+    if (line.words) {
+        line.words = line.words.map(word => ({
+            time: Math.max(0, word.time + delta),
+            end: typeof word.end === 'number' ? Math.max(0, word.end + delta) : word.end,
+            text: word.text
+        }));
+    }
+}
+
+// 修改前保存快照，供撤销使用
+pushLyricUndo(song) {
+    this.editorUndoStack.push({
+        song,
+        lyrics: JSON.parse(JSON.stringify(song.lyrics || [])),
+        cursor: this.editorCursor
+    });
+    if (this.editorUndoStack.length > CONFIG.EDITOR.UNDO_LIMIT) {
+        this.editorUndoStack.shift();
+    }
+}
+
+// 编辑后重新排序并刷新显示，选中行跟随原对象
+commitLyricEdit(song, selectedLine = null) {
+    song.lyrics.sort((a, b) => a.time - b.time);
+    const selectedIndex = selectedLine ? song.lyrics.indexOf(selectedLine) : -1;
+    this.editorCursor = selectedIndex >= 0
+        ? selectedIndex
+        : Math.max(0, Math.min(this.editorCursor, song.lyrics.length - 1));
 
-        const currentLyric = activeIndex >= 0 ? lyrics[activeIndex].text : '...';
-        const nextLyric = activeIndex >= 0 && activeIndex < lyrics.length - 1
-            ? lyrics[activeIndex + 1].text
-            : '';
+    this.currentLyricIndex = -1;
+    this.lyricGapActive = false;
+    this.lastLyricSearchIndex = 0;
+    this.lyricsCache.clear();
+    this.scrollLyricsSource = null; // 行内容可能已修改，重建滚动视图
+    this.updateLyricsDisplay();
+    this.updateScrollLyrics();
+    this.renderLyricEditor();
+    this.scheduleLibrarySave();
+}
 
-        this.showLyrics(currentLyric, nextLyric);
-        // 更新进度指示器
-        this.updateLyricProgress();
+// 获取可编辑的当前歌曲
+getEditableSong() {
+    const song = this.songs[this.currentSongIndex];
+    if (!song) {
+        this.showNotification('请先选择一首歌曲', 'warning');
+        return null;
     }
+    if (!Array.isArray(song.lyrics)) {
+        song.lyrics = [];
+    }
+    return song;
 }
 
-toggleFullscreen() {
-    if (!document.fullscreenElement) {
-        document.documentElement.requestFullscreen().catch(err => {
-            log('无法进入全屏模式:', err);
-        });
-    } else {
-        document.exitFullscreen().catch(err => {
-            log('无法退出全屏模式:', err);
-        });
-    }
+// 打轴：将选中行的时间设为当前播放时间并移到下一行
+stampLyricLine() {
+    const song = this.getEditableSong();
+    if (!song || song.lyrics.length === 0) return;
+
+    const index = Math.min(this.editorCursor, song.lyrics.length - 1);
+    const line = song.lyrics[index];
+    const time = this.currentTime;
+
+    this.pushLyricUndo(song);
+    this.shiftLyricLine(line, time - line.time);
+    // 后续行若早于新时间则一并推后，保证按文档顺序继续打轴
+    song.lyrics.slice(index + 1).forEach(nextLine => {
+        if (nextLine.time < time) {
+            this.shiftLyricLine(nextLine, time - nextLine.time);
+        }
+    });
+
+    const nextIndex = Math.min(index + 1, song.lyrics.length - 1);
+    this.commitLyricEdit(song, song.lyrics[nextIndex]);
 }
 
-formatTime(seconds) {
-    return formatTimeUtil(seconds);
+// 微调单行时间
+nudgeLyricLine(index, delta) {
+    const song = this.getEditableSong();
+    if (!song || !song.lyrics[index] || !Number.isFinite(delta)) return;
+
+    const line = song.lyrics[index];
+    this.pushLyricUndo(song);
+    this.shiftLyricLine(line, delta);
+    this.commitLyricEdit(song, line);
 }
 
-// 播放列表管理
-sortPlaylist() {
-    if (this.songs.length <= 1) {
-        this.showNotification('歌曲数量不足，无需排序', 'info');
-        return;
-    }
+// 在选中行之后插入空行，时间取与下一行的中点
+insertLyricLine(index = this.editorCursor) {
+    const song = this.getEditableSong();
+    if (!song) return;
 
-    // 记录当前播放歌曲的名称
-    const currentSongName = this.currentSongIndex >= 0 ? this.songs[this.currentSongIndex].name : null;
+    const lyrics = song.lyrics;
+    const current = lyrics[index];
+    const next = lyrics[index + 1];
+    let time = this.currentTime;
+    if (current) {
+        time = next ? (current.time + next.time) / 2 : current.time + 2;
+    }
 
-    // 智能排序：数字前缀优先，然后按名称
-    this.songs.sort((a, b) => {
-        const nameA = a.name;
-        const nameB = b.name;
+    const line = { time: Math.round(time * 100) / 100, text: '' };
+    this.pushLyricUndo(song);
+    lyrics.splice(current ? index + 1 : lyrics.length, 0, line);
+    this.commitLyricEdit(song, line);
+}
 
-        // 提取数字前缀
-        const extractNumber = (name) => {
-            const match = name.match(/^(\d+)/);
-            return match ? parseInt(match[1]) : Infinity;
-        };
+// 删除选中行
+deleteLyricLine(index = this.editorCursor) {
+    const song = this.getEditableSong();
+    if (!song || !song.lyrics[index]) return;
 
-        const numA = extractNumber(nameA);
-        const numB = extractNumber(nameB);
+    this.pushLyricUndo(song);
+    song.lyrics.splice(index, 1);
+    this.commitLyricEdit(song);
+}
 
-        // 如果都有数字前缀，按数字排序
-        if (numA !== Infinity && numB !== Infinity) {
-            if (numA !== numB) return numA - numB;
-            // 数字相同时按名称排序
-            return nameA.localeCompare(nameB, 'zh-CN');
-        }
+// 修改单行文本，文本变化后原有逐字时间不再适用
+updateLyricLineText(index, text) {
+    const song = this.getEditableSong();
+    const line = song ? song.lyrics[index] : null;
+    if (!line || line.text === text) return;
 
-        // 如果只有一个有数字前缀，有数字的排在前面
-        if (numA !== Infinity) return -1;
-        if (numB !== Infinity) return 1;
+    this.pushLyricUndo(song);
+    line.text = text;
+    delete line.words;
+    this.commitLyricEdit(song, line);
+}
 
-        // 都没有数字前缀，按名称排序
-        return nameA.localeCompare(nameB, 'zh-CN');
-    });
+// 打轴编辑器所在的标签页是否处于打开状态
+isLyricEditorOpen() {
+    const pane = document.getElementById('tab-editor');
+    return Boolean(pane && pane.classList.contains('active'));
+}
 
-    // 重新找到当前播放歌曲的索引
-    if (currentSongName) {
-        this.currentSongIndex = this.songs.findIndex(song => song.name === currentSongName);
+// 撤销上一次编辑
+undoLyricEdit() {
+    const song = this.songs[this.currentSongIndex];
+    const snapshot = this.editorUndoStack[this.editorUndoStack.length - 1];
+    if (!song || !snapshot || snapshot.song !== song) {
+        this.showNotification('没有可撤销的编辑', 'info', 1000);
+        return;
     }
 
-    // 更新显示
-    this.updatePlaylist();
-    this.updateSongDisplay();
+    this.editorUndoStack.pop();
+    song.lyrics = snapshot.lyrics;
+    this.editorCursor = snapshot.cursor;
+    this.commitLyricEdit(song);
+}
 
-    this.showNotification(`歌曲列表已按名称排序 (${this.songs.length} 首)`, 'success');
-    log('播放列表已排序');
+// 切换打轴模式
+toggleLyricTapMode() {
+    this.lyricEditorTapMode = !this.lyricEditorTapMode;
+    const button = document.getElementById('editorTapToggle');
+    if (button) {
+        if (this.lyricEditorTapMode) {
+            button.classList.add('active');
+        } else {
+            button.classList.remove('active');
+        }
+    }
+    this.showNotification(
+        this.lyricEditorTapMode ? '打轴模式已开启：播放时按 Enter 为选中行打点' : '打轴模式已关闭',
+        'info'
+    );
 }
 
-exportPlaylist() {
-    if (this.songs.length === 0) {
-        this.showNotification('播放列表为空，无法导出', 'warning');
+// 渲染编辑器歌词列表
+renderLyricEditor() {
+    if (!this.lyricEditorList) return;
+
+    const song = this.songs[this.currentSongIndex];
+    if (!song) {
+        this.lyricEditorList.innerHTML = '<div class="empty-playlist">请先选择一首歌曲</div>';
         return;
     }
 
-    const playlistData = {
-        version: '1.0',
-        exportTime: new Date().toISOString(),
-        songs: this.songs.map(song => ({
-            name: song.name,
-            lyrics: Array.isArray(song.lyrics)
-                ? song.lyrics.filter(line =>
-                    line &&
-                    typeof line.time === 'number' &&
-                    !isNaN(line.time) &&
-                    typeof line.text === 'string'
-                )
-                : [],
-            duration: Number.isFinite(song.duration) && song.duration >= 0 ? song.duration : 0,
-            userMode: song.userMode || 'auto'
-        }))
-    };
-
-    const dataStr = JSON.stringify(playlistData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    this.objectUrls.add(url);
+    const lyrics = song.lyrics || [];
+    if (lyrics.length === 0) {
+        this.lyricEditorList.innerHTML = '<div class="empty-playlist">暂无歌词，点击 ＋ 插入第一行</div>';
+        return;
+    }
 
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `歌词播放列表_${new Date().toLocaleDateString()}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    const step = CONFIG.EDITOR.NUDGE_STEP;
+    this.lyricEditorList.innerHTML = lyrics.map((line, index) => `
+            <div class="editor-row ${index === this.editorCursor ? 'selected' : ''}" data-index="${index}">
+                <span class="editor-time" title="跳转到此行">${this.formatLrcTimestamp(line.time)}</span>
+                <button class="editor-nudge" data-delta="${-step}" title="提前 ${step}s">−</button>
+                <button class="editor-nudge" data-delta="${step}" title="延后 ${step}s">+</button>
+                <input class="editor-text" type="text" value="${escapeHtml(line.text)}">
+            </div>
+        `).join('');
 
-    this.showNotification(`已导出 ${this.songs.length} 首歌曲的播放列表`, 'success');
+    // 打轴时保持选中行可见
+    const selectedRow = this.lyricEditorList.querySelector
+        ? this.lyricEditorList.querySelector('.editor-row.selected')
+        : null;
+    if (selectedRow && selectedRow.scrollIntoView) {
+        selectedRow.scrollIntoView({ block: 'nearest' });
+    }
 }
 
 importPlaylist(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
+    this.readLyricText(file).then(({ text }) => {
         try {
-            const playlistData = JSON.parse(e.target.result);
+            const playlistData = JSON.parse(text);
 
             if (!playlistData.songs || !Array.isArray(playlistData.songs)) {
                 throw new Error('无效的播放列表格式');
@@ -2456,7 +4957,11 @@ importPlaylist(file) {
                     )
                     : [];
 
-                if (lyrics.length === 0) {
+                // 没有歌词的纯音频歌曲导入为占位，重新加载同名音频文件后自动关联
+                const audioFileName = typeof song.audioFileName === 'string' && song.audioFileName
+                    ? song.audioFileName
+                    : null;
+                if (lyrics.length === 0 && !audioFileName) {
                     return null;
                 }
 
@@ -2467,11 +4972,17 @@ importPlaylist(file) {
                     ? song.userMode
                     : 'auto';
 
+                const audioOffset = Number(song.audioOffset);
+
                 return {
                     name: song.name,
                     lyrics,
                     duration: Number.isFinite(duration) && duration >= 0 ? duration : 0,
-                    userMode
+                    userMode,
+                    audioOffset: Number.isFinite(audioOffset) ? Math.round(audioOffset * 10) / 10 : 0,
+                    meta: this.sanitizeSongMeta(song.meta),
+                    audioFileName,
+                    background: this.parseSongBackground(song.background)
                 };
             }).filter(Boolean);
 
@@ -2484,13 +4995,20 @@ importPlaylist(file) {
 
             // 添加导入的歌曲
             validSongs.forEach(songData => {
-                this.addSong({
+                const song = {
                     name: songData.name,
                     lyrics: songData.lyrics,
                     duration: songData.duration || 0,
-                    userMode: songData.userMode
-                });
+                    userMode: songData.userMode,
+                    audioOffset: songData.audioOffset,
+                    meta: songData.meta
+                };
+                if (songData.audioFileName) song.audioFileName = songData.audioFileName;
+                if (songData.background) song.background = songData.background;
+                this.addSong(song);
+                this.recordSongOffset(songData);
             });
+            this.saveSettings();
 
             this.showNotification(`成功导入 ${validSongs.length} 首歌曲`, 'success');
 
@@ -2498,13 +5016,9 @@ importPlaylist(file) {
             console.error('导入播放列表失败:', error);
             this.showNotification(`导入失败: ${error.message}`, 'error');
         }
-    };
-
-    reader.onerror = () => {
+    }, () => {
         this.showNotification('文件读取失败', 'error');
-    };
-
-    reader.readAsText(file, 'UTF-8');
+    });
 }
 
     clearPlaylist() {
@@ -2524,7 +5038,9 @@ importPlaylist(file) {
 
             this.songs = [];
             this.currentSongIndex = -1;
+            this.applySongBackground();
             this.updatePlaylist();
+            this.scheduleLibrarySave();
             this.updateStatusIndicator();
             this.showLyrics('请上传LRC歌词文件', '开始你的演出');
             if (this.songInfo) this.songInfo.style.display = 'none';
@@ -2546,6 +5062,7 @@ adjustOffset(delta) {
     this.audioOffset += delta;
     this.audioOffset = Math.round(this.audioOffset * 10) / 10; // 保留一位小数
     this.updateOffsetDisplay();
+    this.saveSongOffset();
 
     log('音频偏移调整为:', this.audioOffset, '秒');
 }
@@ -2558,9 +5075,30 @@ resetOffset() {
 
     this.audioOffset = 0;
     this.updateOffsetDisplay();
+    this.saveSongOffset();
     this.showNotification('同步偏移已重置', 'success');
 }
 
+// 将当前偏移写回当前歌曲并持久化
+saveSongOffset() {
+    const song = this.songs[this.currentSongIndex];
+    if (!song) return;
+
+    song.audioOffset = this.audioOffset;
+    this.recordSongOffset(song);
+    this.saveSettings();
+    this.scheduleLibrarySave();
+}
+
+// 记录歌曲偏移到持久化表，偏移为 0 时移除条目
+recordSongOffset(song) {
+    if (Number.isFinite(song.audioOffset) && song.audioOffset !== 0) {
+        this.songOffsets[song.name] = song.audioOffset;
+    } else {
+        delete this.songOffsets[song.name];
+    }
+}
+
 updateOffsetDisplay() {
     const offsetDisplay = document.getElementById('offsetDisplay');
     if (offsetDisplay) {
@@ -2570,7 +5108,9 @@ updateOffsetDisplay() {
 }
 
 // 文件匹配和播放模式管理
-findMatchingSong(fileName) {
+// fuzzyCandidates 限定模糊匹配的候选歌曲，精确匹配始终在整个列表中进行
+// tags 为音频文件的标签，作为文件名之外的匹配依据
+findMatchingSong(fileName, fuzzyCandidates = this.songs, tags = null) {
     // 首先尝试精确匹配
     let matchedSong = this.songs.find(song => song.name === fileName);
     if (matchedSong) {
@@ -2579,33 +5119,45 @@ findMatchingSong(fileName) {
     }
 
     // 智能模糊匹配 - 寻找最佳匹配而不是第一个匹配
-    return this.findBestMatch(fileName);
+    return this.findBestMatch(fileName, fuzzyCandidates, tags);
 }
 
-// 寻找最佳匹配的歌曲
-findBestMatch(fileName) {
+// 计算各候选歌曲的匹配分数，按分数从高到低排列（只保留分数大于 0 的）
+rankMatchCandidates(fileName, songs = this.songs, tags = null) {
     const candidates = [];
 
-    // 为每首歌曲计算匹配分数
-    this.songs.forEach(song => {
-        const score = this.calculateMatchScore(song.name, fileName);
+    // 为每首歌曲计算匹配分数，文件名与标签取较高者
+    songs.forEach(song => {
+        const nameScore = this.calculateMatchScore(song.name, fileName);
+        const tagScore = this.calculateTagMatchScore(song, tags);
+        const score = Math.max(nameScore, tagScore);
         if (score > 0) {
+            let details = this.getMatchDetails(song.name, fileName);
+            if (tagScore > nameScore) {
+                details += `, 标签匹配${Math.round(tagScore * 100)}%`;
+            }
             candidates.push({
                 song: song,
                 score: score,
-                details: this.getMatchDetails(song.name, fileName)
+                details
             });
         }
     });
 
     // 按分数排序，选择最高分
     candidates.sort((a, b) => b.score - a.score);
+    return candidates;
+}
+
+// 寻找最佳匹配的歌曲
+findBestMatch(fileName, songs = this.songs, tags = null) {
+    const candidates = this.rankMatchCandidates(fileName, songs, tags);
 
     if (candidates.length > 0) {
         const bestMatch = candidates[0];
 
         // 只有分数足够高才认为是有效匹配
-        if (bestMatch.score >= 0.7) { // 降低匹配阈值到70%以提高匹配成功率
+        if (bestMatch.score >= CONFIG.MATCHING.MIN_SCORE) {
             log(`智能匹配成功: "${fileName}" ← "${bestMatch.song.name}" (分数: ${bestMatch.score.toFixed(3)}, ${bestMatch.details})`);
 
             // 显示其他候选项（用于调试）
@@ -2625,6 +5177,24 @@ findBestMatch(fileName) {
     return null;
 }
 
+// 按音频标签计算匹配分数：标签歌名（及“歌手 - 歌名”）对比歌曲名和歌词的 [ti] 标签，
+// 上限略低于文件名精确匹配
+calculateTagMatchScore(song, tags) {
+    if (!tags || !tags.title) return 0;
+
+    const tagNames = [tags.title];
+    if (tags.artist) tagNames.push(`${tags.artist} - ${tags.title}`);
+
+    let best = 0;
+    tagNames.forEach(tagName => {
+        best = Math.max(best, this.calculateMatchScore(song.name, tagName));
+    });
+    if (song.meta && song.meta.title) {
+        best = Math.max(best, this.calculateMatchScore(song.meta.title, tags.title));
+    }
+    return Math.min(best, 0.98);
+}
+
 // 计算匹配分数 (0-1之间)
 calculateMatchScore(songName, targetName) {
     // 多重匹配策略，取最高分
@@ -2672,8 +5242,67 @@ calculateMatchScore(songName, targetName) {
         return 0;
     }
 
-    const maxScore = Math.max(...scores);
-    return maxScore * lengthPenalty;
+    // 6-8. 版本标注、歌手-歌名、拼音策略各自比较歌名主体，不受整体长度惩罚
+    const extendedScores = this.getExtendedMatchScores(songName, targetName).map(item => item.score);
+
+    return Math.max(Math.max(...scores) * lengthPenalty, ...extendedScores);
+}
+
+// 针对中文歌名的扩展匹配策略，返回 [{ score, detail }]
+getExtendedMatchScores(songName, targetName) {
+    const results = [];
+    const songTitles = this.getTitleCandidates(songName);
+    const targetTitles = this.getTitleCandidates(targetName);
+
+    // 6. 去除 (Live)/(伴奏)/[Remix] 等版本标注后比较
+    const songCore = songTitles[0];
+    const targetCore = targetTitles[0];
+    if (songCore !== this.normalizeForMatching(songName) || targetCore !== this.normalizeForMatching(targetName)) {
+        results.push({ score: this.compareMatchText(songCore, targetCore) * 0.9, detail: '去除版本标注' });
+    }
+
+    // 7. “歌手 - 歌名”格式：用拆分出的部分与另一方比较
+    if (songTitles.length > 1 || targetTitles.length > 1) {
+        results.push({ score: this.compareTitleParts(songTitles, targetTitles) * 0.9, detail: '歌手-歌名' });
+    }
+
+    // 8. 拼音转写：仅一方含汉字时（如 yequ.mp3 与 夜曲.lrc）
+    if (containsHan(songName) !== containsHan(targetName)) {
+        const score = Math.max(
+            this.compareMatchText(toPinyin(songTitles[0] || ''), toPinyin(targetTitles[0] || '')),
+            this.compareTitleParts(songTitles.map(toPinyin), targetTitles.map(toPinyin))
+        );
+        results.push({ score: score * 0.85, detail: '拼音匹配' });
+    }
+
+    return results;
+}
+
+// 比较“歌手 - 歌名”拆分结果。双方都可拆分时两部分需同时对应（顺序可互换），
+// 避免仅因歌手相同而误配；只有一方可拆分时，用其各部分与另一方整体比较
+compareTitleParts(songTitles, targetTitles) {
+    const [songWhole, ...songParts] = songTitles;
+    const [targetWhole, ...targetParts] = targetTitles;
+
+    if (songParts.length === 2 && targetParts.length === 2) {
+        const pairScore = (a, b, c, d) => (this.compareMatchText(a, b) + this.compareMatchText(c, d)) / 2;
+        return Math.max(
+            pairScore(songParts[0], targetParts[0], songParts[1], targetParts[1]),
+            pairScore(songParts[0], targetParts[1], songParts[1], targetParts[0])
+        );
+    }
+
+    let best = 0;
+    songParts.forEach(part => { best = Math.max(best, this.compareMatchText(part, targetWhole)); });
+    targetParts.forEach(part => { best = Math.max(best, this.compareMatchText(songWhole, part)); });
+    return best;
+}
+
+// 带长度惩罚的相似度，用于比较歌名主体
+compareMatchText(a, b) {
+    if (!a || !b) return 0;
+    const lengthRatio = Math.min(a.length, b.length) / Math.max(a.length, b.length);
+    return this.calculateSimilarity(a, b) * (lengthRatio < 0.5 ? 0.8 : 1.0);
 }
 
 // 获取匹配详情（用于调试）
@@ -2698,6 +5327,10 @@ getMatchDetails(songName, targetName) {
         if (songPrefix && targetPrefix && songPrefix[1] === targetPrefix[1]) {
             details.push(`数字前缀${songPrefix[1]}`);
         }
+
+        this.getExtendedMatchScores(songName, targetName).forEach(({ score, detail }) => {
+            if (score > 0) details.push(`${detail}${Math.round(score * 100)}%`);
+        });
     }
 
     return details.join(', ');
@@ -2705,14 +5338,47 @@ getMatchDetails(songName, targetName) {
 
 // 标准化文件名用于匹配
 normalizeForMatching(name) {
-    return name
+    return this.foldMatchText(name
         .replace(/\.[^.]*$/, '') // 去除扩展名
-        .replace(/^\d+[-_\s]*/, '') // 去除数字前缀 (如 "01_", "1-", "001 ")
+        .replace(/^\d+[-_\s]*/, '')); // 去除数字前缀 (如 "01_", "1-", "001 ")
+}
+
+// 统一全角/半角与繁简体，去除分隔符并转小写
+foldMatchText(text) {
+    return toSimplified(text.normalize('NFKC'))
         .replace(/[-_\s]+/g, '') // 去除连字符、下划线、空格
         .toLowerCase() // 转小写
         .trim();
 }
 
+// 去除括号中的版本标注，如 (Live)、（伴奏）、[Remix]、【纯音乐】
+stripNameQualifiers(name) {
+    return name
+        .normalize('NFKC')
+        .replace(/\s*[(\[【〔][^()\[\]【】〔〕]*[)\]】〕]\s*/g, ' ')
+        .trim();
+}
+
+// 识别“歌手 - 歌名”，返回两部分；连字符两侧无空格时仅对中文名拆分，避免误拆英文复合词
+splitArtistTitle(name) {
+    const match = name.match(/^(.+?)\s+[-–—]\s+(.+)$/) ||
+        name.match(/^(.+?)\s*[–—]\s*(.+)$/) ||
+        (containsHan(name) ? name.match(/^([^-]+)-([^-]+)$/) : null);
+    return match ? [match[1].trim(), match[2].trim()] : null;
+}
+
+// 歌名比较候选：首项为去除版本标注后的整体，其后为“歌手 - 歌名”拆分出的两部分
+getTitleCandidates(name) {
+    const core = this.stripNameQualifiers(name.replace(/\.[a-z0-9]{1,5}$/i, ''))
+        .replace(/^\d+[-_\s.]*/, '');
+    const titles = [this.foldMatchText(core)];
+    const parts = this.splitArtistTitle(core);
+    if (parts) {
+        parts.forEach(part => titles.push(this.foldMatchText(part)));
+    }
+    return titles.filter(Boolean);
+}
+
 // 格式化歌曲名称用于主页面显示（去除数字前缀和下划线）
 formatSongNameForDisplay(name) {
     return name
@@ -2721,6 +5387,15 @@ formatSongNameForDisplay(name) {
         .trim();
 }
 
+// 获取歌曲的显示名称：优先使用 [ti]/[ar] 标签，其次是音频文件标签，否则使用格式化后的文件名
+getSongDisplayName(song) {
+    const meta = song.meta || {};
+    const tags = this.getSongTags(song) || {};
+    const title = meta.title || tags.title || this.formatSongNameForDisplay(song.name);
+    const artist = meta.artist || tags.artist;
+    return artist ? `${title} - ${artist}` : title;
+}
+
 fuzzyMatch(songName, targetName) {
     // 使用新的匹配分数系统
     const score = this.calculateMatchScore(songName, targetName);
@@ -2844,6 +5519,70 @@ createModeSelector(song, index) {
     return selectorHTML;
 }
 
+// 播放列表中的背景按钮，已指定背景时高亮
+createBackgroundButton(song, index) {
+    const background = song.background;
+    let className = 'song-control-btn background-btn';
+    let title = '设置歌曲背景（也可把图片拖到歌曲上）';
+    if (background) {
+        const missing = background.type !== 'color' && !background.file;
+        className += missing ? ' missing' : ' has-background';
+        const labels = { image: '图片', video: '视频', color: '颜色' };
+        const detail = background.type === 'color' ? background.color : background.fileName;
+        title = `背景${labels[background.type]}: ${detail}${missing ? '（文件未加载，拖入同名文件即可恢复）' : ''}`;
+    }
+    return `<button class="${className}" data-action="background" data-index="${index}" title="${escapeHtml(title)}">🖼</button>`;
+}
+
+// 创建编码选择器HTML，仅对保留了原始歌词文件的歌曲显示
+createEncodingSelector(song, index) {
+    if (!song.lyricFile || !song.encoding) {
+        return '';
+    }
+
+    let selectorHTML = `<select class="encoding-selector" data-song-index="${index}" title="歌词编码: ${escapeHtml(getEncodingLabel(song.encoding))}">`;
+    TEXT_ENCODINGS.forEach(({ value, label }) => {
+        const selected = value === song.encoding ? 'selected' : '';
+        selectorHTML += `<option value="${value}" ${selected}>${label}</option>`;
+    });
+    selectorHTML += `</select>`;
+    return selectorHTML;
+}
+
+// 按手动指定的编码重新解码歌词文件
+async changeSongEncoding(songIndex, encoding) {
+    if (songIndex < 0 || songIndex >= this.songs.length) return;
+
+    const song = this.songs[songIndex];
+    if (!song.lyricFile || song.encoding === encoding) return;
+
+    try {
+        const { text } = await this.readLyricText(song.lyricFile, encoding);
+        const { lyrics, meta } = this.parseLyricFile(text, song.lyricFile.name);
+        if (lyrics.length === 0) {
+            throw new Error('没有可用的歌词行');
+        }
+
+        song.lyrics = lyrics;
+        song.meta = meta;
+        song.encoding = encoding;
+
+        if (this.currentSongIndex === songIndex) {
+            this.currentLyricIndex = -1;
+            this.lyricsCache.clear();
+            this.updateSongDisplay();
+            this.updateLyricsDisplay();
+        }
+
+        this.updatePlaylist();
+        this.scheduleLibrarySave();
+        this.showNotification(`"${song.name}" 已按 ${getEncodingLabel(encoding)} 重新解码`, 'success');
+    } catch (error) {
+        console.error('重新解码歌词失败:', song.name, error);
+        this.showNotification(`重新解码失败: ${song.name} - ${error.message}`, 'error');
+    }
+}
+
 // 获取模式显示名称
 getModeDisplayName(mode) {
     const modeNames = {
@@ -2870,6 +5609,7 @@ changeSongMode(songIndex, newMode) {
 
     // 更新UI显示
     this.updatePlaylist();
+    this.scheduleLibrarySave();
     this.showNotification(
         `"${song.name}" 已切换到${this.getModeDisplayName(newMode)}模式`,
         'success'
@@ -2931,6 +5671,7 @@ applyModeChange(song) {
     // 更新界面显示
     this.updateSongDisplay();
     this.updateAudioMode();
+    this.updateVisualizer();
 }
 
 // 歌词手动跳转功能
@@ -2951,11 +5692,10 @@ jumpToLyric(lyricIndex) {
 
     // 强制更新歌词索引和显示
     this.currentLyricIndex = lyricIndex;
+    this.lyricGapActive = false;
 
     // 强制更新显示
-    const currentLyric = song.lyrics[lyricIndex].text;
-    const nextLyric = lyricIndex < song.lyrics.length - 1 ? song.lyrics[lyricIndex + 1].text : '';
-    this.showLyrics(currentLyric, nextLyric);
+    this.showLyricAt(song.lyrics, lyricIndex);
 
     // 更新进度条
     this.updateProgress();
@@ -3116,10 +5856,7 @@ async processFolderFiles(files, type) {
 
     // 根据类型过滤文件
     if (type === 'lyrics') {
-        validFiles = files.filter(file =>
-            file.name.toLowerCase().endsWith('.lrc') ||
-            file.name.toLowerCase().endsWith('.txt')
-        );
+        validFiles = files.filter(file => this.isLyricFile(file.name));
     } else if (type === 'audio') {
         validFiles = files.filter(file => {
             const ext = file.name.toLowerCase().split('.').pop();
@@ -3129,8 +5866,14 @@ async processFolderFiles(files, type) {
 
     log(`文件夹扫描完成: 总文件 ${totalFiles} 个, 有效${type === 'lyrics' ? '歌词' : '音频'}文件 ${validFiles.length} 个`);
 
+    // 文件夹中的 cover.jpg 和同名图片作为歌曲封面
+    const imageFiles = files.filter(file => /\.(jpe?g|png|webp|gif|bmp)$/i.test(file.name));
+    if (imageFiles.length > 0) {
+        this.registerCoverImages(imageFiles);
+    }
+
     if (validFiles.length === 0) {
-        const fileTypeName = type === 'lyrics' ? '歌词文件 (.lrc/.txt)' : '音频文件';
+        const fileTypeName = type === 'lyrics' ? '歌词文件 (.lrc/.txt/.srt/.vtt/.ass)' : '音频文件';
         this.showNotification(`文件夹中没有找到${fileTypeName}`, 'warning');
         return;
     }
@@ -3208,21 +5951,18 @@ async processFolderFiles(files, type) {
 
     validateLyricFile(file) {
         return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
+            this.readLyricText(file).then(({ text }) => {
                 try {
-                    const lyrics = this.parseLrc(e.target.result);
+                    const { lyrics } = this.parseLyricFile(text, file.name);
                     resolve(Array.isArray(lyrics) && lyrics.length > 0);
                 } catch (error) {
                     warn(`歌词校验失败: ${file.name}`, error.message);
                     resolve(false);
                 }
-            };
-            reader.onerror = () => {
+            }, () => {
                 warn(`歌词读取失败: ${file.name}`);
                 resolve(false);
-            };
-            reader.readAsText(file, 'UTF-8');
+            });
         });
     }
 
@@ -3268,8 +6008,205 @@ showMatchingReport() {
     } else if (matchRate >= 0.5) {
         this.showNotification(`${message} ⚠️`, 'warning');
     } else {
-        this.showNotification(`${message} - 请检查文件名`, 'info');
+        this.showNotification(`${message} - 可点击 🔗 审核匹配`, 'info');
+    }
+}
+
+// ==================== 匹配审核 ====================
+
+// 生成匹配审核条目：每个音频文件对应的歌词、分数和备选歌词
+getMatchReviewEntries() {
+    const lyricSongs = this.songs.filter(song => this.hasExternalLyrics(song));
+
+    return this.songs.reduce((entries, song, index) => {
+        if (!song.audioFile) return entries;
+
+        const audioName = song.audioFile.name || song.name;
+        const baseName = audioName.replace(/\.[^/.]+$/, '');
+        const paired = this.hasExternalLyrics(song);
+        const tags = this.getSongTags(song);
+        const ownMatch = paired ? this.rankMatchCandidates(baseName, [song], tags)[0] : null;
+        const candidates = this.rankMatchCandidates(baseName, lyricSongs.filter(other => other !== song), tags)
+            .slice(0, CONFIG.MATCHING.REVIEW_CANDIDATES)
+            .map(candidate => ({
+                index: this.songs.indexOf(candidate.song),
+                name: candidate.song.name,
+                score: candidate.score
+            }));
+
+        entries.push({
+            index,
+            audioName,
+            lyricName: paired ? song.name : null,
+            score: ownMatch ? ownMatch.score : 0,
+            details: paired ? (ownMatch ? ownMatch.details : this.getMatchDetails(song.name, baseName)) : '',
+            confirmed: Boolean(song.matchConfirmed),
+            candidates
+        });
+        return entries;
+    }, []);
+}
+
+// 打开匹配审核弹窗
+showMatchReview() {
+    const modal = document.getElementById('matchReviewModal');
+    if (!modal) return;
+
+    this.renderMatchReview();
+    modal.style.display = 'flex';
+    modal.style.opacity = '1';
+}
+
+closeMatchReview() {
+    const modal = document.getElementById('matchReviewModal');
+    if (modal) modal.style.display = 'none';
+}
+
+renderMatchReview() {
+    const list = document.getElementById('matchReviewList');
+    if (!list) return;
+
+    const entries = this.getMatchReviewEntries();
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="empty-playlist">还没有加载音频文件</div>';
+        return;
+    }
+
+    // 只能改配到带独立歌词文件的歌曲，内嵌歌词属于音频本身
+    const lyricSongs = this.songs
+        .map((song, index) => ({ song, index }))
+        .filter(({ song }) => this.hasExternalLyrics(song));
+    const formatScore = score => `${Math.round(score * 100)}%`;
+
+    list.innerHTML = entries.map(entry => {
+        const low = entry.lyricName && entry.score < CONFIG.MATCHING.MIN_SCORE;
+        const rowClass = [
+            'match-row',
+            entry.confirmed ? 'confirmed' : '',
+            entry.lyricName ? '' : 'unmatched',
+            low ? 'low-score' : ''
+        ].filter(Boolean).join(' ');
+
+        const pairHTML = entry.lyricName
+            ? `<span class="match-target">📝 ${escapeHtml(entry.lyricName)}</span>
+               <span class="match-score" title="${escapeHtml(entry.details)}">${entry.confirmed ? '✔ 已确认' : formatScore(entry.score)}</span>`
+            : '<span class="match-target">未关联歌词（纯音频）</span>';
+
+        const candidatesHTML = entry.candidates.length > 0
+            ? entry.candidates.map(candidate => `
+                <button class="match-candidate" data-target-index="${candidate.index}" title="改配到此歌词">
+                    ${escapeHtml(candidate.name)} (${formatScore(candidate.score)})
+                </button>`).join('')
+            : '<span class="match-none">无</span>';
+
+        const options = lyricSongs
+            .filter(({ index }) => index !== entry.index)
+            .map(({ song, index }) => `<option value="${index}">${escapeHtml(song.name)}</option>`)
+            .join('');
+
+        return `
+            <div class="${rowClass}" data-song-index="${entry.index}">
+                <div class="match-audio">🎵 ${escapeHtml(entry.audioName)}</div>
+                <div class="match-pair">${pairHTML}</div>
+                <div class="match-candidates">备选: ${candidatesHTML}</div>
+                <div class="match-actions">
+                    <select class="match-reassign">
+                        <option value="">改配到...</option>
+                        ${options}
+                    </select>
+                    ${entry.lyricName && !entry.confirmed ? '<button class="match-confirm">✔ 确认</button>' : ''}
+                    ${entry.lyricName ? '<button class="match-unlink">✂ 解除</button>' : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// 确认配对，审核列表中标记为已确认
+confirmMatch(songIndex) {
+    const song = this.songs[songIndex];
+    if (!song || !song.audioFile || !this.hasExternalLyrics(song)) return;
+
+    song.matchConfirmed = true;
+    this.scheduleLibrarySave();
+    this.renderMatchReview();
+}
+
+// 从歌曲上取下音频文件并释放音频元素，返回该文件
+detachSongAudio(song) {
+    const file = song.audioFile;
+    if (song.audioElement) {
+        this.disposeAudioElement(song);
+    }
+    song.audioFile = null;
+    song.persistedAudio = null;
+    song.matchConfirmed = false;
+    this.updateSongMode(song);
+    return file;
+}
+
+// 配对变化后刷新当前歌曲的播放环境
+refreshMatchedSongs(songs) {
+    const currentSong = this.songs[this.currentSongIndex];
+    if (currentSong && songs.includes(currentSong)) {
+        this.applyModeChange(currentSong);
+    }
+    this.updatePlaylist();
+    this.scheduleLibrarySave();
+    this.renderMatchReview();
+}
+
+// 将音频改配到另一首歌词；目标原有的音频转为纯音频歌曲，来源若没有独立歌词则移除
+reassignAudio(sourceIndex, targetIndex) {
+    const source = this.songs[sourceIndex];
+    const target = this.songs[targetIndex];
+    if (!source || !target || source === target || !source.audioFile) return;
+    if (!this.hasExternalLyrics(target)) {
+        this.showNotification(`"${target.name}" 没有独立的歌词文件，无法改配`, 'warning');
+        return;
+    }
+
+    const changedSongs = [source, target];
+    if (changedSongs.includes(this.songs[this.currentSongIndex])) {
+        this.pause();
+    }
+
+    const file = this.detachSongAudio(source);
+    const replacedFile = target.audioFile ? this.detachSongAudio(target) : null;
+
+    target.audioFile = file;
+    target.matchConfirmed = true; // 手动指定的配对视为已确认
+    this.updateSongMode(target);
+    this.preloadAudioDuration(target, file);
+
+    // 纯音频或内嵌歌词歌曲离开音频后没有意义，直接移除
+    if (!this.hasExternalLyrics(source)) {
+        this.removeSong(this.songs.indexOf(source));
+    }
+    if (replacedFile) {
+        changedSongs.push(this.addAudioOnlySong(replacedFile));
+    }
+
+    log(`音频 "${file.name}" 改配到歌曲 "${target.name}"`);
+    this.showNotification(`音频 "${file.name}" 已改配到 "${target.name}"`, 'success');
+    this.refreshMatchedSongs(changedSongs);
+}
+
+// 解除配对：音频从歌词歌曲上取下，作为纯音频歌曲保留在列表中
+unlinkAudio(songIndex) {
+    const song = this.songs[songIndex];
+    if (!song || !song.audioFile || !this.hasExternalLyrics(song)) return;
+
+    if (songIndex === this.currentSongIndex) {
+        this.pause();
     }
+
+    const file = this.detachSongAudio(song);
+    this.addAudioOnlySong(file);
+
+    log(`解除配对: "${song.name}" ✂ "${file.name}"`);
+    this.showNotification(`已解除 "${song.name}" 与音频 "${file.name}" 的配对`, 'info');
+    this.refreshMatchedSongs([song]);
 }
 
 trackObjectUrl(url) {
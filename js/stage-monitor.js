@@ -0,0 +1,131 @@
+// 演出监听屏：给台上歌手看的提词视图，显示后续几句歌词、到下一句的倒计时条、
+// 已播放/剩余时间、前奏中距离开唱的时间以及歌单中的下一首，通过舞台同步频道从主窗口获取数据
+
+import { CONFIG } from './config.js';
+import { formatTime, escapeHtml } from './utils.js';
+import { StageChannel } from './stage-output.js';
+
+// 当前句之后的若干句；还没唱到第一句时从第一句开始
+export function getUpcomingLines(lyrics, index, count) {
+    if (!lyrics || count <= 0) return [];
+    const start = Math.max(index + 1, 0);
+    return lyrics.slice(start, start + count);
+}
+
+// 到下一句开始的倒计时：remaining 为剩余秒数，progress 为当前句到下一句之间已走过的比例 (0-1)；
+// 没有下一句时返回 null
+export function getLineCountdown(lyrics, index, time) {
+    if (!lyrics || index + 1 >= lyrics.length) return null;
+    const next = lyrics[index + 1];
+    const start = index >= 0 ? lyrics[index].time : 0;
+    const span = next.time - start;
+    const remaining = Math.max(0, next.time - time);
+    const progress = span > 0 ? Math.max(0, Math.min((time - start) / span, 1)) : 1;
+    return { remaining, progress };
+}
+
+// 前奏中距离第一句的时间；已开唱或没有歌词时返回 null
+export function getTimeToFirstVocal(lyrics, index, time) {
+    if (!lyrics || lyrics.length === 0 || index >= 0) return null;
+    return Math.max(0, lyrics[0].time - time);
+}
+
+export class StageMonitor {
+    constructor() {
+        this.songNameEl = document.getElementById('monitorSongName');
+        this.elapsedEl = document.getElementById('monitorElapsed');
+        this.remainingEl = document.getElementById('monitorRemaining');
+        this.introEl = document.getElementById('monitorIntro');
+        this.currentEl = document.getElementById('monitorCurrent');
+        this.translationEl = document.getElementById('monitorTranslation');
+        this.countdownBarEl = document.getElementById('monitorCountdownBar');
+        this.countdownTextEl = document.getElementById('monitorCountdownText');
+        this.upcomingEl = document.getElementById('monitorUpcoming');
+        this.nextSongEl = document.getElementById('monitorNextSong');
+
+        this.song = null;  // { name, lyrics, nextSong }
+        this.time = null;  // { currentTime, duration, currentLyricIndex, lyricGapActive }
+        this.renderedIndex = null;
+        // 同时打开多个监听屏时，主窗口按 id 区分各自的连接
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+        this.channel = StageChannel.isSupported() ? new StageChannel(message => this.handleMessage(message)) : null;
+        if (this.channel) {
+            this.channel.post('request-monitor', { monitorId: this.id });
+            window.addEventListener('beforeunload', () => this.channel.post('monitor-closed', { monitorId: this.id }));
+        } else {
+            this.currentEl.textContent = '当前浏览器不支持监听屏';
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'monitor-song':
+                this.song = message.song;
+                this.renderedIndex = null;
+                this.renderSong();
+                this.renderTime();
+                break;
+            case 'monitor-time':
+                this.time = message.time;
+                this.renderTime();
+                break;
+            case 'stage-ready':
+                this.channel.post('request-monitor', { monitorId: this.id });
+                break;
+            case 'shutdown':
+                this.song = null;
+                this.time = null;
+                this.renderSong();
+                this.currentEl.textContent = '控制台已关闭';
+                break;
+        }
+    }
+
+    renderSong() {
+        const song = this.song;
+        this.songNameEl.textContent = song ? song.name : '';
+        this.nextSongEl.textContent = song && song.nextSong ? song.nextSong : '—';
+        if (!song) {
+            this.currentEl.textContent = '';
+            this.translationEl.textContent = '';
+            this.upcomingEl.innerHTML = '';
+            this.introEl.textContent = '';
+        }
+    }
+
+    renderTime() {
+        const song = this.song;
+        const time = this.time;
+        if (!song || !time) return;
+
+        const lyrics = song.lyrics || [];
+        const index = time.currentLyricIndex;
+        const currentTime = time.currentTime;
+
+        this.elapsedEl.textContent = formatTime(currentTime);
+        this.remainingEl.textContent = Number.isFinite(time.duration) && time.duration > 0
+            ? `-${formatTime(time.duration - currentTime)}`
+            : '--:--';
+
+        // 歌词行变化时才重绘文本
+        if (index !== this.renderedIndex) {
+            this.renderedIndex = index;
+            const line = index >= 0 ? lyrics[index] : null;
+            this.currentEl.textContent = line ? line.text : '';
+            this.translationEl.textContent = line ? line.translation || '' : '';
+            this.upcomingEl.innerHTML = getUpcomingLines(lyrics, index, CONFIG.MONITOR.UPCOMING_LINES)
+                .map(upcoming => `<div class="monitor-line">${escapeHtml(upcoming.text)}</div>`)
+                .join('');
+        }
+        // 字幕间隙中当前句已结束，显示为暗色
+        this.currentEl.classList.toggle('gap', Boolean(time.lyricGapActive));
+
+        const firstVocal = getTimeToFirstVocal(lyrics, index, currentTime);
+        this.introEl.textContent = firstVocal !== null ? `前奏 ${Math.ceil(firstVocal)} 秒后开唱` : '';
+
+        const countdown = getLineCountdown(lyrics, index, currentTime);
+        this.countdownBarEl.style.width = countdown ? `${(countdown.progress * 100).toFixed(1)}%` : '0%';
+        this.countdownTextEl.textContent = countdown ? `${countdown.remaining.toFixed(1)}s` : '';
+    }
+}
@@ -0,0 +1,227 @@
+// 投影输出：主窗口通过 BroadcastChannel 把歌词舞台状态（当前/下一句、主题、字号、背景、播放状态）
+// 同步到只显示歌词舞台的输出窗口，控制台留在操作员屏幕上
+
+import { CONFIG } from './config.js';
+import { normalizeOutputMapping, applyStageMapping } from './output-mapping.js';
+
+export const STAGE_CHANNEL_NAME = 'led_lyrics_player_stage';
+
+const THEMES = ['classic', 'gold', 'blue', 'rainbow'];
+
+// 对 BroadcastChannel 的简单封装，消息格式为 { type, ...payload }
+export class StageChannel {
+    constructor(onMessage, name = STAGE_CHANNEL_NAME) {
+        this.channel = new BroadcastChannel(name);
+        this.channel.onmessage = (event) => {
+            if (event.data && typeof event.data.type === 'string') onMessage(event.data);
+        };
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    post(type, payload = {}) {
+        try {
+            this.channel.postMessage({ type, ...payload });
+        } catch (error) {
+            console.error('舞台同步消息发送失败:', error);
+        }
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+// 输出窗口：接收主窗口的舞台状态并渲染
+export class StageOutput {
+    constructor() {
+        this.currentLyricEl = document.getElementById('currentLyric');
+        this.translationLyricEl = document.getElementById('translationLyric');
+        this.nextLyricEl = document.getElementById('nextLyric');
+        this.backgroundContainer = document.getElementById('backgroundContainer');
+        this.stageEl = document.getElementById('stage');
+        this.testPatternCanvas = document.getElementById('testPatternCanvas');
+
+        this.theme = 'classic';
+        this.backgroundKey = '';
+        this.backgroundLayer = null;
+        this.state = null;
+        this.cursorTimeout = null;
+        this.mappingKey = ''; // 当前输出映射，相同映射不重复应用（测试图重绘开销较大）
+
+        this.channel = StageChannel.isSupported() ? new StageChannel(message => this.handleMessage(message)) : null;
+        if (this.channel) {
+            // 打开后主动请求一次完整状态
+            this.channel.post('request-state');
+        } else {
+            this.showLyrics({ current: '当前浏览器不支持投影输出', next: '' });
+        }
+
+        this.initInteraction();
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'state':
+                this.applyState(message.state);
+                break;
+            case 'stage-time':
+                this.applyTime(message.time);
+                break;
+            case 'stage-ready':
+                // 主窗口刷新后重新请求状态
+                this.channel.post('request-state');
+                break;
+            case 'shutdown':
+                this.showLyrics({ current: '', next: '控制台已关闭' });
+                break;
+        }
+    }
+
+    applyState(state) {
+        if (!state) return;
+        this.state = state;
+        this.setTheme(state.theme);
+        if (Number.isFinite(state.fontScale)) {
+            document.documentElement.style.setProperty('--font-scale', state.fontScale);
+        }
+        this.showLyrics(state.lyrics || {});
+        this.applyMapping(state.outputMapping);
+        this.renderBackground(state.background || null);
+        this.syncBackgroundVideo();
+    }
+
+    // 主窗口节流发送的播放时间；跳转后立即对齐背景视频，否则只在偏差过大时校正
+    applyTime(time) {
+        if (!this.state || !time || !Number.isFinite(time.currentTime)) return;
+        this.state = { ...this.state, currentTime: time.currentTime };
+        this.syncBackgroundVideo(Boolean(time.seeked));
+    }
+
+    setTheme(theme) {
+        if (!THEMES.includes(theme) || theme === this.theme) return;
+        document.body.classList.remove(`theme-${this.theme}`);
+        this.theme = theme;
+        document.body.classList.add(`theme-${theme}`);
+    }
+
+    showLyrics({ current = '', next = '', translation = '', color = null }) {
+        if (this.currentLyricEl.textContent !== current) {
+            this.currentLyricEl.classList.remove('entering');
+            // 下一帧再添加，重新触发入场动画
+            requestAnimationFrame(() => this.currentLyricEl.classList.add('entering'));
+        }
+        this.currentLyricEl.textContent = current;
+        this.currentLyricEl.style.color = color || '';
+        this.nextLyricEl.textContent = next;
+        if (this.translationLyricEl) this.translationLyricEl.textContent = translation;
+    }
+
+    // 输出映射与主窗口一致，舞台固定渲染到 LED 处理器采集的像素区域
+    applyMapping(mapping, force = false) {
+        const normalized = normalizeOutputMapping(mapping || {});
+        const key = JSON.stringify(normalized);
+        if (!force && key === this.mappingKey) return;
+        this.mappingKey = key;
+        applyStageMapping(this.stageEl, this.testPatternCanvas, normalized, window.devicePixelRatio || 1);
+    }
+
+    // 背景与主窗口一致：图片/视频/颜色层淡入淡出切换
+    renderBackground(background) {
+        const key = background ? `${background.type}|${background.url || background.color}|${background.blur ? 1 : 0}` : '';
+        if (key === this.backgroundKey) return;
+        this.backgroundKey = key;
+
+        const previous = this.backgroundLayer;
+        const layer = background ? this.createBackgroundLayer(background) : null;
+        this.backgroundLayer = layer;
+
+        if (layer) {
+            this.backgroundContainer.appendChild(layer);
+            requestAnimationFrame(() => layer.classList.add('visible'));
+        }
+        if (previous) {
+            previous.classList.remove('visible');
+            setTimeout(() => {
+                if (previous.tagName === 'VIDEO') {
+                    previous.pause();
+                    previous.removeAttribute('src');
+                    previous.load();
+                }
+                if (previous.parentNode) previous.parentNode.removeChild(previous);
+            }, CONFIG.BACKGROUND.CROSSFADE_DURATION);
+        }
+    }
+
+    createBackgroundLayer(background) {
+        let layer;
+        if (background.type === 'video') {
+            layer = document.createElement('video');
+            layer.muted = true;
+            layer.loop = true;
+            layer.playsInline = true;
+            layer.src = background.url;
+            layer.addEventListener('loadedmetadata', () => this.syncBackgroundVideo(true), { once: true });
+        } else {
+            layer = document.createElement('div');
+            if (background.type === 'color') {
+                layer.style.background = background.color;
+            } else {
+                layer.style.backgroundImage = `url(${background.url})`;
+            }
+        }
+        layer.className = background.blur ? 'background-layer cover-art' : 'background-layer';
+        layer.style.transition = `opacity ${CONFIG.BACKGROUND.CROSSFADE_DURATION}ms ease`;
+        return layer;
+    }
+
+    // 背景视频跟随主窗口的播放状态；跟随进度模式下按状态中的播放时间校正
+    syncBackgroundVideo(forceSeek = false) {
+        const video = this.backgroundLayer;
+        const state = this.state;
+        if (!video || video.tagName !== 'VIDEO' || !state) return;
+
+        if (state.videoSyncMode === 'lockstep') {
+            const duration = video.duration;
+            if (Number.isFinite(duration) && duration > 0) {
+                const target = Math.max(0, state.currentTime || 0) % duration;
+                if (forceSeek || Math.abs(video.currentTime - target) > CONFIG.BACKGROUND.VIDEO_DRIFT) {
+                    video.currentTime = target;
+                }
+            }
+            video.playbackRate = state.playbackSpeed || 1;
+        }
+
+        if (state.isPlaying && video.paused) {
+            video.play().catch(() => {});
+        } else if (!state.isPlaying && !video.paused) {
+            video.pause();
+        }
+    }
+
+    // 双击切换全屏，鼠标静止后隐藏光标
+    initInteraction() {
+        document.addEventListener('dblclick', () => {
+            if (!document.fullscreenElement) {
+                document.documentElement.requestFullscreen().catch(() => {});
+            } else {
+                document.exitFullscreen().catch(() => {});
+            }
+        });
+
+        const showCursor = () => {
+            document.body.classList.remove('auto-hide-cursor');
+            clearTimeout(this.cursorTimeout);
+            this.cursorTimeout = setTimeout(() => document.body.classList.add('auto-hide-cursor'), 3000);
+        };
+        document.addEventListener('mousemove', showCursor);
+        showCursor();
+
+        // 浏览器缩放会改变设备像素比，重新换算映射区域
+        window.addEventListener('resize', () => {
+            if (this.state) this.applyMapping(this.state.outputMapping, true);
+        });
+    }
+}
@@ -0,0 +1,245 @@
+// 音频可视化：通过 Web Audio AnalyserNode 读取当前音频，在歌词后方的画布上绘制频谱、波形或 LED 电平柱
+
+import { CONFIG } from './config.js';
+
+export const VISUALIZER_MODES = ['off', 'spectrum', 'waveform', 'vu'];
+
+// 各主题的可视化配色，与 css 中的主题色保持一致
+export const VISUALIZER_THEMES = {
+    classic: { primary: '#ffffff', secondary: 'rgba(255, 255, 255, 0.35)', peak: '#ffffff' },
+    gold: { primary: '#ffd700', secondary: '#ff8c00', peak: '#fff3b0' },
+    blue: { primary: '#00bfff', secondary: '#0050ff', peak: '#c8f0ff' },
+    rainbow: { primary: '#ff00de', secondary: '#00eaff', peak: '#ffffff' }
+};
+
+export function getVisualizerColors(theme) {
+    return VISUALIZER_THEMES[theme] || VISUALIZER_THEMES.classic;
+}
+
+// 把频谱数据 (0-255) 按对数刻度归并为 count 个频段，返回 0-1 的强度；
+// 低频 bin 少、高频 bin 多，按对数分组让各频段视觉上均匀
+export function groupFrequencyBins(data, count) {
+    const bands = new Array(count).fill(0);
+    if (!data || data.length === 0 || count <= 0) return bands;
+
+    const total = data.length;
+    let start = 0;
+    for (let i = 0; i < count; i++) {
+        // 每个频段至少包含一个 bin，避免低频段重复取同一个 bin
+        const from = Math.min(start, total - 1);
+        const end = Math.min(total, Math.max(from + 1, Math.floor(Math.pow(total, (i + 1) / count))));
+        let sum = 0;
+        for (let bin = from; bin < end; bin++) {
+            sum += data[bin];
+        }
+        bands[i] = sum / (end - from) / 255;
+        start = end;
+    }
+    return bands;
+}
+
+// 强度 (0-1) 换算为点亮的 LED 段数
+export function levelToSegments(level, segments) {
+    if (!(level > 0)) return 0;
+    return Math.min(segments, Math.round(level * segments));
+}
+
+export class AudioVisualizer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = null;      // AudioContext，首次连接音频时创建
+        this.analyser = null;
+        this.sources = new WeakMap(); // 音频元素 -> MediaElementSourceNode（每个元素只能创建一次）
+        this.audio = null;
+        this.mode = 'off';
+        this.colors = getVisualizerColors('classic');
+        this.frequencyData = null;
+        this.timeData = null;
+        this.peaks = [];          // LED 电平柱的峰值保持
+        this.frameId = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    // 把音频元素接入分析器。接入后声音经由 AudioContext 输出，
+    // 所以只在开启可视化时才接入，且接入后不再断开
+    connect(audio) {
+        if (!audio) return false;
+        if (this.audio === audio) {
+            this.resume();
+            return true;
+        }
+
+        try {
+            if (!this.context) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                this.context = new AudioContextClass();
+                this.analyser = this.context.createAnalyser();
+                this.analyser.fftSize = CONFIG.VISUALIZER.FFT_SIZE;
+                this.analyser.smoothingTimeConstant = CONFIG.VISUALIZER.SMOOTHING;
+                this.analyser.connect(this.context.destination);
+                this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+                this.timeData = new Uint8Array(this.analyser.fftSize);
+            }
+
+            let source = this.sources.get(audio);
+            if (!source) {
+                source = this.context.createMediaElementSource(audio);
+                source.connect(this.analyser);
+                this.sources.set(audio, source);
+            }
+            this.audio = audio;
+            this.resume();
+            return true;
+        } catch (error) {
+            console.error('音频可视化初始化失败:', error);
+            return false;
+        }
+    }
+
+    // 浏览器自动播放策略下 AudioContext 可能处于挂起状态，需在用户操作后恢复
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+    }
+
+    setMode(mode) {
+        this.mode = VISUALIZER_MODES.includes(mode) ? mode : 'off';
+        this.peaks = [];
+    }
+
+    setTheme(theme) {
+        this.colors = getVisualizerColors(theme);
+    }
+
+    start() {
+        if (this.frameId || this.mode === 'off' || !this.analyser) return;
+        this.canvas.classList.add('active');
+        const loop = () => {
+            this.render();
+            this.frameId = requestAnimationFrame(loop);
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.canvas.classList.remove('active');
+        this.peaks = [];
+        const ctx = this.canvas.getContext('2d');
+        if (ctx) ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // 画布按显示尺寸和设备像素比调整分辨率
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    render() {
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx || !this.analyser) return;
+
+        this.resize();
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        switch (this.mode) {
+            case 'spectrum':
+                this.analyser.getByteFrequencyData(this.frequencyData);
+                this.drawSpectrum(ctx, width, height);
+                break;
+            case 'waveform':
+                this.analyser.getByteTimeDomainData(this.timeData);
+                this.drawWaveform(ctx, width, height);
+                break;
+            case 'vu':
+                this.analyser.getByteFrequencyData(this.frequencyData);
+                this.drawVu(ctx, width, height);
+                break;
+        }
+    }
+
+    // 频谱：底部对齐的渐变柱
+    drawSpectrum(ctx, width, height) {
+        const bands = groupFrequencyBins(this.frequencyData, CONFIG.VISUALIZER.BAR_COUNT);
+        const slot = width / bands.length;
+        const gradient = ctx.createLinearGradient(0, height, 0, 0);
+        gradient.addColorStop(0, this.colors.secondary);
+        gradient.addColorStop(1, this.colors.primary);
+        ctx.fillStyle = gradient;
+
+        bands.forEach((level, i) => {
+            const barHeight = level * height * 0.6;
+            ctx.fillRect(i * slot + slot * 0.15, height - barHeight, slot * 0.7, barHeight);
+        });
+    }
+
+    // 波形：穿过画面中线的时域曲线
+    drawWaveform(ctx, width, height) {
+        const data = this.timeData;
+        const step = width / (data.length - 1);
+        ctx.lineWidth = Math.max(2, height / 200);
+        ctx.strokeStyle = this.colors.primary;
+        ctx.shadowColor = this.colors.secondary;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        for (let i = 0; i < data.length; i++) {
+            const y = height / 2 + ((data[i] - 128) / 128) * height * 0.35;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * step, y);
+            }
+        }
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    }
+
+    // LED 电平柱：每个频段由发光方块堆叠，顶部一格峰值保持并缓慢回落
+    drawVu(ctx, width, height) {
+        const { VU_BANDS, VU_SEGMENTS, PEAK_FALL } = CONFIG.VISUALIZER;
+        const bands = groupFrequencyBins(this.frequencyData, VU_BANDS);
+        const slot = width / VU_BANDS;
+        const segmentHeight = height * 0.6 / VU_SEGMENTS;
+        const gap = Math.max(1, segmentHeight * 0.25);
+
+        bands.forEach((level, i) => {
+            const lit = levelToSegments(level, VU_SEGMENTS);
+            const peak = Math.max(lit, (this.peaks[i] || 0) - PEAK_FALL);
+            this.peaks[i] = peak;
+
+            const x = i * slot + slot * 0.1;
+            for (let seg = 0; seg < lit; seg++) {
+                ctx.fillStyle = seg >= VU_SEGMENTS * 0.75 ? this.colors.primary : this.colors.secondary;
+                ctx.fillRect(x, height - (seg + 1) * segmentHeight, slot * 0.8, segmentHeight - gap);
+            }
+            const peakSegment = Math.ceil(peak) - 1;
+            if (peakSegment >= lit) {
+                ctx.fillStyle = this.colors.peak;
+                ctx.fillRect(x, height - (peakSegment + 1) * segmentHeight, slot * 0.8, segmentHeight - gap);
+            }
+        });
+    }
+
+    destroy() {
+        this.stop();
+        if (this.context) {
+            this.context.close().catch(() => {});
+            this.context = null;
+            this.analyser = null;
+        }
+        this.audio = null;
+    }
+}
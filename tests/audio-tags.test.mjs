@@ -0,0 +1,233 @@
+import assert from 'node:assert/strict';
+import {
+  test,
+  readAudioTags,
+  parseId3v2,
+  parseVorbisComment,
+  parseMp4Moov,
+  parseMp4TrackTypes,
+  readMp4TrackTypes
+} from './test-helpers.mjs';
+
+const encoder = new TextEncoder();
+
+function concat(...parts) {
+  const arrays = parts.map(part => (typeof part === 'string' ? encoder.encode(part) : Uint8Array.from(part)));
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+const uint32BE = (value) => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+const uint32LE = (value) => uint32BE(value).reverse();
+const syncsafe = (value) => [(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F];
+const latin1 = (text) => Array.from(text, ch => ch.charCodeAt(0));
+
+function id3Frame(version, id, data) {
+  const size = version === 4 ? syncsafe(data.length) : uint32BE(data.length);
+  return concat(id, size, [0, 0], data);
+}
+
+function id3Tag(version, frames) {
+  const body = concat(...frames);
+  return concat('ID3', [version, 0, 0], syncsafe(body.length), body);
+}
+
+function utf16Text(text) {
+  const bytes = [0xFF, 0xFE];
+  for (const ch of text) {
+    const code = ch.charCodeAt(0);
+    bytes.push(code & 0xFF, code >> 8);
+  }
+  return bytes;
+}
+
+function vorbisComment(comments) {
+  const entries = comments.map(comment => {
+    const bytes = encoder.encode(comment);
+    return concat(uint32LE(bytes.length), bytes);
+  });
+  return concat(uint32LE(4), 'test', uint32LE(comments.length), ...entries);
+}
+
+function mp4Atom(type, ...children) {
+  const body = concat(...children);
+  return concat(uint32BE(body.length + 8), latin1(type), body);
+}
+
+function mp4Item(type, dataType, data) {
+  return mp4Atom(type, mp4Atom('data', uint32BE(dataType), [0, 0, 0, 0], data));
+}
+
+const JPEG = [0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3];
+
+await test('parseId3v2 reads v2.3 text frames, track number and front cover', () => {
+  const tags = parseId3v2(id3Tag(3, [
+    id3Frame(3, 'TIT2', concat([1], utf16Text('夜曲'), [0, 0])),
+    id3Frame(3, 'TPE1', concat([0], 'Jay Chou')),
+    id3Frame(3, 'TALB', concat([3], '十一月的萧邦')),
+    id3Frame(3, 'TRCK', concat([0], '3/12')),
+    id3Frame(3, 'APIC', concat([0], 'image/jpeg', [0, 4], 'back', [0], [9, 9, 9])),
+    id3Frame(3, 'APIC', concat([0], 'image/jpeg', [0, 3], [0], JPEG)),
+    [0, 0, 0, 0]
+  ]));
+
+  assert.equal(tags.title, '夜曲');
+  assert.equal(tags.artist, 'Jay Chou');
+  assert.equal(tags.album, '十一月的萧邦');
+  assert.equal(tags.track, 3);
+  assert.equal(tags.picture.mime, 'image/jpeg');
+  assert.deepEqual(Array.from(tags.picture.data), JPEG);
+});
+
+await test('parseId3v2 decodes legacy GBK text and v2.4 syncsafe frames', () => {
+  // “晴天” 的 GBK 编码写在 ISO-8859-1 字段里
+  const gbk = [0xC7, 0xE7, 0xCC, 0xEC];
+  const tags = parseId3v2(id3Tag(4, [
+    id3Frame(4, 'TIT2', concat([0], gbk)),
+    id3Frame(4, 'TPE1', concat([3], '周杰伦', [0], '方文山'))
+  ]));
+
+  assert.equal(tags.title, '晴天');
+  assert.equal(tags.artist, '周杰伦');
+  assert.equal(parseId3v2(encoder.encode('not a tag')), null);
+});
+
+await test('parseId3v2 keeps accented Latin-1 names in ISO-8859-1 frames', () => {
+  // “Mötley Crüe”：0xF6 0x74 也是合法的 GBK 双字节，不能因此解码成汉字
+  const tags = parseId3v2(id3Tag(3, [
+    id3Frame(3, 'TIT2', concat([0], [0x4D, 0xF6, 0x74, 0x6C, 0x65, 0x79])),
+    id3Frame(3, 'TPE1', concat([0], [0x4D, 0xF6, 0x74, 0x6C, 0x65, 0x79, 0x20, 0x43, 0x72, 0xFC, 0x65])),
+    id3Frame(3, 'TALB', concat([0], encoder.encode('Café')))
+  ]));
+
+  assert.equal(tags.title, 'Mötley');
+  assert.equal(tags.artist, 'Mötley Crüe');
+  // 写成 UTF-8 的字段仍按 UTF-8 解码
+  assert.equal(tags.album, 'Café');
+});
+
+await test('parseVorbisComment reads case-insensitive keys', () => {
+  const tags = parseVorbisComment(vorbisComment(['title=七里香', 'ARTIST=周杰伦', 'Album=七里香', 'TRACKNUMBER=1', 'COMMENT=x']));
+  assert.equal(tags.title, '七里香');
+  assert.equal(tags.artist, '周杰伦');
+  assert.equal(tags.album, '七里香');
+  assert.equal(tags.track, 1);
+});
+
+await test('parseMp4Moov walks moov/udta/meta/ilst items', () => {
+  const moov = mp4Atom('moov',
+    mp4Atom('udta',
+      mp4Atom('meta', [0, 0, 0, 0],
+        mp4Atom('hdlr', new Array(25).fill(0)),
+        mp4Atom('ilst',
+          mp4Item('©nam', 1, encoder.encode('稻香')),
+          mp4Item('©ART', 1, encoder.encode('周杰伦')),
+          mp4Item('trkn', 0, [0, 0, 0, 5, 0, 10, 0, 0]),
+          mp4Item('covr', 14, [0x89, 0x50, 0x4E, 0x47])))));
+
+  const tags = parseMp4Moov(moov);
+  assert.equal(tags.title, '稻香');
+  assert.equal(tags.artist, '周杰伦');
+  assert.equal(tags.track, 5);
+  assert.equal(tags.picture.mime, 'image/png');
+});
+
+await test('readAudioTags dispatches on file signature', async () => {
+  const mp3 = new Blob([id3Tag(3, [id3Frame(3, 'TIT2', concat([0], 'Song'))]), new Uint8Array(64)]);
+  assert.equal((await readAudioTags(mp3)).title, 'Song');
+
+  const comment = vorbisComment(['TITLE=Flac Song', 'TRACKNUMBER=7']);
+  const flac = new Blob([concat('fLaC', [0x00, 0, 0, 34], new Array(34).fill(0), [0x84], uint32BE(comment.length).slice(1), comment)]);
+  const flacTags = await readAudioTags(flac);
+  assert.equal(flacTags.title, 'Flac Song');
+  assert.equal(flacTags.track, 7);
+
+  // OGG: 标识头一个页面，注释头跨两个页面（255 字节分段续接）
+  const packet = concat([3], 'vorbis', vorbisComment(['TITLE=Ogg Song', `ARTIST=${'a'.repeat(300)}`]), [1]);
+  const oggPage = (data, lacing) => concat('OggS', new Array(22).fill(0), [lacing.length], lacing, data);
+  const first = packet.subarray(0, 255);
+  const rest = packet.subarray(255);
+  const ogg = new Blob([
+    oggPage(concat([1], 'vorbis', new Array(23).fill(0)), [30]),
+    oggPage(first, [255]),
+    oggPage(rest, [rest.length])
+  ]);
+  const oggTags = await readAudioTags(ogg);
+  assert.equal(oggTags.title, 'Ogg Song');
+  assert.equal(oggTags.artist.length, 300);
+
+  const m4a = new Blob([concat(
+    mp4Atom('ftyp', 'M4A ', [0, 0, 0, 0]),
+    mp4Atom('free', [0, 0, 0, 0]),
+    mp4Atom('moov', mp4Atom('udta', mp4Atom('meta', [0, 0, 0, 0], mp4Atom('ilst', mp4Item('©alb', 1, encoder.encode('Album')))))),
+    mp4Atom('mdat', [1, 2, 3])
+  )]);
+  assert.equal((await readAudioTags(m4a)).album, 'Album');
+
+  assert.equal(await readAudioTags(new Blob([new Uint8Array(32)])), null);
+  assert.equal(await readAudioTags({ name: 'stub.mp3' }), null);
+});
+
+await test('parseId3v2 reads USLT text and groups word-level SYLT entries into lines', () => {
+  const ms = (value) => uint32BE(value);
+  const sylt = concat(
+    [3], 'chi', [2, 1], 'desc', [0],
+    'Hel', [0], ms(1000), 'lo', [0], ms(1500),
+    '\nworld', [0], ms(3000)
+  );
+  const tags = parseId3v2(id3Tag(3, [
+    id3Frame(3, 'USLT', concat([3], 'eng', [0], 'plain words')),
+    id3Frame(3, 'USLT', concat([3], 'eng', 'lrc', [0], '[00:01.00]hello')),
+    id3Frame(3, 'SYLT', sylt)
+  ]));
+
+  assert.equal(tags.lyrics, '[00:01.00]hello');
+  assert.deepEqual(tags.syncedLyrics, [
+    { time: 1, text: 'Hello', words: [{ time: 1, end: 1.5, text: 'Hel' }, { time: 1.5, text: 'lo' }] },
+    { time: 3, text: 'world' }
+  ]);
+});
+
+await test('parseId3v2 treats line-level SYLT entries as lines and skips frame-based timing', () => {
+  const lineSylt = concat([0], 'eng', [2, 1], [0], 'second', [0], uint32BE(4000), 'first', [0], uint32BE(2000));
+  const frameSylt = concat([0], 'eng', [1, 1], [0], 'frames', [0], uint32BE(100));
+
+  assert.deepEqual(parseId3v2(id3Tag(3, [id3Frame(3, 'SYLT', lineSylt)])).syncedLyrics, [
+    { time: 2, text: 'first' },
+    { time: 4, text: 'second' }
+  ]);
+  assert.equal(parseId3v2(id3Tag(3, [id3Frame(3, 'SYLT', frameSylt)])).syncedLyrics, null);
+});
+
+await test('Vorbis LYRICS and MP4 ©lyr are read as lyric text', () => {
+  const vorbis = parseVorbisComment(vorbisComment(['UNSYNCEDLYRICS=plain', 'LYRICS=[00:02.00]line']));
+  assert.equal(vorbis.lyrics, '[00:02.00]line');
+
+  const moov = mp4Atom('moov', mp4Atom('udta', mp4Atom('meta', [0, 0, 0, 0],
+    mp4Atom('ilst', mp4Item('©lyr', 1, encoder.encode('[00:03.00]mp4 line'))))));
+  assert.equal(parseMp4Moov(moov).lyrics, '[00:03.00]mp4 line');
+});
+
+await test('parseMp4TrackTypes collects handler types from every track', () => {
+  const track = (handler) => mp4Atom('trak', mp4Atom('tkhd', new Array(8).fill(0)),
+    mp4Atom('mdia', mp4Atom('hdlr', [0, 0, 0, 0], [0, 0, 0, 0], latin1(handler), new Array(13).fill(0))));
+  const moov = mp4Atom('moov', mp4Atom('mvhd', new Array(8).fill(0)), track('vide'), track('soun'));
+  assert.deepEqual([...parseMp4TrackTypes(moov)], ['vide', 'soun']);
+});
+
+await test('readMp4TrackTypes reads tracks from a file and ignores non-MP4 input', async () => {
+  const hdlr = (handler) => mp4Atom('hdlr', [0, 0, 0, 0], [0, 0, 0, 0], latin1(handler), new Array(13).fill(0));
+  const videoOnly = new Blob([concat(
+    mp4Atom('ftyp', 'isom', [0, 0, 0, 0]),
+    mp4Atom('mdat', new Array(32).fill(0)),
+    mp4Atom('moov', mp4Atom('trak', mp4Atom('mdia', hdlr('vide'))))
+  )]);
+  assert.deepEqual([...await readMp4TrackTypes(videoOnly)], ['vide']);
+  assert.equal(await readMp4TrackTypes(new Blob([id3Tag(3, [])])), null);
+  assert.equal(await readMp4TrackTypes({ name: 'stub.mp4' }), null);
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { test, containsHan, toSimplified, toPinyin } from './test-helpers.mjs';
+
+await test('containsHan detects CJK ideographs only', () => {
+  assert.equal(containsHan('夜曲'), true);
+  assert.equal(containsHan('Jay Chou - 夜曲'), true);
+  assert.equal(containsHan('yequ'), false);
+  assert.equal(containsHan('さくら'), false);
+  assert.equal(containsHan(''), false);
+});
+
+await test('toSimplified folds traditional characters and keeps the rest', () => {
+  assert.equal(toSimplified('說好的幸福'), '说好的幸福');
+  assert.equal(toSimplified('愛情轉移 (Live)'), '爱情转移 (Live)');
+  assert.equal(toSimplified('夜曲'), '夜曲');
+});
+
+await test('toPinyin transliterates simplified and traditional text', () => {
+  assert.equal(toPinyin('夜曲'), 'yequ');
+  assert.equal(toPinyin('七里香'), 'qilixiang');
+  assert.equal(toPinyin('綠光'), 'lvguang');
+  assert.equal(toPinyin('周杰倫 - 晴天'), 'zhoujielun - qingtian');
+  // 未收录的字原样保留
+  assert.equal(toPinyin('A㐀'), 'A㐀');
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test, detectEncoding, detectLegacyEncoding, decodeText } from './test-helpers.mjs';
+
+// “[00:01.00]我爱你 永远的梦” 等文本在各编码下的字节
+const GBK_BYTES = [91, 48, 48, 58, 48, 49, 46, 48, 48, 93, 206, 210, 176, 174, 196, 227, 32, 211, 192, 212, 182, 181, 196, 195, 206];
+const BIG5_BYTES = [91, 48, 48, 58, 48, 49, 46, 48, 48, 93, 167, 218, 183, 82, 167, 65, 32, 165, 195, 187, 183, 170, 186, 185, 218];
+const SHIFT_JIS_BYTES = [91, 48, 48, 58, 48, 49, 46, 48, 48, 93, 130, 179, 130, 173, 130, 231, 32, 130, 160, 130, 232, 130, 170, 130, 198, 130, 164];
+
+await test('detectEncoding honours BOM and UTF-16 zero-byte patterns', () => {
+  assert.equal(detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41])), 'utf-8');
+  assert.equal(detectEncoding(new Uint8Array([0xFF, 0xFE, 0x41, 0x00])), 'utf-16le');
+  assert.equal(detectEncoding(new Uint8Array([0xFE, 0xFF, 0x00, 0x41])), 'utf-16be');
+  assert.equal(detectEncoding(Buffer.from('[00:01.00]hello', 'utf16le')), 'utf-16le');
+  assert.equal(detectEncoding(Buffer.from('[00:01.00]hello', 'utf16le').swap16()), 'utf-16be');
+  assert.equal(detectEncoding(new TextEncoder().encode('[00:01.00]你好')), 'utf-8');
+});
+
+await test('detectEncoding tells GBK, Big5 and Shift_JIS apart', () => {
+  assert.equal(detectEncoding(new Uint8Array(GBK_BYTES)), 'gbk');
+  assert.equal(detectEncoding(new Uint8Array(BIG5_BYTES)), 'big5');
+  assert.equal(detectEncoding(new Uint8Array(SHIFT_JIS_BYTES)), 'shift_jis');
+});
+
+await test('decodeText decodes detected or forced encodings', () => {
+  assert.deepEqual(decodeText(new Uint8Array(GBK_BYTES).buffer), {
+    text: '[00:01.00]我爱你 永远的梦',
+    encoding: 'gbk'
+  });
+  assert.equal(decodeText(new Uint8Array(BIG5_BYTES)).text, '[00:01.00]我愛你 永遠的夢');
+  assert.equal(decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41])).text, 'A');
+  assert.equal(decodeText(new Uint8Array(GBK_BYTES), 'big5').encoding, 'big5');
+  assert.deepEqual(decodeText(new Uint8Array([0x41]), 'no-such-encoding'), { text: 'A', encoding: 'utf-8' });
+});
+
+await test('detectLegacyEncoding reports how confident the best guess is', () => {
+  // “晴天” 的 GBK 编码命中常用汉字，"Mötley" 的 Latin-1 字节只解码出生僻字
+  assert.deepEqual(detectLegacyEncoding(new Uint8Array([0xC7, 0xE7, 0xCC, 0xEC])), { encoding: 'gbk', score: 3 });
+  assert.ok(detectLegacyEncoding(new Uint8Array([0x4D, 0xF6, 0x74, 0x6C, 0x65, 0x79])).score < 3);
+});
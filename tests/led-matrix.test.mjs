@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import {
+  test,
+  installDocumentStub,
+  LedMatrixRenderer,
+  sampleDotMatrix,
+  getMarqueeOffset,
+  normalizeLedMatrixOptions,
+  DEFAULT_LED_MATRIX_OPTIONS
+} from './test-helpers.mjs';
+
+// 每个字符宽 10 个点，偶数列完全点亮、奇数列熄灭
+function createFakeCanvas(stats) {
+  const ctx = {
+    font: '',
+    globalAlpha: 1,
+    measureText(text) { return { width: text.length * 10 }; },
+    fillText(text) { stats.text = text; },
+    getImageData(x, y, width, height) {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          data[(row * width + col) * 4 + 3] = col % 2 === 0 ? 255 : 0;
+        }
+      }
+      return { data };
+    },
+    clearRect() {},
+    beginPath() { this.dots = 0; },
+    moveTo() {},
+    arc() { this.dots += 1; },
+    rect() { this.dots += 1; },
+    fill() { stats.fills.push({ dots: this.dots, alpha: this.globalAlpha, style: this.fillStyle }); },
+    drawImage() { stats.draws += 1; },
+    save() {},
+    restore() {}
+  };
+  return { width: 0, height: 0, style: {}, getContext() { return ctx; } };
+}
+
+function createRenderer() {
+  const stats = { fills: [], draws: 0, text: null };
+  installDocumentStub({});
+  globalThis.document.createElement = () => createFakeCanvas(stats);
+  const canvas = createFakeCanvas(stats);
+  return { renderer: new LedMatrixRenderer(canvas), canvas, stats };
+}
+
+await test('sampleDotMatrix keeps bright pixels and drops anti-aliased edges', () => {
+  const data = Uint8Array.from([
+    0, 0, 0, 255,
+    0, 0, 0, 40,
+    0, 0, 0, 128,
+    0, 0, 0, 0
+  ]);
+  assert.deepEqual([...sampleDotMatrix(data, 2, 2)], [255, 0, 128, 0]);
+});
+
+await test('getMarqueeOffset centers short lines and scrolls long ones', () => {
+  assert.equal(getMarqueeOffset(100, 192, 5), 46);
+  // 长 288 点，屏宽 192：停留 1 秒，以 48 点/秒滚动 2 秒，末尾停留 1 秒后循环
+  assert.equal(getMarqueeOffset(288, 192, 0.5, 48, 1), 0);
+  assert.equal(getMarqueeOffset(288, 192, 2, 48, 1), -48);
+  assert.equal(getMarqueeOffset(288, 192, 3.5, 48, 1), -96);
+  assert.equal(getMarqueeOffset(288, 192, 4.5, 48, 1), 0);
+});
+
+await test('normalizeLedMatrixOptions clamps the grid and falls back on invalid values', () => {
+  assert.deepEqual(normalizeLedMatrixOptions({}), DEFAULT_LED_MATRIX_OPTIONS);
+
+  const options = normalizeLedMatrixOptions({
+    enabled: 1,
+    cols: '320.4',
+    rows: 'abc',
+    shape: 'triangle',
+    pitch: 99,
+    bloom: '0.25'
+  });
+  assert.deepEqual(options, { enabled: true, cols: 320, rows: 64, shape: 'round', pitch: 12, bloom: 0.25 });
+  assert.equal(normalizeLedMatrixOptions({ cols: 4, rows: 5000 }).cols, 8);
+  assert.equal(normalizeLedMatrixOptions({ cols: 4, rows: 5000 }).rows, 256);
+
+  // 尺寸简写覆盖列数和行数；旧版设置没有 enabled，按 grid 是否为 'off' 判断
+  assert.deepEqual(normalizeLedMatrixOptions({ grid: '384x128', pitch: 3 }),
+    { ...DEFAULT_LED_MATRIX_OPTIONS, enabled: true, cols: 384, rows: 128, pitch: 3 });
+  assert.equal(normalizeLedMatrixOptions({ grid: 'off' }).enabled, false);
+  assert.equal(normalizeLedMatrixOptions({ enabled: false, grid: '384x128' }).enabled, false);
+});
+
+await test('LedMatrixRenderer sizes the canvas from cols, rows and pitch', () => {
+  const { renderer, canvas } = createRenderer();
+  renderer.setOptions({ cols: 384, rows: 128, pitch: 3 });
+  assert.equal(canvas.width, 1152);
+  assert.equal(canvas.height, 384);
+  assert.equal(canvas.style.width, '1152px');
+
+  // 非标准尺寸的实体屏，例如 320×48
+  renderer.setOptions({ cols: 320, rows: 48 });
+  assert.equal(canvas.width, 960);
+  assert.equal(canvas.height, 144);
+
+  renderer.setOptions({ cols: 'unknown' });
+  assert.equal(canvas.width, 192 * 3);
+});
+
+await test('LedMatrixRenderer shrinks the pitch to fit its container and the canvas limit', () => {
+  const { renderer, canvas, stats } = createRenderer();
+  canvas.parentElement = { clientWidth: 1000 };
+  renderer.setOptions({ cols: 384, rows: 128, pitch: 3 });
+  assert.equal(renderer.pitch, 2);
+  assert.equal(canvas.width, 768);
+  assert.equal(canvas.style.width, '768px');
+  assert.equal(canvas.height, 256);
+
+  // 容器变宽后恢复设置的点距
+  canvas.parentElement.clientWidth = 1600;
+  renderer.resize();
+  assert.equal(renderer.pitch, 3);
+  assert.equal(canvas.width, 1152);
+
+  // 没有容器宽度时也不超过画布上限，最小 1px
+  canvas.parentElement = null;
+  renderer.setOptions({ cols: 1024, rows: 256, pitch: 12 });
+  assert.equal(canvas.width, 8192);
+  canvas.parentElement = { clientWidth: 300 };
+  renderer.resize();
+  assert.equal(renderer.pitch, 1);
+  assert.equal(canvas.width, 1024);
+
+  // 底图按实际点距重建
+  renderer.setText('ab', '#fff');
+  renderer.render(renderer.startTime);
+  assert.equal(stats.fills[0].dots, 1024 * 256);
+});
+
+await test('LedMatrixRenderer draws lit dots centered and redraws only when the offset moves', () => {
+  const { renderer, stats } = createRenderer();
+  renderer.setOptions({ cols: 192, rows: 64, shape: 'square', pitch: 4, bloom: 0 });
+  renderer.setText('ab', '#00bfff');
+  assert.equal(stats.text, 'ab');
+  assert.equal(renderer.textWidth, 20);
+
+  renderer.render(renderer.startTime);
+  // 底图一次性画出全部 192×64 个熄灭的点
+  assert.equal(stats.fills[0].dots, 192 * 64);
+  // 亮度满格的点都在最高一档：20 列中的 10 列 × 64 行
+  const lit = stats.fills.slice(1);
+  assert.equal(lit.length, 4);
+  assert.deepEqual(lit.map(fill => fill.dots), [0, 0, 0, 640]);
+  assert.equal(lit[3].alpha, 1);
+  assert.equal(lit[3].style, '#00bfff');
+  assert.equal(stats.draws, 2); // 底图 + 点亮层，无光晕
+
+  renderer.render(renderer.startTime + 5000);
+  assert.equal(stats.fills.length, 5);
+
+  // 只换颜色不重新栅格化，但需要重绘
+  renderer.setText('ab', '#ffd700');
+  renderer.render(renderer.startTime + 5000);
+  assert.equal(stats.fills.at(-1).style, '#ffd700');
+
+  renderer.setOptions({ bloom: 0.8 });
+  stats.draws = 0;
+  renderer.render(renderer.startTime);
+  assert.equal(stats.draws, 3); // 叠加一层模糊光晕
+});
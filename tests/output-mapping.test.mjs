@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import {
+  test,
+  createElement,
+  installDocumentStub,
+  DEFAULT_OUTPUT_MAPPING,
+  normalizeOutputMapping,
+  computeStageLayout,
+  drawTestPattern,
+  applyStageMapping,
+  STAGE_REFERENCE_SIZE
+} from './test-helpers.mjs';
+
+function createRecordingContext() {
+  const calls = { rects: [], texts: [] };
+  const ctx = {
+    fillRect(x, y, width, height) { calls.rects.push([x, y, width, height, this.fillStyle]); },
+    fillText(text) { calls.texts.push(text); },
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    arc() {},
+    stroke() {}
+  };
+  return { ctx, calls };
+}
+
+await test('normalizeOutputMapping clamps sizes and falls back on invalid values', () => {
+  assert.deepEqual(normalizeOutputMapping({}), DEFAULT_OUTPUT_MAPPING);
+
+  const mapping = normalizeOutputMapping({
+    enabled: 1,
+    width: '1920.4',
+    height: 'abc',
+    x: -20,
+    y: '64',
+    scaleMode: 'css',
+    rotation: '90',
+    mirrorX: 'yes',
+    fit: 'stretch'
+  });
+  assert.equal(mapping.enabled, true);
+  assert.equal(mapping.width, 1920);
+  assert.equal(mapping.height, DEFAULT_OUTPUT_MAPPING.height);
+  assert.equal(mapping.x, 0);
+  assert.equal(mapping.y, 64);
+  assert.equal(mapping.scaleMode, 'css');
+  assert.equal(mapping.rotation, 90);
+  assert.equal(mapping.mirrorX, true);
+  assert.equal(mapping.fit, 'stretch');
+
+  assert.equal(normalizeOutputMapping({ rotation: 45, scaleMode: 'zoom' }).rotation, 0);
+  assert.equal(normalizeOutputMapping({ scaleMode: 'zoom' }).scaleMode, 'device');
+  assert.equal(normalizeOutputMapping({ fit: 'zoom' }).fit, 'fit');
+});
+
+await test('computeStageLayout converts device pixels to CSS pixels', () => {
+  const mapping = normalizeOutputMapping({ width: 1536, height: 256, x: 100, y: 40 });
+  assert.deepEqual(computeStageLayout(mapping, 2), {
+    left: 50,
+    top: 20,
+    width: 768,
+    height: 128,
+    pixelWidth: 1536,
+    pixelHeight: 256,
+    transform: '',
+    contentScaleX: 128 / 1080,
+    contentScaleY: 128 / 1080
+  });
+
+  const css = computeStageLayout({ ...mapping, scaleMode: 'css' }, 2);
+  assert.equal(css.left, 100);
+  assert.equal(css.width, 1536);
+});
+
+await test('computeStageLayout scales the reference-size lyrics into a short, wide region', () => {
+  // 1536×256 物理像素在 2 倍屏上为 768×128 CSS 像素，远比参考分辨率扁
+  const mapping = normalizeOutputMapping({ width: 1536, height: 256 });
+  const scaled = (layout) => ({
+    width: STAGE_REFERENCE_SIZE.width * layout.contentScaleX,
+    height: STAGE_REFERENCE_SIZE.height * layout.contentScaleY
+  });
+
+  // 完整显示：高度贴合区域，宽度不超出
+  const fit = computeStageLayout(mapping, 2);
+  assert.equal(fit.contentScaleX, fit.contentScaleY);
+  assert.ok(Math.abs(scaled(fit).height - 128) < 1e-9);
+  assert.ok(scaled(fit).width <= 768);
+
+  // 填满裁切：宽度贴合区域，上下超出部分由舞台裁掉
+  const fill = computeStageLayout({ ...mapping, fit: 'fill' }, 2);
+  assert.equal(fill.contentScaleX, 0.4);
+  assert.equal(fill.contentScaleY, 0.4);
+  assert.equal(scaled(fill).width, 768);
+
+  // 拉伸：两个方向分别贴合
+  const stretch = computeStageLayout({ ...mapping, fit: 'stretch' }, 2);
+  assert.equal(scaled(stretch).width, 768);
+  assert.ok(Math.abs(scaled(stretch).height - 128) < 1e-9);
+
+  // 旋转 90 度时按竖向排版的舞台缩放
+  const sideways = computeStageLayout({ ...mapping, rotation: 90, fit: 'fill' }, 2);
+  assert.equal(sideways.contentScaleX, Math.max(128 / 1920, 768 / 1080));
+});
+
+await test('computeStageLayout lays sideways content out rotated into the same region', () => {
+  const mapping = normalizeOutputMapping({ width: 256, height: 1024, x: 10, y: 0, rotation: 90, mirrorX: true });
+  const layout = computeStageLayout(mapping, 1);
+  // 内容按 1024×256 排版，绕中心旋转后正好占据 256×1024 的区域
+  assert.equal(layout.width, 1024);
+  assert.equal(layout.height, 256);
+  assert.equal(layout.left, 10 + (256 - 1024) / 2);
+  assert.equal(layout.top, (1024 - 256) / 2);
+  assert.equal(layout.pixelWidth, 1024);
+  assert.equal(layout.transform, 'rotate(90deg) scale(-1, 1)');
+
+  assert.equal(computeStageLayout({ ...mapping, rotation: 0, mirrorX: false, mirrorY: true }, 1).transform, 'scale(1, -1)');
+});
+
+await test('drawTestPattern outlines the outermost pixels and labels size and corners', () => {
+  const { ctx, calls } = createRecordingContext();
+  drawTestPattern(ctx, 1536, 256);
+
+  assert.deepEqual(calls.rects[0], [0, 0, 1536, 256, '#000']);
+  const border = calls.rects.slice(-4);
+  assert.deepEqual(border.map(rect => rect.slice(0, 4)), [
+    [0, 0, 1536, 1],
+    [0, 255, 1536, 1],
+    [0, 0, 1, 256],
+    [1535, 0, 1, 256]
+  ]);
+  assert.deepEqual(calls.texts, ['TL', 'TR', 'BR', 'BL', '1536×256']);
+});
+
+await test('applyStageMapping positions the stage and restores it when disabled', () => {
+  installDocumentStub({});
+  const classes = new Set();
+  globalThis.document.body.classList = {
+    add(name) { classes.add(name); },
+    remove(name) { classes.delete(name); }
+  };
+  const stage = createElement();
+  const content = createElement();
+  stage.querySelector = (selector) => (selector === '.lyrics-display' ? content : null);
+  const canvas = createElement();
+  let drawn = 0;
+  canvas.getContext = () => ({ ...createRecordingContext().ctx, fillText() { drawn += 1; } });
+
+  applyStageMapping(stage, canvas, normalizeOutputMapping({ enabled: true, x: 8, testPattern: true, rotation: 180 }), 1);
+  assert.equal(classes.has('output-mapped'), true);
+  assert.equal(stage.style.left, '8px');
+  assert.equal(stage.style.width, '1536px');
+  assert.equal(stage.style.transform, 'rotate(180deg)');
+  assert.equal(content.style.width, '1920px');
+  assert.equal(content.style.height, '1080px');
+  assert.equal(content.style.transform, `translate(-50%, -50%) scale(${256 / 1080}, ${256 / 1080})`);
+  assert.equal(canvas.width, 1536);
+  assert.equal(canvas.height, 256);
+  assert.equal(canvas.style.display, 'block');
+  assert.ok(drawn > 0);
+
+  applyStageMapping(stage, canvas, normalizeOutputMapping({ enabled: false }), 1);
+  assert.equal(classes.has('output-mapped'), false);
+  assert.equal(stage.style.left, '');
+  assert.equal(stage.style.transform, '');
+  assert.equal(content.style.width, '');
+  assert.equal(content.style.transform, '');
+  assert.equal(canvas.style.display, 'none');
+});
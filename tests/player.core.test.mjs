@@ -51,7 +51,8 @@ await test('parseLrc merges duplicate timestamps', () => {
   const parsed = player.parseLrc(lrc);
   assert.equal(parsed.length, 2);
   assert.equal(parsed[0].time, 1);
-  assert.equal(parsed[0].text, 'first / second');
+  assert.equal(parsed[0].text, 'first');
+  assert.deepEqual(parsed[0].secondary, ['second']);
   assert.equal(parsed[1].text, 'third');
 });
 
@@ -68,6 +69,247 @@ await test('parseLrc applies offset metadata', () => {
   assert.equal(parsed[1].time, 3);
 });
 
+await test('parseLrc expands multiple leading timestamps', () => {
+  const lrc = [
+    '[00:12.00][01:05.30][02:10.00]chorus text',
+    '[00:30.00]verse'
+  ].join('\n');
+
+  const parsed = player.parseLrc(lrc);
+  assert.equal(parsed.length, 4);
+  assert.deepEqual(parsed.map(line => line.time), [12, 30, 65.3, 130]);
+  assert.deepEqual(parsed.map(line => line.text), ['chorus text', 'verse', 'chorus text', 'chorus text']);
+});
+
+await test('parseLrc shifts word timings for repeated timestamps', () => {
+  const lrc = '[00:01.00][00:11.00]<00:01.00>a<00:02.00>b<00:03.00>';
+  const parsed = player.parseLrc(lrc);
+  assert.equal(parsed.length, 2);
+  assert.deepEqual(parsed[1].words, [
+    { time: 11, end: 12, text: 'a' },
+    { time: 12, end: 13, text: 'b' }
+  ]);
+  assert.notEqual(parsed[0].words, parsed[1].words);
+});
+
+await test('parseLrc keeps enhanced LRC word timings', () => {
+  const lrc = [
+    '[00:01.00]<00:01.00>Hel<00:01.50>lo <00:02.00>world<00:03.00>',
+    '[00:04.00]<00:04.00>next <00:05.00>line',
+    '[00:06.00]plain'
+  ].join('\n');
+
+  const parsed = player.parseLrc(lrc);
+  assert.equal(parsed.length, 3);
+  assert.equal(parsed[0].text, 'Hello world');
+  assert.deepEqual(parsed[0].words, [
+    { time: 1, end: 1.5, text: 'Hel' },
+    { time: 1.5, end: 2, text: 'lo ' },
+    { time: 2, end: 3, text: 'world' }
+  ]);
+  assert.equal(parsed[1].text, 'next line');
+  assert.equal(parsed[1].words[1].end, 6);
+  assert.equal(parsed[2].words, undefined);
+});
+
+await test('parseLrc applies offset to word timings', () => {
+  const lrc = '[offset:500]\n[00:01.00]<00:01.00>a<00:02.00>b';
+  const parsed = player.parseLrc(lrc);
+  assert.equal(parsed[0].words[0].time, 1.5);
+  assert.equal(parsed[0].words[1].time, 2.5);
+  assert.equal(parsed[0].words[1].end, 3.5);
+});
+
+await test('parseSrt parses cues with end times and strips markup', () => {
+  const srt = [
+    '1',
+    '00:00:01,000 --> 00:00:03,500',
+    '<i>first</i> line',
+    '',
+    '2',
+    '00:00:05,250 --> 00:00:07,000',
+    'second',
+    'wrapped',
+    ''
+  ].join('\r\n');
+
+  const parsed = player.parseSrt(srt);
+  assert.deepEqual(parsed, [
+    { time: 1, end: 3.5, text: 'first line' },
+    { time: 5.25, end: 7, text: 'second / wrapped' }
+  ]);
+});
+
+await test('parseVtt skips header and note blocks', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    'NOTE exported from editor',
+    '',
+    'intro',
+    '00:01.000 --> 00:02.000 align:center',
+    '<v Singer>hello</v>',
+    '',
+    '01:00:00.500 --> 01:00:01.000',
+    'late'
+  ].join('\n');
+
+  const parsed = player.parseVtt(vtt);
+  assert.equal(parsed.length, 2);
+  assert.deepEqual(parsed[0], { time: 1, end: 2, text: 'hello' });
+  assert.equal(parsed[1].time, 3600.5);
+});
+
+await test('parseAss maps dialogue, karaoke tags and style colors', () => {
+  const ass = [
+    '[Script Info]',
+    'Title: Night Song',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour',
+    'Style: Default,Arial,20,&H00FFFFFF,&H000000FF',
+    'Style: Red,Arial,20,&H000000FF,&H000000FF',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Comment: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,ignored',
+    'Dialogue: 0,0:00:01.00,0:00:04.00,Red,,0,0,0,,{\\k50}Hel{\\b1}{\\k30}lo, {\\k20}{\\k40}world',
+    'Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,plain\\Nsecond',
+    'Dialogue: 0,0:00:07.00,0:00:08.00,Default,,0,0,0,,原文',
+    'Dialogue: 0,0:00:07.00,0:00:09.00,Default,,0,0,0,,translation'
+  ].join('\n');
+
+  const parsed = player.parseAss(ass);
+  assert.equal(parsed.length, 3);
+  assert.equal(parsed[0].text, 'Hello, world');
+  assert.equal(parsed[0].end, 4);
+  assert.equal(parsed[0].color, '#ff0000');
+  assert.deepEqual(parsed[0].words, [
+    { time: 1, end: 1.5, text: 'Hel' },
+    { time: 1.5, end: 1.8, text: 'lo, ' },
+    { time: 2, end: 2.4, text: 'world' }
+  ]);
+  assert.deepEqual(parsed[1], { time: 5, end: 6.5, text: 'plain / second' });
+  assert.deepEqual(parsed[2], { time: 7, end: 9, text: '原文', secondary: ['translation'] });
+  assert.deepEqual(player.parseAssMetadata(ass), { title: 'Night Song' });
+});
+
+await test('parseAssColor converts BGR with alpha and ignores default white', () => {
+  assert.equal(player.parseAssColor('&H00FF8000'), '#0080ff');
+  assert.equal(player.parseAssColor('&H8000FF00&'), 'rgba(0, 255, 0, 0.5)');
+  assert.equal(player.parseAssColor('255'), '#ff0000');
+  assert.equal(player.parseAssColor('&H00FFFFFF'), null);
+  assert.equal(player.parseAssColor(''), null);
+});
+
+await test('parseLyricFile dispatches by extension', () => {
+  const srt = player.parseLyricFile('1\n00:00:01,000 --> 00:00:02,000\nhi', 'song.SRT');
+  assert.equal(srt.lyrics[0].end, 2);
+  assert.deepEqual(srt.meta, {});
+
+  const lrc = player.parseLyricFile('[ti:x]\n[00:01.00]hi', 'song.lrc');
+  assert.equal(lrc.lyrics[0].text, 'hi');
+  assert.equal(lrc.meta.title, 'x');
+
+  assert.ok(player.isLyricFile('a.vtt'));
+  assert.ok(!player.isLyricFile('a.mp3'));
+});
+
+await test('parseLrcMetadata extracts ID tags', () => {
+  const lrc = [
+    '[ti:Night Song]',
+    '[ar: Singer ]',
+    '[al:Album]',
+    '[by:editor]',
+    '[length: 03:25.50]',
+    '[offset:100]',
+    '[00:01.00]line'
+  ].join('\n');
+
+  const meta = player.parseLrcMetadata(lrc);
+  assert.deepEqual(meta, {
+    title: 'Night Song',
+    artist: 'Singer',
+    album: 'Album',
+    author: 'editor',
+    length: 205.5
+  });
+  assert.deepEqual(player.parseLrcMetadata('[00:01.00]line'), {});
+  assert.equal(player.parseLengthTag('180'), 180);
+});
+
+await test('getSongDisplayName prefers metadata over file name', () => {
+  assert.equal(player.getSongDisplayName({ name: '03_messy_name' }), 'messy_name');
+  assert.equal(player.getSongDisplayName({ name: '03_messy', meta: { title: 'Clean' } }), 'Clean');
+  assert.equal(
+    player.getSongDisplayName({ name: '03_messy', meta: { title: 'Clean', artist: 'Band' } }),
+    'Clean - Band'
+  );
+});
+
+await test('getSongDisplayName falls back to audio tags', () => {
+  const audioFile = { name: 'track01.mp3' };
+  player.audioTags.set(audioFile, { title: '夜曲', artist: '周杰伦', album: '', track: 1, picture: null });
+  assert.equal(player.getSongDisplayName({ name: 'track01', audioFile }), '夜曲 - 周杰伦');
+  assert.equal(player.getSongDisplayName({ name: 'track01', audioFile, meta: { title: 'Yequ' } }), 'Yequ - 周杰伦');
+});
+
+await test('findBestMatch uses audio tags when the file name is meaningless', () => {
+  const lyricSongs = [
+    { name: '晴天', lyrics: [{ time: 0, text: 'a' }] },
+    { name: 'Jay Chou - 夜曲', lyrics: [{ time: 0, text: 'b' }] }
+  ];
+  assert.equal(player.findBestMatch('track01', lyricSongs), null);
+  assert.equal(player.findBestMatch('track01', lyricSongs, { title: '夜曲', artist: 'Jay Chou' }), lyricSongs[1]);
+  assert.equal(player.findBestMatch('track02', lyricSongs, { title: '晴天', artist: '' }), lyricSongs[0]);
+
+  const [candidate] = player.rankMatchCandidates('track01', lyricSongs, { title: '夜曲', artist: 'Jay Chou' });
+  assert.equal(candidate.score, 0.98);
+  assert.match(candidate.details, /标签匹配/);
+});
+
+await test('sortPlaylist orders by tag track number within an album', () => {
+  const tagged = (name, album, track) => {
+    const audioFile = { name: `${name}.mp3` };
+    player.audioTags.set(audioFile, { title: '', artist: '', album, track, picture: null });
+    return { name, lyrics: [], audioFile };
+  };
+  player.songs = [tagged('c', 'B', 1), tagged('a', 'A', 2), tagged('b', 'A', 1), { name: '02 intro', lyrics: [] }];
+  player.updatePlaylist = () => {};
+  player.updateSongDisplay = () => {};
+  player.showNotification = () => {};
+
+  player.sortPlaylist();
+
+  assert.deepEqual(player.songs.map(song => song.name), ['02 intro', 'b', 'a', 'c']);
+});
+
+await test('sortPlaylist keeps the name order for untagged songs in a mixed list', () => {
+  const tagged = (name, album, track) => {
+    const audioFile = { name: `${name}.mp3` };
+    player.audioTags.set(audioFile, { title: '', artist: '', album, track, picture: null });
+    return { name, lyrics: [], audioFile };
+  };
+  const notifications = [];
+  player.songs = [
+    { name: 'zebra', lyrics: [] },
+    tagged('second', 'Live', 2),
+    { name: 'apple', lyrics: [] },
+    tagged('first', 'Live', 1),
+    { name: '01 opening', lyrics: [] },
+    tagged('no-album', '', 1)
+  ];
+  player.updatePlaylist = () => {};
+  player.updateSongDisplay = () => {};
+  player.showNotification = (message) => { notifications.push(message); };
+
+  player.sortPlaylist();
+
+  // 未带专辑标签的歌曲不会被整体提到最前，同专辑的歌曲仍按音轨号排列
+  assert.deepEqual(player.songs.map(song => song.name), ['01 opening', 'apple', 'first', 'no-album', 'second', 'zebra']);
+  assert.deepEqual(notifications, ['歌曲列表已排序：同专辑按音轨号，其余按名称 (6 首)']);
+});
+
 await test('normalizeForMatching strips prefixes and separators', () => {
   const normalized = player.normalizeForMatching('01_HeLLo-World.mp3');
   assert.equal(normalized, 'helloworld');
@@ -88,6 +330,31 @@ await test('calculateMatchScore favors normalized match', () => {
   assert.ok(score >= 0.9);
 });
 
+await test('calculateMatchScore folds traditional characters and strips version qualifiers', () => {
+  assert.ok(player.calculateMatchScore('说好的幸福', '說好的幸福') >= 0.95);
+  assert.equal(player.calculateMatchScore('夜曲', '夜曲 (Live)'), 0.9);
+  assert.equal(player.calculateMatchScore('夜曲', '夜曲（伴奏）'), 0.9);
+  assert.equal(player.calculateMatchScore('hello world', 'hello-world [Remix]'), 0.9);
+  assert.match(player.getMatchDetails('夜曲', '夜曲 (Live)'), /去除版本标注/);
+});
+
+await test('calculateMatchScore recognises artist - title names without matching on artist alone', () => {
+  assert.equal(player.calculateMatchScore('夜曲', '周杰倫 - 夜曲'), 0.9);
+  assert.equal(player.calculateMatchScore('夜曲', 'Jay Chou - 夜曲'), 0.9);
+  assert.equal(player.calculateMatchScore('夜曲 - 周杰伦', '周杰伦-夜曲'), 0.9);
+  assert.ok(player.calculateMatchScore('周杰伦 - 晴天', '周杰伦 - 夜曲') < 0.7);
+  assert.deepEqual(player.splitArtistTitle('hello-world'), null);
+});
+
+await test('calculateMatchScore matches pinyin file names against Chinese titles', () => {
+  assert.equal(player.calculateMatchScore('夜曲', 'yequ'), 0.85);
+  assert.equal(player.calculateMatchScore('Qi Li Xiang', '七里香'), 0.85);
+  assert.equal(player.calculateMatchScore('晴天', 'yequ'), 0);
+
+  player.songs = [{ name: '晴天' }, { name: '夜曲' }];
+  assert.equal(player.findBestMatch('Yequ').name, '夜曲');
+});
+
 await test('calculateSimilarity and levenshteinDistance behave consistently', () => {
   assert.equal(player.levenshteinDistance('kitten', 'sitting'), 3);
   const similarity = player.calculateSimilarity('kitten', 'sitting');
@@ -117,6 +384,126 @@ await test('findBestMatch returns null when no candidates meet threshold', () =>
   assert.equal(matched, null);
 });
 
+await test('rankMatchCandidates keeps every scored candidate in descending order', () => {
+  player.songs = [
+    { name: 'goodbye' },
+    { name: 'hello world remix' },
+    { name: '01-hello-world' }
+  ];
+
+  const ranked = player.rankMatchCandidates('hello_world');
+  assert.equal(ranked[0].song.name, '01-hello-world');
+  assert.ok(ranked.length >= 2);
+  for (let i = 1; i < ranked.length; i++) {
+    assert.ok(ranked[i - 1].score >= ranked[i].score);
+  }
+});
+
+await test('getMatchReviewEntries lists audio files with score and runner-up candidates', () => {
+  const lyrics = [{ time: 0, text: 'a' }];
+  player.songs = [
+    { name: 'Hello World', lyrics, audioFile: { name: 'hello_world.mp3' }, matchConfirmed: true },
+    { name: 'Hello World Live', lyrics },
+    { name: 'Opening', lyrics: [], audioFile: { name: 'Opening.mp3' } },
+    { name: 'Lyrics Only', lyrics }
+  ];
+
+  const entries = player.getMatchReviewEntries();
+  assert.equal(entries.length, 2);
+
+  assert.equal(entries[0].index, 0);
+  assert.equal(entries[0].audioName, 'hello_world.mp3');
+  assert.equal(entries[0].lyricName, 'Hello World');
+  assert.equal(entries[0].score, player.calculateMatchScore('Hello World', 'hello_world'));
+  assert.equal(entries[0].confirmed, true);
+  assert.equal(entries[0].candidates[0].name, 'Hello World Live');
+  assert.equal(entries[0].candidates[0].index, 1);
+  assert.ok(entries[0].candidates.every(candidate => candidate.name !== 'Hello World'));
+
+  assert.equal(entries[1].lyricName, null);
+  assert.equal(entries[1].score, 0);
+});
+
+await test('reassignAudio moves audio to the chosen lyric song', () => {
+  const lyrics = [{ time: 0, text: 'a' }];
+  const fileA = { name: 'a.mp3' };
+  const fileB = { name: 'b.mp3' };
+  player.songs = [
+    { name: 'Song A', lyrics, audioFile: fileA, matchConfirmed: true },
+    { name: 'Song B', lyrics, audioFile: fileB },
+    { name: 'Opening', lyrics: [], audioFile: { name: 'Opening.mp3' } }
+  ];
+  const added = [];
+  player.addSong = (song) => { added.push(song); player.songs.push(song); };
+  player.preloadAudioDuration = () => {};
+  player.updatePlaylist = () => {};
+  player.updateStatusIndicator = () => {};
+  player.renderMatchReview = () => {};
+  player.showNotification = () => {};
+
+  player.reassignAudio(0, 1);
+
+  const [songA, songB] = player.songs;
+  assert.equal(songA.audioFile, null);
+  assert.equal(songA.matchConfirmed, false);
+  assert.equal(songA.mode, 'lyrics');
+  assert.equal(songB.audioFile, fileA);
+  assert.equal(songB.matchConfirmed, true);
+  assert.equal(songB.mode, 'sync');
+  // 目标原有的音频保留为纯音频歌曲
+  assert.equal(added.length, 1);
+  assert.equal(added[0].audioFile, fileB);
+  assert.equal(added[0].name, 'b');
+
+  // 纯音频歌曲改配后从列表中移除
+  const openingFile = player.songs[2].audioFile;
+  player.reassignAudio(2, 0);
+  assert.equal(player.songs.some(song => song.name === 'Opening'), false);
+  assert.equal(songA.audioFile, openingFile);
+});
+
+await test('songs with embedded lyrics are not offered as reassign targets', () => {
+  const list = createElement();
+  installDocumentStub({ matchReviewList: list });
+  const lyrics = [{ time: 0, text: 'a' }];
+  player.songs = [
+    { name: 'Song A', lyrics, audioFile: { name: 'a.mp3' } },
+    { name: 'Song B', lyrics },
+    { name: 'Tagged', lyrics, lyricSource: 'embedded', audioFile: { name: 'tagged.m4a' } }
+  ];
+  const notifications = [];
+  player.showNotification = (message, type) => { notifications.push({ message, type }); };
+
+  LEDLyricsPlayer.prototype.renderMatchReview.call(player);
+  const options = [...list.innerHTML.matchAll(/<option value="(\d+)">/g)].map(match => match[1]);
+  assert.ok(options.length > 0);
+  assert.equal(options.includes('2'), false);
+
+  // 直接调用时给出提示，不做任何修改
+  player.reassignAudio(0, 2);
+  assert.equal(player.songs[0].audioFile.name, 'a.mp3');
+  assert.deepEqual(notifications, [{ message: '"Tagged" 没有独立的歌词文件，无法改配', type: 'warning' }]);
+});
+
+await test('unlinkAudio keeps the audio as a separately named audio-only song', () => {
+  const file = { name: 'Song A.mp3' };
+  player.songs = [{ name: 'Song A', lyrics: [{ time: 0, text: 'a' }], audioFile: file, matchConfirmed: true }];
+  player.addSong = (song) => { player.songs.push(song); };
+  player.preloadAudioDuration = () => {};
+  player.updatePlaylist = () => {};
+  player.renderMatchReview = () => {};
+  player.showNotification = () => {};
+
+  player.unlinkAudio(0);
+
+  assert.equal(player.songs.length, 2);
+  assert.equal(player.songs[0].audioFile, null);
+  assert.equal(player.songs[0].matchConfirmed, false);
+  assert.equal(player.songs[1].name, 'Song A (音频)');
+  assert.equal(player.songs[1].audioFile, file);
+  assert.equal(player.songs[1].mode, 'audio');
+});
+
 await test('getAvailableModes enables audio/sync when audioFile is present', () => {
   const lyricsOnly = { lyrics: [{ time: 0, text: 'a' }] };
   const withAudioFile = { lyrics: [{ time: 0, text: 'a' }], audioFile: {}, audioElement: null };
@@ -173,6 +560,83 @@ await test('getNextSongIndex works across play modes', () => {
   assert.ok(nextIndex >= 0 && nextIndex < player.songs.length);
 });
 
+await test('serializeLrc round-trips metadata, word timings and translations', () => {
+  const song = {
+    name: 'song',
+    meta: { title: 'Title', artist: 'Artist', length: 200 },
+    lyrics: player.parseLrc([
+      '[00:01.00]<00:01.00>Hel<00:01.50>lo<00:02.00>',
+      '[00:03.25]原文',
+      '[00:03.25]translation'
+    ].join('\n'))
+  };
+
+  const lrc = player.serializeLrc(song);
+  assert.equal(lrc, [
+    '[ti:Title]',
+    '[ar:Artist]',
+    '[length:03:20]',
+    '[00:01.00]<00:01.00>Hel<00:01.50>lo<00:02.00>',
+    '[00:03.25]原文',
+    '[00:03.25]translation',
+    ''
+  ].join('\n'));
+  assert.deepEqual(player.parseLrc(lrc), song.lyrics);
+  assert.equal(player.formatLrcTimestamp(61.005), '01:01.01');
+});
+
+await test('lyric editor stamps, nudges, inserts, deletes and undoes', () => {
+  const notifications = [];
+  player.showNotification = (message, type) => { notifications.push({ message, type }); };
+  player.songs = [{
+    name: 'edit',
+    lyrics: [
+      { time: 1, text: 'a', words: [{ time: 1, end: 1.5, text: 'a' }] },
+      { time: 2, text: 'b' },
+      { time: 3, text: 'c' }
+    ]
+  }];
+  player.currentSongIndex = 0;
+  const lyrics = () => player.songs[0].lyrics;
+
+  player.currentTime = 2.5;
+  player.stampLyricLine();
+  assert.deepEqual(lyrics().map(line => line.time), [2.5, 2.5, 3]);
+  assert.deepEqual(lyrics()[0].words, [{ time: 2.5, end: 3, text: 'a' }]);
+  assert.equal(player.editorCursor, 1);
+
+  player.currentTime = 2.8;
+  player.stampLyricLine();
+  assert.deepEqual(lyrics().map(line => line.time), [2.5, 2.8, 3]);
+  assert.equal(player.editorCursor, 2);
+
+  player.nudgeLyricLine(2, -0.5);
+  assert.deepEqual(lyrics().map(line => line.text), ['a', 'c', 'b']);
+  assert.equal(player.editorCursor, 1);
+
+  player.insertLyricLine(0);
+  assert.equal(lyrics()[1].text, '');
+  assert.equal(lyrics()[1].time, 2.5);
+  player.updateLyricLineText(1, 'new');
+  assert.equal(lyrics()[1].text, 'new');
+
+  player.deleteLyricLine(0);
+  assert.deepEqual(lyrics().map(line => line.text), ['new', 'c', 'b']);
+
+  player.undoLyricEdit();
+  player.undoLyricEdit();
+  assert.deepEqual(lyrics().map(line => line.text), ['a', '', 'c', 'b']);
+  player.undoLyricEdit();
+  player.undoLyricEdit();
+  player.undoLyricEdit();
+  player.undoLyricEdit();
+  assert.deepEqual(lyrics().map(line => line.time), [1, 2, 3]);
+  assert.equal(lyrics()[0].words[0].time, 1);
+
+  player.undoLyricEdit();
+  assert.equal(notifications.at(-1).message, '没有可撤销的编辑');
+});
+
 await test('loadLrcFiles waits for all reads before sorting', async () => {
   const originalFileReader = globalThis.FileReader;
   let sortCalls = 0;
@@ -185,7 +649,7 @@ await test('loadLrcFiles waits for all reads before sorting', async () => {
       this.onerror = null;
     }
 
-    readAsText(file) {
+    readAsArrayBuffer(file) {
       if (file.shouldError) {
         if (this.onerror) {
           this.onerror(new Error('read error'));
@@ -193,7 +657,7 @@ await test('loadLrcFiles waits for all reads before sorting', async () => {
         return;
       }
       if (this.onload) {
-        this.onload({ target: { result: file.content } });
+        this.onload({ target: { result: new TextEncoder().encode(file.content) } });
       }
     }
   };
@@ -210,16 +674,88 @@ await test('loadLrcFiles waits for all reads before sorting', async () => {
     const files = [
       { name: '01-first.lrc', content: '[00:00.00]first' },
       { name: '02-second.txt', content: '[00:00.00]second' },
+      { name: '03-third.srt', content: '1\n00:00:01,000 --> 00:00:04,000\nthird' },
       { name: 'ignore.mp3', content: '' }
     ];
 
     player.loadLrcFiles(files);
     await flushPromises();
 
-    assert.equal(player.songs.length, 2);
+    assert.equal(player.songs.length, 3);
+    assert.equal(player.songs[0].duration, 5);
+    assert.equal(player.songs[2].duration, 4);
     assert.equal(sortCalls, 1);
     assert.equal(updateCalls, 1);
-    assert.equal(notifyCalls, 3);
+    assert.equal(notifyCalls, 4);
+  } finally {
+    globalThis.FileReader = originalFileReader;
+  }
+});
+
+await test('loadLrcFiles uses length and title tags', async () => {
+  const originalFileReader = globalThis.FileReader;
+
+  globalThis.FileReader = class {
+    readAsArrayBuffer(file) {
+      this.onload({ target: { result: new TextEncoder().encode(file.content) } });
+    }
+  };
+
+  try {
+    player.songs = [];
+    player.addSong = (song) => { player.songs.push(song); };
+    player.sortPlaylist = () => {};
+    player.updatePlaylist = () => {};
+    player.showNotification = () => {};
+
+    player.loadLrcFiles([{
+      name: '07 - track (1).lrc',
+      content: '[ti:Real Title]\n[length:04:00]\n[00:01.00]line'
+    }]);
+    await flushPromises();
+
+    assert.equal(player.songs[0].name, '07 - track (1)');
+    assert.equal(player.songs[0].meta.title, 'Real Title');
+    assert.equal(player.songs[0].duration, 240);
+  } finally {
+    globalThis.FileReader = originalFileReader;
+  }
+});
+
+await test('loadLrcFiles detects legacy encodings and allows manual override', async () => {
+  const originalFileReader = globalThis.FileReader;
+  // “[00:01.00]我爱你 永远的梦” 的 GBK 字节
+  const gbkBytes = new Uint8Array([91, 48, 48, 58, 48, 49, 46, 48, 48, 93, 206, 210, 176, 174, 196, 227, 32, 211, 192, 212, 182, 181, 196, 195, 206]);
+  const notifications = [];
+
+  globalThis.FileReader = class {
+    readAsArrayBuffer(file) {
+      this.onload({ target: { result: file.bytes.buffer } });
+    }
+  };
+
+  try {
+    player.songs = [];
+    player.addSong = (song) => { player.songs.push(song); };
+    player.sortPlaylist = () => {};
+    player.updatePlaylist = () => {};
+    player.showNotification = (message, type) => { notifications.push({ message, type }); };
+
+    const file = { name: 'gbk.lrc', bytes: gbkBytes };
+    player.loadLrcFiles([file]);
+    await flushPromises();
+
+    assert.equal(player.songs[0].encoding, 'gbk');
+    assert.equal(player.songs[0].lyricFile, file);
+    assert.equal(player.songs[0].lyrics[0].text, '我爱你 永远的梦');
+
+    await player.changeSongEncoding(0, 'big5');
+
+    assert.equal(player.songs[0].encoding, 'big5');
+    assert.notEqual(player.songs[0].lyrics[0].text, '我爱你 永远的梦');
+    assert.equal(notifications.at(-1).type, 'success');
+    assert.match(player.createEncodingSelector(player.songs[0], 0), /<option value="big5" selected>Big5<\/option>/);
+    assert.equal(player.createEncodingSelector({ name: 'imported' }, 1), '');
   } finally {
     globalThis.FileReader = originalFileReader;
   }
@@ -237,7 +773,7 @@ await test('loadLrcFiles still sorts when a read fails', async () => {
       this.onerror = null;
     }
 
-    readAsText(file) {
+    readAsArrayBuffer(file) {
       if (file.shouldError) {
         if (this.onerror) {
           this.onerror(new Error('read error'));
@@ -245,7 +781,7 @@ await test('loadLrcFiles still sorts when a read fails', async () => {
         return;
       }
       if (this.onload) {
-        this.onload({ target: { result: file.content } });
+        this.onload({ target: { result: new TextEncoder().encode(file.content) } });
       }
     }
   };
@@ -353,7 +889,7 @@ await test('loadAudioFiles associates audio and updates duration', async () => {
     player.showNotification = (message, type) => { notifications.push({ message, type }); };
 
     const files = [{ name: 'match-me.mp3' }];
-    player.loadAudioFiles(files);
+    await player.loadAudioFiles(files);
     await flushPromises();
 
     assert.equal(player.songs[0].audioFile, files[0]);
@@ -371,9 +907,10 @@ await test('loadAudioFiles associates audio and updates duration', async () => {
   }
 });
 
-await test('loadAudioFiles notifies when no match is found', async () => {
+await test('loadAudioFiles keeps unmatched audio as an audio-only song', async () => {
   const originalSetTimeout = globalThis.setTimeout;
   const notifications = [];
+  const preloaded = [];
 
   globalThis.setTimeout = (fn) => {
     fn();
@@ -381,25 +918,130 @@ await test('loadAudioFiles notifies when no match is found', async () => {
   };
 
   try {
-    player.songs = [];
+    player.songs = [{ name: 'instrumental', lyrics: [], audioFile: { name: 'instrumental.mp3' } }];
     player.timers = new Set();
     player.showNotification = (message, type) => { notifications.push({ message, type }); };
     player.sortPlaylist = () => {};
     player.updatePlaylist = () => {};
+    player.updateStatusIndicator = () => {};
+    player.switchToSong = () => {};
     player.showMatchingReport = () => {};
+    player.preloadAudioDuration = (song) => { preloaded.push(song.name); };
 
-    const files = [{ name: 'lonely.mp3' }];
-    player.loadAudioFiles(files);
+    // 与已有纯音频歌曲名称相近，但不应被模糊匹配抢占
+    const files = [{ name: 'instrumental 2.mp3' }];
+    await player.loadAudioFiles(files);
     await flushPromises();
 
+    assert.equal(player.songs.length, 2);
+    assert.equal(player.songs[1].name, 'instrumental 2');
+    assert.equal(player.songs[1].audioFile, files[0]);
+    assert.equal(player.getSongMode(player.songs[1]), 'audio');
+    assert.deepEqual(preloaded, ['instrumental 2']);
     assert.equal(notifications.length, 2);
-    assert.equal(notifications[0].type, 'warning');
-    assert.equal(notifications[1].type, 'info');
+    assert.equal(notifications[0].type, 'info');
+    assert.equal(notifications[1].message, '处理了 1 个音频文件，成功关联 0 个，新增纯音频 1 首');
   } finally {
     globalThis.setTimeout = originalSetTimeout;
   }
 });
 
+await test('loadLrcFiles attaches lyrics to a matching audio-only song', async () => {
+  const originalFileReader = globalThis.FileReader;
+  const notifications = [];
+
+  globalThis.FileReader = class {
+    readAsArrayBuffer(file) {
+      this.onload({ target: { result: new TextEncoder().encode(file.content) } });
+    }
+  };
+
+  try {
+    const audioSong = { name: 'Walk In', lyrics: [], meta: {}, duration: 180, audioFile: { name: 'Walk In.mp3' }, mode: 'audio' };
+    player.songs = [audioSong];
+    player.addSong = (song) => { player.songs.push(song); };
+    player.sortPlaylist = () => {};
+    player.updatePlaylist = () => {};
+    player.showNotification = (message, type) => { notifications.push({ message, type }); };
+
+    player.loadLrcFiles([
+      { name: 'Walk-In.lrc', content: '[ti:Opening]\n[00:01.00]hello' },
+      { name: 'Other.lrc', content: '[00:01.00]other' }
+    ]);
+    await flushPromises();
+
+    assert.equal(player.songs.length, 2);
+    assert.equal(audioSong.lyrics[0].text, 'hello');
+    assert.equal(audioSong.meta.title, 'Opening');
+    assert.equal(audioSong.duration, 180);
+    assert.equal(audioSong.encoding, 'utf-8');
+    assert.equal(audioSong.mode, 'sync');
+    assert.equal(player.songs[1].name, 'Other');
+    assert.equal(notifications[0].message, '歌词 "Walk-In" 已关联到音频 "Walk In"');
+  } finally {
+    globalThis.FileReader = originalFileReader;
+  }
+});
+
+await test('loadAudioFiles uses embedded lyrics when no lyric file matches', async () => {
+  const originalSetTimeout = globalThis.setTimeout;
+  const notifications = [];
+
+  globalThis.setTimeout = (fn) => {
+    fn();
+    return 1;
+  };
+
+  try {
+    const synced = { name: 'synced.mp3' };
+    const lrcText = { name: 'lrc-text.flac' };
+    const plain = { name: 'plain.mp3' };
+    player.audioTags.set(synced, { title: '', lyrics: '', syncedLyrics: [{ time: 1, text: 'a', words: [{ time: 1, end: 1.5, text: 'a' }, { time: 1.5, text: 'b' }] }] });
+    player.audioTags.set(lrcText, { title: '', lyrics: '[ti:Tagged]\n[00:02.00]from tag', syncedLyrics: null });
+    player.audioTags.set(plain, { title: '', lyrics: 'no timestamps here', syncedLyrics: null });
+
+    player.songs = [];
+    player.timers = new Set();
+    player.showNotification = (message, type) => { notifications.push({ message, type }); };
+    player.sortPlaylist = () => {};
+    player.updatePlaylist = () => {};
+    player.updateStatusIndicator = () => {};
+    player.switchToSong = () => {};
+    player.showMatchingReport = () => {};
+    player.preloadAudioDuration = () => {};
+
+    await player.loadAudioFiles([synced, lrcText, plain]);
+
+    const [syncedSong, lrcSong, plainSong] = player.songs;
+    assert.equal(syncedSong.lyricSource, 'embedded');
+    assert.equal(syncedSong.lyrics[0].words[1].end, 2.5);
+    assert.equal(player.getSongMode(syncedSong), 'sync');
+    assert.equal(lrcSong.lyrics[0].text, 'from tag');
+    assert.equal(lrcSong.meta.title, 'Tagged');
+    assert.equal(plainSong.lyricSource, undefined);
+    assert.equal(player.getSongMode(plainSong), 'audio');
+    assert.equal(notifications[notifications.length - 1].message, '处理了 3 个音频文件，成功关联 0 个，使用内嵌歌词 2 首，新增纯音频 1 首');
+    // 内嵌歌词不参与其它音频的匹配，也不作为审核中的配对
+    assert.equal(player.getMatchReviewEntries()[0].lyricName, null);
+    assert.equal(player.serializeSongRecord(syncedSong, 0).lyricSource, 'embedded');
+  } finally {
+    globalThis.setTimeout = originalSetTimeout;
+  }
+});
+
+await test('attachLyricsToAudioSong replaces embedded lyrics with a lyric file', () => {
+  const audioSong = { name: 'Song', lyrics: [{ time: 1, text: 'embedded' }], meta: {}, duration: 200, audioFile: { name: 'Song.mp3' }, lyricSource: 'embedded' };
+  player.songs = [audioSong];
+  player.updatePlaylist = () => {};
+
+  const attached = player.attachLyricsToAudioSong({ name: 'Song', lyrics: [{ time: 2, text: 'from lrc' }], meta: {}, duration: 10 });
+
+  assert.equal(attached, audioSong);
+  assert.equal(audioSong.lyrics[0].text, 'from lrc');
+  assert.equal(audioSong.lyricSource, undefined);
+  assert.equal(player.hasExternalLyrics(audioSong), true);
+});
+
 await test('importPlaylist filters invalid songs and lyrics', async () => {
   const originalFileReader = globalThis.FileReader;
   const notifications = [];
@@ -411,7 +1053,7 @@ await test('importPlaylist filters invalid songs and lyrics', async () => {
       this.onerror = null;
     }
 
-    readAsText() {
+    readAsArrayBuffer() {
       const payload = JSON.stringify({
         songs: [
           { name: 'valid', lyrics: [{ time: 1, text: 'ok' }, { time: 'bad', text: 'no' }], duration: 12, userMode: 'sync' },
@@ -419,7 +1061,7 @@ await test('importPlaylist filters invalid songs and lyrics', async () => {
           { name: '', lyrics: [{ time: 1, text: 'x' }] }
         ]
       });
-      this.onload({ target: { result: payload } });
+      this.onload({ target: { result: new TextEncoder().encode(payload) } });
     }
   };
 
@@ -429,6 +1071,7 @@ await test('importPlaylist filters invalid songs and lyrics', async () => {
     player.showNotification = (message, type) => { notifications.push({ message, type }); };
 
     player.importPlaylist({});
+    await flushPromises();
 
     assert.equal(added.length, 1);
     assert.equal(added[0].name, 'valid');
@@ -452,9 +1095,9 @@ await test('importPlaylist rejects empty or invalid playlists', async () => {
       this.onerror = null;
     }
 
-    readAsText() {
+    readAsArrayBuffer() {
       const payload = JSON.stringify({ songs: [{ name: 'bad', lyrics: [] }] });
-      this.onload({ target: { result: payload } });
+      this.onload({ target: { result: new TextEncoder().encode(payload) } });
     }
   };
 
@@ -465,6 +1108,7 @@ await test('importPlaylist rejects empty or invalid playlists', async () => {
     player.showNotification = (message, type) => { notifications.push({ message, type }); };
 
     player.importPlaylist({});
+    await flushPromises();
 
     assert.equal(notifications.length, 1);
     assert.equal(notifications[0].type, 'error');
@@ -485,7 +1129,7 @@ await test('importPlaylist warns on unsupported version and sorts lyrics', async
       this.onerror = null;
     }
 
-    readAsText() {
+    readAsArrayBuffer() {
       const payload = JSON.stringify({
         version: '2.0',
         songs: [
@@ -502,7 +1146,7 @@ await test('importPlaylist warns on unsupported version and sorts lyrics', async
           }
         ]
       });
-      this.onload({ target: { result: payload } });
+      this.onload({ target: { result: new TextEncoder().encode(payload) } });
     }
   };
 
@@ -512,6 +1156,7 @@ await test('importPlaylist warns on unsupported version and sorts lyrics', async
     player.showNotification = (message, type) => { notifications.push({ message, type }); };
 
     player.importPlaylist({});
+    await flushPromises();
 
     assert.equal(notifications[0].type, 'warning');
     assert.equal(added.length, 1);
@@ -521,6 +1166,376 @@ await test('importPlaylist warns on unsupported version and sorts lyrics', async
   }
 });
 
+await test('audio offset is stored per song and persisted in settings', () => {
+  const originalLocalStorage = globalThis.localStorage;
+  const storage = new Map();
+  globalThis.localStorage = {
+    getItem(key) { return storage.has(key) ? storage.get(key) : null; },
+    setItem(key, value) { storage.set(key, String(value)); }
+  };
+
+  try {
+    player.showNotification = () => {};
+    player.updatePlaylist = () => {};
+    player.updateStatusIndicator = () => {};
+    player.switchToSong = () => {};
+    player.songs = [{ name: 'calibrated', lyrics: [] }];
+    player.currentSongIndex = 0;
+    player.audioMode = true;
+
+    player.adjustOffset(0.5);
+    player.adjustOffset(-0.1);
+    assert.equal(player.songs[0].audioOffset, 0.4);
+    const saved = JSON.parse(storage.get('led_lyrics_player_settings'));
+    assert.deepEqual(saved.songOffsets, { calibrated: 0.4 });
+
+    // 重新加载后按歌曲名恢复偏移
+    player.songOffsets = {};
+    player.setTheme = () => {};
+    player.setFontScale = () => {};
+    player.setPlaybackSpeed = () => {};
+    player.setPlayMode = () => {};
+    player.setTranslationMode = () => {};
+    player.loadSettings();
+    player.songs = [];
+    player.addSong({ name: 'calibrated', lyrics: [] });
+    player.addSong({ name: 'other', lyrics: [] });
+    assert.equal(player.songs[0].audioOffset, 0.4);
+    assert.equal(player.songs[1].audioOffset, 0);
+
+    player.currentSongIndex = 0;
+    player.audioOffset = 0.4;
+    player.resetOffset();
+    assert.equal(player.songs[0].audioOffset, 0);
+    assert.deepEqual(JSON.parse(storage.get('led_lyrics_player_settings')).songOffsets, {});
+  } finally {
+    globalThis.localStorage = originalLocalStorage;
+  }
+});
+
+await test('importPlaylist restores per-song audio offsets', async () => {
+  const originalFileReader = globalThis.FileReader;
+  const added = [];
+
+  globalThis.FileReader = class {
+    readAsArrayBuffer() {
+      const payload = JSON.stringify({
+        songs: [
+          { name: 'shifted', lyrics: [{ time: 1, text: 'a' }], audioOffset: 0.75 },
+          { name: 'plain', lyrics: [{ time: 1, text: 'b' }], audioOffset: 'bad' }
+        ]
+      });
+      this.onload({ target: { result: new TextEncoder().encode(payload) } });
+    }
+  };
+
+  try {
+    player.clearPlaylist = () => {};
+    player.addSong = (song) => { added.push(song); };
+    player.showNotification = () => {};
+
+    player.importPlaylist({});
+    await flushPromises();
+
+    assert.equal(added[0].audioOffset, 0.8);
+    assert.equal(added[1].audioOffset, 0);
+    assert.deepEqual(player.songOffsets, { shifted: 0.8 });
+  } finally {
+    globalThis.FileReader = originalFileReader;
+  }
+});
+
+await test('audio-only songs survive export/import as placeholders and relink by file name', async () => {
+  const originalFileReader = globalThis.FileReader;
+  const originalSetTimeout = globalThis.setTimeout;
+  const originalDocument = globalThis.document;
+  const originalBlob = globalThis.Blob;
+  const originalURL = globalThis.URL;
+  const added = [];
+  let exported = '';
+
+  globalThis.Blob = class {
+    constructor(parts) {
+      exported = parts.join('');
+    }
+  };
+  globalThis.URL = { createObjectURL: () => 'blob:list', revokeObjectURL: () => {} };
+  globalThis.document = {
+    createElement: () => ({ click() {} }),
+    body: { appendChild() {}, removeChild() {} }
+  };
+
+  try {
+    player.songs = [
+      { name: 'warmup', lyrics: [], audioFile: { name: 'warmup.mp3' } },
+      { name: 'noise', lyrics: [] }
+    ];
+    player.showNotification = () => {};
+    player.exportPlaylist();
+    const payload = JSON.parse(exported);
+    assert.equal(payload.songs[0].audioFileName, 'warmup.mp3');
+
+    globalThis.FileReader = class {
+      readAsArrayBuffer() {
+        this.onload({ target: { result: new TextEncoder().encode(exported) } });
+      }
+    };
+    player.clearPlaylist = () => {};
+    player.addSong = (song) => { added.push(song); };
+    player.importPlaylist({});
+    await flushPromises();
+
+    // 没有歌词也没有音频文件名的条目仍被丢弃
+    assert.deepEqual(added.map(song => song.name), ['warmup']);
+    assert.equal(added[0].audioFileName, 'warmup.mp3');
+    assert.equal(player.isAudioPlaceholder(added[0]), true);
+
+    globalThis.setTimeout = (fn) => {
+      fn();
+      return 1;
+    };
+    player.songs = added;
+    player.timers = new Set();
+    player.sortPlaylist = () => {};
+    player.updatePlaylist = () => {};
+    player.showMatchingReport = () => {};
+    player.preloadAudioDuration = () => {};
+
+    const file = { name: 'warmup.mp3' };
+    await player.loadAudioFiles([file]);
+    await flushPromises();
+
+    assert.equal(player.songs.length, 1);
+    assert.equal(player.songs[0].audioFile, file);
+    assert.equal(player.isAudioPlaceholder(player.songs[0]), false);
+  } finally {
+    globalThis.FileReader = originalFileReader;
+    globalThis.setTimeout = originalSetTimeout;
+    globalThis.document = originalDocument;
+    globalThis.Blob = originalBlob;
+    globalThis.URL = originalURL;
+  }
+});
+
+function createLibraryStoreStub(records = [], audio = {}, backgrounds = {}) {
+  return {
+    records,
+    audio: { ...audio },
+    backgrounds: { ...backgrounds },
+    savedAudio: [],
+    savedBackgrounds: [],
+    prunedWith: null,
+    async saveSongs(next) { this.records = next; },
+    async loadSongs() { return this.records; },
+    async saveAudio(name, file) { this.audio[name] = { name, file }; this.savedAudio.push(name); },
+    async loadAudio(name) { return this.audio[name] || null; },
+    async pruneAudio(keepNames) {
+      this.prunedWith = keepNames;
+      Object.keys(this.audio).forEach(name => {
+        if (!keepNames.has(name)) delete this.audio[name];
+      });
+    },
+    async saveBackground(name, file) { this.backgrounds[name] = { name, file, fileName: file.name }; this.savedBackgrounds.push(name); },
+    async loadBackground(name) { return this.backgrounds[name] || null; },
+    async pruneBackgrounds(keepNames) {
+      Object.keys(this.backgrounds).forEach(name => {
+        if (!keepNames.has(name)) delete this.backgrounds[name];
+      });
+    },
+    async countFiles() { return { audio: Object.keys(this.audio).length, backgrounds: Object.keys(this.backgrounds).length }; },
+    async estimateUsage() { return null; }
+  };
+}
+
+await test('saveLibrary stores song records and only new audio files', async () => {
+  const store = createLibraryStoreStub([], { removed: { name: 'removed', file: {} } });
+  const audioFile = { name: 'one.mp3' };
+  player.libraryStore = store;
+  player.songs = [
+    { name: 'one', lyrics: [{ time: 1, text: 'a' }], audioFile, audioElement: {}, userMode: 'sync', audioOffset: 0.2, duration: 12 },
+    { name: 'two', lyrics: [{ time: 2, text: 'b' }], meta: { title: 'Two' }, encoding: 'gbk' }
+  ];
+
+  await player.saveLibrary();
+  assert.deepEqual(store.records[0], {
+    name: 'one',
+    order: 0,
+    lyrics: [{ time: 1, text: 'a' }],
+    meta: {},
+    duration: 12,
+    userMode: 'sync',
+    audioOffset: 0.2,
+    encoding: null,
+    audioFileName: 'one.mp3',
+    matchConfirmed: false,
+    lyricSource: null,
+    background: null
+  });
+  assert.equal(store.records[1].encoding, 'gbk');
+  assert.deepEqual(store.savedAudio, ['one']);
+  assert.deepEqual(Object.keys(store.audio), ['one']);
+
+  await player.saveLibrary();
+  assert.deepEqual(store.savedAudio, ['one']);
+
+  player.persistAudio = false;
+  await player.saveLibrary();
+  assert.deepEqual(Object.keys(store.audio), []);
+  assert.equal(player.songs[0].persistedAudio, null);
+});
+
+await test('background media is stored once in its own store and only with media persistence on', async () => {
+  const store = createLibraryStoreStub([], {});
+  const image = { name: 'stage.jpg' };
+  player.libraryStore = store;
+  player.songs = [{ name: 'one', lyrics: [{ time: 1, text: 'a' }], background: { type: 'image', file: image, fileName: 'stage.jpg' } }];
+
+  await player.saveLibrary();
+  assert.deepEqual(store.records[0].background, { type: 'image', fileName: 'stage.jpg' });
+  assert.equal(store.backgrounds.one.file, image);
+
+  await player.saveLibrary();
+  assert.deepEqual(store.savedBackgrounds, ['one']);
+
+  const usageEl = createElement();
+  installDocumentStub({ libraryUsage: usageEl });
+  await player.updateLibraryUsage();
+  assert.equal(usageEl.textContent, '1 首歌曲 · 音频 0 · 背景 1');
+
+  // 恢复时按文件名取回背景文件
+  const restored = createLibraryStoreStub(store.records, {}, store.backgrounds);
+  player.libraryStore = restored;
+  player.songs = [];
+  player.updateStatusIndicator = () => {};
+  player.switchToSong = () => {};
+  await player.restoreLibrary();
+  assert.equal(player.songs[0].background.file, image);
+  assert.equal(player.songs[0].persistedBackground, image);
+
+  player.libraryStore = store;
+  player.persistAudio = false;
+  await player.saveLibrary();
+  assert.deepEqual(store.backgrounds, {});
+  assert.equal(player.songs[0].persistedBackground, null);
+});
+
+await test('library saves follow list changes only and purge is not undone by re-rendering', async () => {
+  const store = createLibraryStoreStub([], {});
+  store.clear = async function () { this.records = []; this.audio = {}; };
+  let confirmed = null;
+  player.libraryStore = store;
+  player.showNotification = () => {};
+  player.showCustomConfirm = (message, onConfirm) => { confirmed = onConfirm(); };
+  player.songs = [{ name: 'one', lyrics: [{ time: 1, text: 'a' }], audioFile: { name: 'one.mp3' } }];
+
+  await player.saveLibrary();
+  assert.deepEqual(Object.keys(store.audio), ['one']);
+
+  player.purgeLibrary();
+  await confirmed;
+  assert.deepEqual(store.records, []);
+  assert.deepEqual(store.audio, {});
+
+  // 切歌、时长预加载等只刷新列表，不会把曲库写回
+  player.updatePlaylist();
+  assert.equal(player.librarySaveTimer, null);
+
+  player.setSongBackground(0, { type: 'color', color: '#000' });
+  assert.notEqual(player.librarySaveTimer, null);
+  player.clearTimer(player.librarySaveTimer);
+  player.librarySaveTimer = null;
+});
+
+await test('restoreLibrary rebuilds songs with lyrics, offsets and audio', async () => {
+  const audioFile = { name: 'one.mp3' };
+  const store = createLibraryStoreStub([
+    { name: 'one', order: 0, lyrics: [{ time: 1, text: 'a' }], userMode: 'sync', audioOffset: -0.3, audioFileName: 'one.mp3' },
+    { name: 'lost-audio', order: 1, lyrics: [], audioFileName: 'gone.mp3' },
+    { name: 'two', order: 2, lyrics: [{ time: 1, text: 'b' }], meta: { artist: 'Someone' }, encoding: 'big5' }
+  ], { one: { name: 'one', file: audioFile } });
+  const notifications = [];
+  let saveScheduled = false;
+
+  player.libraryStore = store;
+  player.showNotification = (message, type) => { notifications.push({ message, type }); };
+  player.updatePlaylist = () => { player.scheduleLibrarySave(); };
+  player.scheduleLibrarySave = () => { saveScheduled = !player.isRestoringLibrary || saveScheduled; };
+  player.updateStatusIndicator = () => {};
+  player.switchToSong = () => {};
+
+  await player.restoreLibrary();
+
+  assert.deepEqual(player.songs.map(song => song.name), ['one', 'lost-audio', 'two']);
+  assert.equal(player.songs[0].audioFile, audioFile);
+  assert.equal(player.songs[0].persistedAudio, audioFile);
+  assert.equal(player.songs[0].audioOffset, -0.3);
+  assert.equal(player.songs[0].mode, 'sync');
+  // 音频未保存的纯音频歌曲恢复为待关联占位
+  assert.equal(player.songs[1].audioFileName, 'gone.mp3');
+  assert.equal(player.isAudioPlaceholder(player.songs[1]), true);
+  assert.equal(player.songs[2].encoding, 'big5');
+  assert.deepEqual(player.songs[2].meta, { artist: 'Someone' });
+  assert.equal(player.isRestoringLibrary, false);
+  assert.equal(saveScheduled, false);
+  assert.equal(notifications.at(-1).message, '已恢复本地曲库: 3 首歌曲，含 1 个音频，1 首待重新加载音频');
+});
+
+await test('audio-only songs survive a reload without stored audio as placeholders', async () => {
+  const store = createLibraryStoreStub([]);
+  player.libraryStore = store;
+  player.persistAudio = false;
+  player.showNotification = () => {};
+  player.songs = [
+    { name: 'warmup', lyrics: [], audioFile: { name: 'warmup.mp3' } },
+    { name: 'embedded', lyrics: [{ time: 1, text: 'x' }], lyricSource: 'embedded', audioFile: { name: 'embedded.m4a' } }
+  ];
+  await player.saveLibrary();
+
+  const restored = createLibraryStoreStub(store.records);
+  player.libraryStore = restored;
+  player.songs = [];
+  player.updateStatusIndicator = () => {};
+  player.switchToSong = () => {};
+  await player.restoreLibrary();
+
+  assert.deepEqual(player.songs.map(song => [song.name, song.audioFileName, player.isAudioPlaceholder(song)]), [
+    ['warmup', 'warmup.mp3', true],
+    ['embedded', 'embedded.m4a', true]
+  ]);
+
+  // 占位再次保存时保留音频文件名
+  await player.saveLibrary();
+  assert.deepEqual(restored.records.map(record => record.audioFileName), ['warmup.mp3', 'embedded.m4a']);
+});
+
+await test('library write failures and audio loading failures are reported, not left unhandled', async () => {
+  const store = createLibraryStoreStub([]);
+  store.saveSongs = async () => { throw new Error('QuotaExceededError'); };
+  const notifications = [];
+  const originalConsoleError = console.error;
+  const originalLoadTags = player.loadAudioTags;
+  console.error = () => {};
+  player.libraryStore = store;
+  player.librarySaveFailed = false;
+  player.showNotification = (message, type) => { notifications.push({ message, type }); };
+  player.songs = [{ name: 'one', lyrics: [{ time: 1, text: 'a' }] }];
+
+  try {
+    await player.saveLibrary();
+    await player.saveLibrary();
+    // 连续失败只提示一次
+    assert.deepEqual(notifications, [{ message: '本地曲库保存失败，可能超出浏览器存储空间', type: 'error' }]);
+
+    notifications.length = 0;
+    player.loadAudioTags = async () => { throw new Error('读取失败'); };
+    await player.loadAudioFiles([{ name: 'broken.mp3' }]);
+    assert.deepEqual(notifications, [{ message: '音频文件处理失败: 读取失败', type: 'error' }]);
+  } finally {
+    console.error = originalConsoleError;
+    player.loadAudioTags = originalLoadTags;
+  }
+});
+
 await test('exportPlaylist emits sanitized payload', () => {
   const originalBlob = globalThis.Blob;
   const originalURL = globalThis.URL;
@@ -561,7 +1576,9 @@ await test('exportPlaylist emits sanitized payload', () => {
       name: 'song',
       lyrics: [{ time: 1, text: 'a' }, { time: 'bad', text: 2 }],
       duration: -5,
-      userMode: 'sync'
+      userMode: 'sync',
+      audioOffset: 0.4,
+      meta: { title: 'Title', artist: 42, length: 10 }
     }];
 
     player.exportPlaylist();
@@ -571,6 +1588,8 @@ await test('exportPlaylist emits sanitized payload', () => {
     assert.equal(parsed.songs[0].lyrics.length, 1);
     assert.equal(parsed.songs[0].duration, 0);
     assert.equal(parsed.songs[0].userMode, 'sync');
+    assert.equal(parsed.songs[0].audioOffset, 0.4);
+    assert.deepEqual(parsed.songs[0].meta, { title: 'Title', length: 10 });
     assert.equal(createdUrls.length, 1);
   } finally {
     globalThis.Blob = originalBlob;
@@ -593,13 +1612,14 @@ await test('processFolderFiles filters lyrics files and calls loadLrcFiles', asy
   const files = [
     { name: '01-hello.lrc', webkitRelativePath: 'a/01-hello.lrc' },
     { name: '02-world.txt', webkitRelativePath: 'b/02-world.txt' },
-    { name: '03-skip.mp3', webkitRelativePath: 'b/03-skip.mp3' }
+    { name: '03-subs.vtt', webkitRelativePath: 'b/03-subs.vtt' },
+    { name: '04-skip.mp3', webkitRelativePath: 'b/04-skip.mp3' }
   ];
 
   await player.processFolderFiles(files, 'lyrics');
 
   assert.ok(receivedFiles);
-  assert.equal(receivedFiles.length, 2);
+  assert.equal(receivedFiles.length, 3);
   assert.equal(notifications[0].type, 'info');
   assert.equal(notifications[1].type, 'success');
 });
@@ -683,8 +1703,8 @@ await test('processFolderFiles filters invalid lyric content', async () => {
       this.onerror = null;
     }
 
-    readAsText() {
-      this.onload({ target: { result: 'no timestamps here' } });
+    readAsArrayBuffer() {
+      this.onload({ target: { result: new TextEncoder().encode('no timestamps here') } });
     }
   };
 
@@ -765,6 +1785,682 @@ await test('applyModeChange reconfigures playback and resumes', async () => {
   globalThis.setTimeout = originalSetTimeout;
 });
 
+await test('getSongCoverUrl prefers embedded art, then same-name image, then folder cover', () => {
+  const originalURL = globalThis.URL;
+  globalThis.URL = { createObjectURL: (file) => `blob:${file.name}`, revokeObjectURL() {} };
+
+  try {
+    const audioFile = { name: 'Song.mp3', webkitRelativePath: 'album/Song.mp3' };
+    const otherAudio = { name: 'Other.mp3', webkitRelativePath: 'album/Other.mp3' };
+    const song = { name: 'Song', lyrics: [], audioFile };
+    const other = { name: 'Other', lyrics: [], audioFile: otherAudio };
+    const lyricOnly = { name: 'Loose', lyrics: [] };
+
+    assert.equal(player.getSongCoverUrl(song), null);
+
+    player.registerCoverImages([
+      { name: 'cover.JPG', webkitRelativePath: 'album/cover.JPG' },
+      { name: 'song.png', webkitRelativePath: 'album/song.png' },
+      { name: 'Loose.jpg' }
+    ]);
+    assert.equal(player.getSongCoverUrl(song), 'blob:song.png');
+    assert.equal(player.getSongCoverUrl(other), 'blob:cover.JPG');
+    assert.equal(player.getSongCoverUrl(lyricOnly), 'blob:Loose.jpg');
+
+    player.audioTags.set(audioFile, { picture: { mime: 'image/jpeg', data: new Uint8Array([1]) } });
+    globalThis.URL.createObjectURL = () => 'blob:embedded';
+    assert.equal(player.getSongCoverUrl(song), 'blob:embedded');
+  } finally {
+    globalThis.URL = originalURL;
+  }
+});
+
+await test('resolveSongBackground switches between cover art and manual background', () => {
+  const withCover = { name: 'a', lyrics: [] };
+  const withoutCover = { name: 'b', lyrics: [] };
+  player.getSongCoverUrl = (song) => (song === withCover ? 'blob:cover' : null);
+  player.manualBackgroundUrl = 'blob:manual';
+
+  assert.deepEqual(player.resolveSongBackground(withCover), { type: 'image', url: 'blob:cover', blur: true });
+  assert.deepEqual(player.resolveSongBackground(withoutCover), { type: 'image', url: 'blob:manual', blur: false });
+
+  // 手动背景优先时覆盖封面；没有手动背景时仍使用封面
+  player.backgroundMode = 'manual';
+  assert.equal(player.resolveSongBackground(withCover).url, 'blob:manual');
+  player.manualBackgroundUrl = null;
+  assert.equal(player.resolveSongBackground(withCover).url, 'blob:cover');
+  assert.equal(player.resolveSongBackground(withoutCover), null);
+
+  // 歌曲指定的背景优先于封面和手动背景
+  withCover.background = { type: 'color', color: '#123456' };
+  assert.deepEqual(player.resolveSongBackground(withCover), { type: 'color', color: '#123456' });
+});
+
+await test('renderBackground crossfades to a new layer and disposes the old one', () => {
+  const originalSetTimeout = globalThis.setTimeout;
+  const pending = [];
+  globalThis.setTimeout = (fn) => {
+    pending.push(fn);
+    return pending.length;
+  };
+
+  try {
+    const classes = (layer) => {
+      layer.classSet = new Set();
+      layer.classList = { add: (name) => layer.classSet.add(name), remove: (name) => layer.classSet.delete(name) };
+      return layer;
+    };
+    const created = [];
+    globalThis.document.createElement = (tag) => {
+      const element = classes(createElement());
+      element.tagName = tag.toUpperCase();
+      element.play = () => Promise.resolve();
+      element.pause = () => { element.paused = true; };
+      element.removeAttribute = () => {};
+      element.load = () => {};
+      created.push(element);
+      return element;
+    };
+    player.backgroundContainer = createElement();
+    player.scheduleFrame = (fn) => fn();
+
+    player.renderBackground({ type: 'video', url: 'blob:clip', blur: false });
+    const [video] = created;
+    video.parentNode = player.backgroundContainer;
+    assert.equal(video.tagName, 'VIDEO');
+    assert.equal(video.muted, true);
+    assert.equal(video.loop, true);
+    assert.equal(video.src, 'blob:clip');
+    assert.ok(video.classSet.has('visible'));
+
+    // 相同背景不重复渲染
+    player.renderBackground({ type: 'video', url: 'blob:clip', blur: false });
+    assert.equal(created.length, 1);
+
+    player.renderBackground({ type: 'color', color: 'linear-gradient(#000, #fff)' });
+    const [, colorLayer] = created;
+    assert.equal(colorLayer.style.background, 'linear-gradient(#000, #fff)');
+    assert.ok(!video.classSet.has('visible'));
+    assert.equal(player.backgroundContainer.children.length, 2);
+
+    pending.forEach(fn => fn());
+    assert.equal(video.paused, true);
+    assert.deepEqual(player.backgroundContainer.children, [colorLayer]);
+  } finally {
+    globalThis.setTimeout = originalSetTimeout;
+  }
+});
+
+await test('syncBackgroundVideo follows play state and seeks in lockstep mode', () => {
+  const calls = [];
+  const video = {
+    tagName: 'VIDEO',
+    paused: true,
+    duration: 60,
+    currentTime: 0,
+    playbackRate: 1,
+    play() { calls.push('play'); this.paused = false; return Promise.resolve(); },
+    pause() { calls.push('pause'); this.paused = true; }
+  };
+  player.backgroundLayer = video;
+  player.isPlaying = true;
+  player.currentTime = 130;
+
+  // 独立循环：只跟随播放/暂停，不定位
+  player.syncBackgroundVideo(true);
+  assert.deepEqual(calls, ['play']);
+  assert.equal(video.currentTime, 0);
+
+  player.videoSyncMode = 'lockstep';
+  player.playbackSpeed = 1.5;
+  player.syncBackgroundVideo();
+  assert.equal(video.currentTime, 10); // 超出视频长度时循环取余
+  assert.equal(video.playbackRate, 1.5);
+
+  // 偏差在阈值内不重复定位
+  video.currentTime = 10.2;
+  player.syncBackgroundVideo();
+  assert.equal(video.currentTime, 10.2);
+  player.syncBackgroundVideo(true);
+  assert.equal(video.currentTime, 10);
+
+  player.isPlaying = false;
+  player.syncBackgroundVideo();
+  assert.deepEqual(calls, ['play', 'pause']);
+
+  player.backgroundLayer = { tagName: 'DIV' };
+  player.syncBackgroundVideo(true);
+  assert.equal(calls.length, 2);
+});
+
+await test('handleDroppedFiles routes video-only mp4 to the background and keeps audio mp4', async () => {
+  const audioLoaded = [];
+  const videos = [];
+  const trackTypes = new Map([
+    ['clip.mp4', new Set(['vide'])],
+    ['music-video.mp4', new Set(['vide', 'soun'])]
+  ]);
+  const originalDetect = player.detectBackgroundVideos;
+  player.songs = [];
+  player.loadAudioFiles = (files) => { audioLoaded.push(...files.map(file => file.name)); };
+  player.loadBackgroundVideo = (file) => { videos.push(file.name); };
+  player.loadBackgroundImage = () => { throw new Error('unexpected image'); };
+  // 用文件名模拟轨道检测结果
+  player.detectBackgroundVideos = async (files) => files.filter(file =>
+    /\.webm$/.test(file.name) || (trackTypes.get(file.name) && !trackTypes.get(file.name).has('soun'))
+  );
+
+  try {
+    await player.handleDroppedFiles([
+      { name: 'clip.mp4' },
+      { name: 'music-video.mp4' },
+      { name: 'song.mp3' }
+    ]);
+    assert.deepEqual(videos, ['clip.mp4']);
+    assert.deepEqual(audioLoaded, ['music-video.mp4', 'song.mp3']);
+  } finally {
+    player.detectBackgroundVideos = originalDetect;
+  }
+});
+
+await test('files dropped on a song use the first image or video-only clip and pass the rest on', async () => {
+  const assigned = [];
+  const passedOn = [];
+  const originalDetect = player.detectBackgroundVideos;
+  const originalHandle = player.handleDroppedFiles;
+  const originalAssign = player.assignSongBackgroundFile;
+  player.assignSongBackgroundFile = (index, file) => { assigned.push([index, file.name]); return true; };
+  player.handleDroppedFiles = async (files) => { passedOn.push(...files.map(file => file.name)); };
+  player.detectBackgroundVideos = async (files) => files.filter(file => file.name === 'clip.mp4');
+
+  try {
+    // 带音轨的 .mp4 不会被当作背景
+    await player.handleFilesDroppedOnSong(2, [{ name: 'music-video.mp4' }, { name: 'song.mp3' }, { name: 'cover.jpg' }]);
+    assert.deepEqual(assigned, [[2, 'cover.jpg']]);
+    assert.deepEqual(passedOn, ['music-video.mp4', 'song.mp3']);
+
+    assigned.length = 0;
+    passedOn.length = 0;
+    await player.handleFilesDroppedOnSong(0, [{ name: 'clip.mp4' }]);
+    assert.deepEqual(assigned, [[0, 'clip.mp4']]);
+    assert.deepEqual(passedOn, []);
+
+    await player.handleFilesDroppedOnSong(0, [{ name: 'song.lrc' }]);
+    assert.deepEqual(assigned, [[0, 'clip.mp4']]);
+    assert.deepEqual(passedOn, ['song.lrc']);
+  } finally {
+    player.detectBackgroundVideos = originalDetect;
+    player.handleDroppedFiles = originalHandle;
+    player.assignSongBackgroundFile = originalAssign;
+  }
+});
+
+await test('a failed drop is reported instead of becoming an unhandled rejection', async () => {
+  installDocumentStub({ dragOverlay: createElement() });
+  globalThis.document.querySelector = () => null;
+  const notifications = [];
+  const errors = [];
+  const originalHandle = player.handleDroppedFiles;
+  const originalOnSong = player.handleFilesDroppedOnSong;
+  const originalConsoleError = console.error;
+  player.showNotification = (message, type) => { notifications.push({ message, type }); };
+  player.handleDroppedFiles = async () => { throw new Error('坏文件'); };
+  player.handleFilesDroppedOnSong = async () => { throw new Error('背景失败'); };
+  console.error = (...args) => { errors.push(args); };
+
+  try {
+    player.initDragAndDrop();
+    const drop = globalThis.document._listeners.get('drop').at(-1);
+    const songItem = { dataset: { index: '0' } };
+
+    drop({ dataTransfer: { files: [{ name: 'a.mp3' }] }, target: { closest: () => null } });
+    drop({ dataTransfer: { files: [{ name: 'b.jpg' }] }, target: { closest: () => songItem } });
+    await flushPromises();
+
+    assert.deepEqual(notifications, [
+      { message: '拖入文件处理失败: 坏文件', type: 'error' },
+      { message: '拖入文件处理失败: 背景失败', type: 'error' }
+    ]);
+    assert.equal(errors.length, 2);
+  } finally {
+    player.handleDroppedFiles = originalHandle;
+    player.handleFilesDroppedOnSong = originalOnSong;
+    console.error = originalConsoleError;
+  }
+});
+
+await test('detectBackgroundVideos treats video formats as backgrounds without reading them', async () => {
+  const files = [{ name: 'loop.webm' }, { name: 'intro.MOV' }, { name: 'song.m4a' }, { name: 'track.mp3' }];
+  assert.deepEqual((await player.detectBackgroundVideos(files)).map(file => file.name), ['loop.webm', 'intro.MOV']);
+});
+
+await test('updateVisualizer runs only while audio plays and stops in pure-lyrics mode', () => {
+  const calls = [];
+  player.visualizer = {
+    connect(audio) { calls.push(['connect', audio.id]); return true; },
+    setMode(mode) { calls.push(['mode', mode]); },
+    setTheme(theme) { calls.push(['theme', theme]); },
+    start() { calls.push(['start']); },
+    stop() { calls.push(['stop']); }
+  };
+  player.visualizerMode = 'spectrum';
+  player.currentTheme = 'gold';
+  player.audioMode = true;
+  player.audioElement = { id: 'song' };
+  player.isPlaying = true;
+
+  player.updateVisualizer();
+  assert.deepEqual(calls, [['connect', 'song'], ['mode', 'spectrum'], ['theme', 'gold'], ['start']]);
+
+  // 纯歌词模式没有音频输出，自动停止
+  calls.length = 0;
+  player.audioMode = false;
+  player.audioElement = null;
+  player.updateVisualizer();
+  assert.deepEqual(calls, [['stop']]);
+
+  calls.length = 0;
+  player.audioMode = true;
+  player.audioElement = { id: 'song' };
+  player.visualizerMode = 'off';
+  player.updateVisualizer();
+  assert.deepEqual(calls, [['stop']]);
+});
+
+await test('broadcastStageState sends stage changes to the output window once', async () => {
+  const sent = [];
+  player.stageChannel = { post(type, payload) { sent.push({ type, ...payload }); } };
+  player.currentLyricEl = createElement();
+  player.nextLyricEl = createElement();
+  player.currentTheme = 'gold';
+  player.fontScale = 1.8;
+
+  player.showLyrics('第一句', '第二句', null, null, 'First line');
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].state.lyrics, { current: '第一句', next: '第二句', translation: 'First line', color: null });
+  assert.equal(sent[0].state.theme, 'gold');
+  assert.equal(sent[0].state.fontScale, 1.8);
+  assert.equal(sent[0].state.isPlaying, false);
+
+  // 内容不变时不重复发送（帧循环中会反复调用），仅播放时间变化也不发送
+  player.currentTime = 12;
+  player.showLyrics('第一句', '第二句', null, null, 'First line');
+  assert.equal(sent.length, 1);
+
+  player.isPlaying = true;
+  player.broadcastStageState();
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].state.isPlaying, true);
+  assert.equal(sent[1].state.currentTime, 12);
+
+  // 输出窗口请求时强制发送完整状态
+  player.broadcastStageState(true);
+  assert.equal(sent.length, 3);
+
+  // 等待 showLyrics 的帧回调完成，避免影响后续测试
+  await flushPromises();
+  await flushPromises();
+});
+
+await test('openOutputWindow reuses an open output window and reports blocked popups', () => {
+  const opened = [];
+  const notifications = [];
+  player.showNotification = (message, type) => notifications.push(type);
+  player.stageChannel = { post() {} };
+  globalThis.window = {
+    open(url, name) {
+      opened.push([url, name]);
+      return opened.length === 1 ? null : { closed: false, focus() { this.focused = true; } };
+    }
+  };
+  try {
+    player.openOutputWindow();
+    assert.equal(player.outputWindow, null);
+    assert.deepEqual(notifications, ['warning']);
+
+    player.openOutputWindow();
+    player.openOutputWindow();
+    assert.deepEqual(opened, [['output.html', 'led_lyrics_output'], ['output.html', 'led_lyrics_output']]);
+    assert.equal(player.outputWindow.focused, true);
+  } finally {
+    delete globalThis.window;
+  }
+});
+
+await test('monitor broadcasts carry lyrics, next song and playback position once connected', () => {
+  const sent = [];
+  player.stageChannel = { post(type, payload) { sent.push({ type, ...payload }); } };
+  player.songs = [
+    { name: 'a', lyrics: [{ time: 5, text: '第一句', secondary: ['Line one'] }], duration: 120 },
+    { name: 'b', lyrics: [], duration: 90 }
+  ];
+  player.currentSongIndex = 0;
+  player.currentTime = 6;
+  player.currentLyricIndex = 0;
+
+  // 没有监听屏时不发送
+  player.broadcastMonitorSong();
+  player.broadcastMonitorTime();
+  assert.equal(sent.length, 0);
+
+  player.connectedMonitors.add('m1');
+  player.playMode = 'list';
+  player.broadcastMonitorSong();
+  player.broadcastMonitorTime();
+  assert.deepEqual(sent[0], {
+    type: 'monitor-song',
+    song: { name: 'a', lyrics: [{ time: 5, text: '第一句', translation: 'Line one' }], nextSong: 'b' }
+  });
+  assert.deepEqual(sent[1], {
+    type: 'monitor-time',
+    time: { currentTime: 6, duration: 120, currentLyricIndex: 0, lyricGapActive: false }
+  });
+
+  player.currentSongIndex = 1;
+  assert.equal(player.getMonitorNextSong(), null);
+  player.playMode = 'single';
+  assert.equal(player.getMonitorNextSong(), 'b（单曲循环）');
+  // 随机播放不提前抽取下一首，避免打乱播放历史
+  player.playMode = 'random';
+  assert.equal(player.getMonitorNextSong(), '随机播放');
+  assert.deepEqual(player.playHistory, []);
+});
+
+await test('playback time reaches the output window throttled, and immediately after a seek', () => {
+  const sent = [];
+  const originalNow = performance.now;
+  let now = 10000;
+  performance.now = () => now;
+  player.stageChannel = { post(type, payload) { sent.push({ type, ...payload }); } };
+  player.songs = [{ name: 'a', lyrics: [], duration: 60 }];
+  player.currentSongIndex = 0;
+  player.lastStageTimeBroadcast = 0;
+
+  try {
+    player.currentTime = 1;
+    player.broadcastStageTime();
+    now += 100;
+    player.currentTime = 1.1;
+    player.broadcastStageTime();
+    assert.deepEqual(sent, [{ type: 'stage-time', time: { currentTime: 1, seeked: false } }]);
+
+    // 跳转不受节流限制
+    sent.length = 0;
+    player.setCurrentTime(42);
+    assert.deepEqual(sent.filter(message => message.type === 'stage-time'), [
+      { type: 'stage-time', time: { currentTime: 42, seeked: true } }
+    ]);
+
+    sent.length = 0;
+    now += 500;
+    player.currentTime = 42.5;
+    player.broadcastStageTime();
+    assert.equal(sent.length, 1);
+  } finally {
+    performance.now = originalNow;
+  }
+});
+
+await test('closing one monitor window keeps updates flowing to the others', () => {
+  const sent = [];
+  player.stageChannel = { post(type, payload) { sent.push({ type, ...payload }); } };
+  player.songs = [{ name: 'a', lyrics: [], duration: 60 }];
+  player.currentSongIndex = 0;
+
+  player.handleStageMessage({ type: 'request-monitor', monitorId: 'left' });
+  player.handleStageMessage({ type: 'request-monitor', monitorId: 'right' });
+  player.handleStageMessage({ type: 'monitor-closed', monitorId: 'left' });
+  sent.length = 0;
+  player.broadcastMonitorTime();
+  assert.deepEqual(sent.map(message => message.type), ['monitor-time']);
+
+  player.handleStageMessage({ type: 'monitor-closed', monitorId: 'right' });
+  sent.length = 0;
+  player.broadcastMonitorTime();
+  assert.equal(sent.length, 0);
+});
+
+await test('getScrollLyricPosition eases from the previous line after a line starts', () => {
+  const lyrics = [{ time: 0 }, { time: 4 }, { time: 8 }];
+  assert.equal(player.getScrollLyricPosition(lyrics, -1, 0), 0);
+  assert.equal(player.getScrollLyricPosition(lyrics, 0, 2), 0);
+  assert.equal(player.getScrollLyricPosition(lyrics, 1, 4), 0);
+  const halfway = player.getScrollLyricPosition(lyrics, 1, 4.3);
+  assert.ok(halfway > 0.5 && halfway < 1); // ease-out：前半段移动更多
+  assert.equal(player.getScrollLyricPosition(lyrics, 2, 9), 2);
+});
+
+await test('updateScrollLyrics centers the active line, fades the rest and rebuilds on change', () => {
+  const createLine = () => {
+    const el = createElement();
+    const classes = new Set();
+    el.classList = {
+      toggle(name, force) { if (force) classes.add(name); else classes.delete(name); },
+      contains(name) { return classes.has(name); }
+    };
+    return el;
+  };
+  let created = 0;
+  globalThis.document.createElement = () => {
+    const el = createLine();
+    // 每行高 40px，依次排列
+    el.offsetTop = created * 40;
+    el.offsetHeight = 40;
+    created += 1;
+    return el;
+  };
+
+  const song = { name: 'a', lyrics: [{ time: 0, text: '一' }, { time: 4, text: '二' }, { time: 8, text: '三' }] };
+  player.songs = [song];
+  player.currentSongIndex = 0;
+  player.scrollLyricsTrack = createElement();
+  player.scrollLyricsContainer = { clientHeight: 400 };
+
+  // 双行模式下不处理
+  player.updateScrollLyrics();
+  assert.equal(player.scrollLyricsTrack.children.length, 0);
+
+  player.displayMode = 'scroll';
+  player.currentLyricIndex = 1;
+  player.currentTime = 6;
+  player.updateScrollLyrics();
+
+  const lines = player.scrollLyricsTrack.children;
+  assert.deepEqual(lines.map(line => line.textContent), ['一', '二', '三']);
+  assert.ok(lines[1].classList.contains('active'));
+  assert.equal(lines[1].style.opacity, '');
+  assert.equal(lines[0].style.opacity, '0.55');
+  // 第二行中心 60px 移到容器中线 200px
+  assert.equal(player.scrollLyricsTrack.style.transform, 'translateY(140.0px)');
+
+  // 歌词数组被替换（如撤销编辑）后重建
+  song.lyrics = [{ time: 0, text: '新' }];
+  player.currentLyricIndex = 0;
+  player.updateScrollLyrics();
+  assert.deepEqual(player.scrollLyricsTrack.children.map(line => line.textContent), ['新']);
+});
+
+await test('setLedMatrixOptions validates options and feeds the current line to the renderer', () => {
+  const colsInput = { type: 'number', dataset: { ledOption: 'cols' }, value: '' };
+  const enabledInput = { type: 'checkbox', dataset: { ledOption: 'enabled' }, checked: true };
+  const presetClasses = new Set();
+  const presetButton = {
+    dataset: { ledOption: 'grid', value: '384x128' },
+    classList: { add: c => presetClasses.add(c), remove: c => presetClasses.delete(c) }
+  };
+  const previousQuerySelectorAll = globalThis.document.querySelectorAll;
+  globalThis.document.querySelectorAll = (selector) => {
+    if (selector === '.led-matrix-input') return [colsInput, enabledInput];
+    if (selector === '.led-matrix-button') return [presetButton];
+    return [];
+  };
+  const bodyClasses = new Set();
+  globalThis.document.body.classList = {
+    add(name) { bodyClasses.add(name); },
+    remove(name) { bodyClasses.delete(name); }
+  };
+  const calls = [];
+  player.ledMatrix = {
+    setOptions(options) { calls.push(['options', options.cols, options.rows, options.pitch]); },
+    setText(text, color) { calls.push(['text', text, color]); },
+    start() { calls.push(['start']); },
+    stop() { calls.push(['stop']); }
+  };
+  player.stageLyrics = { current: '第一句', next: '', translation: '', color: null };
+  player.currentTheme = 'gold';
+
+  try {
+    player.setLedMatrixOptions({ pitch: '6' });
+    player.setLedMatrixOptions({ cols: '320', rows: 'abc', shape: 'triangle' });
+    assert.deepEqual(player.ledMatrixOptions, { enabled: false, cols: 320, rows: 64, shape: 'round', pitch: 6, bloom: 0.4 });
+    assert.equal(colsInput.value, 320);
+    assert.equal(enabledInput.checked, false);
+    assert.equal(bodyClasses.has('display-led'), false);
+
+    calls.length = 0;
+    player.setLedMatrixOptions({ enabled: true });
+    assert.ok(bodyClasses.has('display-led'));
+    assert.deepEqual(calls, [['options', 320, 64, 6], ['text', '第一句', '#ffd700'], ['start']]);
+
+    // 预设按钮同时设置列数和行数，并保持开启状态
+    calls.length = 0;
+    player.setLedMatrixOptions({ grid: '384x128' });
+    assert.equal(player.ledMatrixOptions.enabled, true);
+    assert.equal(colsInput.value, 384);
+    assert.ok(presetClasses.has('active'));
+    assert.deepEqual(calls[0], ['options', 384, 128, 6]);
+
+    // 字幕行颜色优先于主题色
+    calls.length = 0;
+    player.stageLyrics = { current: '第二句', next: '', translation: '', color: '#ff0000' };
+    player.updateLedMatrixText();
+    assert.deepEqual(calls, [['text', '第二句', '#ff0000']]);
+
+    calls.length = 0;
+    player.setLedMatrixOptions({ enabled: false });
+    assert.equal(bodyClasses.has('display-led'), false);
+    assert.ok(presetClasses.has('active'));
+    assert.deepEqual(calls, [['stop']]);
+    player.updateLedMatrixText();
+    assert.deepEqual(calls, [['stop']]);
+  } finally {
+    globalThis.document.querySelectorAll = previousQuerySelectorAll;
+  }
+});
+
+await test('setOutputMapping syncs the controls, places the stage and sends the mapping to the output window', () => {
+  const stage = createElement();
+  const lyricsLayer = createElement();
+  stage.querySelector = () => lyricsLayer;
+  installDocumentStub({ stage });
+  const bodyClasses = new Set();
+  globalThis.document.body.classList = {
+    add(name) { bodyClasses.add(name); },
+    remove(name) { bodyClasses.delete(name); }
+  };
+  const widthInput = { type: 'number', dataset: { mapping: 'width' }, value: '' };
+  const mirrorToggle = { type: 'checkbox', dataset: { mapping: 'mirrorX' }, checked: true };
+  const rotationButtons = ['0', '90'].map(value => {
+    const classes = new Set();
+    return { dataset: { mapping: 'rotation', value }, classes, classList: { add: c => classes.add(c), remove: c => classes.delete(c) } };
+  });
+  globalThis.document.querySelectorAll = (selector) => {
+    if (selector === '.mapping-input') return [widthInput, mirrorToggle];
+    if (selector === '.mapping-button') return rotationButtons;
+    return [];
+  };
+  const posted = [];
+  player.stageChannel = { post(type, payload) { posted.push(payload.state.outputMapping); } };
+  globalThis.window = { devicePixelRatio: 2 };
+  try {
+    player.setOutputMapping({ enabled: true, width: '1536', x: 200, rotation: '90', mirrorX: false });
+    assert.equal(widthInput.value, 1536);
+    assert.equal(mirrorToggle.checked, false);
+    assert.deepEqual(rotationButtons.map(btn => btn.classes.has('active')), [false, true]);
+    assert.ok(bodyClasses.has('output-mapped'));
+    // 物理像素模式下 1536×256 在 2 倍屏上占 768×128 CSS 像素，旋转 90 度时内容按 128×768 排版
+    assert.equal(stage.style.width, '128px');
+    assert.equal(stage.style.height, '768px');
+    assert.equal(stage.style.transform, 'rotate(90deg)');
+    // 1920×1080 排版的歌词层完整缩放进 128×768 的竖向舞台
+    assert.equal(lyricsLayer.style.transform, `translate(-50%, -50%) scale(${128 / 1920}, ${128 / 1920})`);
+    assert.equal(posted.at(-1).rotation, 90);
+
+    player.setOutputMapping({ enabled: false });
+    assert.equal(bodyClasses.has('output-mapped'), false);
+    assert.equal(stage.style.width, '');
+    assert.equal(player.outputMapping.width, 1536);
+  } finally {
+    delete globalThis.window;
+  }
+});
+
+await test('sanitizeBackgroundColor accepts colors and gradients only', () => {
+  assert.equal(player.sanitizeBackgroundColor(' #ff0080 '), '#ff0080');
+  assert.equal(player.sanitizeBackgroundColor('rgba(0, 0, 0, 0.5)'), 'rgba(0, 0, 0, 0.5)');
+  assert.equal(
+    player.sanitizeBackgroundColor('linear-gradient(135deg, rgb(30, 60, 114), #2a5298)'),
+    'linear-gradient(135deg, rgb(30, 60, 114), #2a5298)'
+  );
+  assert.equal(player.sanitizeBackgroundColor('url(evil.png)'), null);
+  assert.equal(player.sanitizeBackgroundColor('red; position: fixed'), null);
+  assert.equal(player.sanitizeBackgroundColor('linear-gradient(url(x), red)'), null);
+});
+
+await test('song backgrounds are assigned, serialized and relinked after import', () => {
+  const notifications = [];
+  player.showNotification = (message, type) => { notifications.push({ message, type }); };
+  player.updatePlaylist = () => {};
+  const applied = [];
+  player.applySongBackground = (song) => { applied.push(song.name); };
+  player.songs = [{ name: 'one', lyrics: [] }, { name: 'two', lyrics: [] }];
+  player.currentSongIndex = 0;
+
+  const clip = { name: 'loop.webm', type: 'video/webm' };
+  assert.equal(player.assignSongBackgroundFile(0, clip), true);
+  assert.deepEqual(player.songs[0].background, { type: 'video', file: clip, fileName: 'loop.webm' });
+  assert.deepEqual(applied, ['one']);
+  assert.equal(player.assignSongBackgroundFile(1, { name: 'notes.txt' }), false);
+  assert.equal(notifications[1].type, 'warning');
+
+  assert.equal(player.setSongBackgroundColor(1, 'radial-gradient(#000, #333)'), true);
+  assert.deepEqual(player.serializeSongBackground(player.songs[0].background), { type: 'video', fileName: 'loop.webm' });
+  assert.deepEqual(player.serializeSongBackground(player.songs[1].background), { type: 'color', color: 'radial-gradient(#000, #333)' });
+
+  // 导入的列表只带文件名，拖入同名文件后重新关联
+  player.songs[0].background = player.parseSongBackground({ type: 'video', fileName: 'loop.webm' });
+  assert.equal(player.getAssignedBackground(player.songs[0]), null);
+  assert.equal(player.parseSongBackground({ type: 'image' }), null);
+  assert.equal(player.parseSongBackground({ type: 'color', color: 'url(x)' }), null);
+
+  const relinked = player.relinkSongBackgrounds([{ name: 'other.png' }, clip]);
+  assert.deepEqual(relinked, [clip]);
+  assert.equal(player.songs[0].background.file, clip);
+
+  player.setSongBackground(0, null);
+  assert.equal(player.songs[0].background, undefined);
+});
+
+await test('handleDroppedFiles registers covers and uses other images as background', async () => {
+  const registered = [];
+  const backgrounds = [];
+  player.songs = [{ name: 'Night Song', lyrics: [{ time: 0, text: 'x' }] }];
+  player.loadAudioFiles = () => {};
+  player.registerCoverImages = (files) => { registered.push(...files.map(file => file.name)); };
+  player.loadBackgroundImage = (file) => { backgrounds.push(file.name); };
+
+  await player.handleDroppedFiles([
+    { name: 'cover.jpg' },
+    { name: 'night song.png' },
+    { name: 'new-track.webp' },
+    { name: 'new-track.mp3' },
+    { name: 'stage.jpg' }
+  ]);
+
+  assert.deepEqual(registered, ['cover.jpg', 'night song.png', 'new-track.webp']);
+  assert.deepEqual(backgrounds, ['stage.jpg']);
+});
+
 await test('loadBackgroundImage revokes previous blob URL', () => {
   const revoked = [];
   const created = [];
@@ -785,7 +2481,7 @@ await test('loadBackgroundImage revokes previous blob URL', () => {
   player.trackObjectUrl = () => {};
   player.showNotification = () => {};
 
-  player.backgroundContainer.style.backgroundImage = 'url("blob:old")';
+  player.manualBackgroundUrl = 'blob:old';
   player.revokeObjectUrl = (url) => {
     globalThis.URL.revokeObjectURL(url);
   };
@@ -794,6 +2490,7 @@ await test('loadBackgroundImage revokes previous blob URL', () => {
 
   assert.equal(revoked[0], 'blob:old');
   assert.equal(created[0], 'blob:new');
+  assert.equal(player.manualBackgroundUrl, 'blob:new');
 
   globalThis.URL = originalURL;
 });
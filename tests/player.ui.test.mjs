@@ -223,6 +223,115 @@ await test('updateLyricsDisplay chooses correct current and next lines', () => {
   assert.deepEqual(lastLyrics, { current: 'line1', next: 'line2' });
 });
 
+await test('updateLyricsDisplay blanks the screen between subtitle cues', () => {
+  const shown = [];
+  player.showLyrics = (current, next) => {
+    shown.push({ current, next });
+  };
+  player.updateLyricProgress = () => {};
+
+  player.songs = [{
+    name: 'subs',
+    lyrics: [
+      { time: 1, end: 2, text: 'cue1' },
+      { time: 4, end: 5, text: 'cue2' }
+    ]
+  }];
+  player.currentSongIndex = 0;
+
+  player.currentTime = 1.5;
+  player.updateLyricsDisplay();
+  player.currentTime = 3;
+  player.updateLyricsDisplay();
+  player.currentTime = 3.5;
+  player.updateLyricsDisplay();
+  player.currentTime = 4.2;
+  player.updateLyricsDisplay();
+
+  assert.deepEqual(shown, [
+    { current: 'cue1', next: 'cue2' },
+    { current: '', next: 'cue2' },
+    { current: 'cue2', next: '' }
+  ]);
+  assert.equal(player.currentLyricIndex, 1);
+});
+
+await test('showLyrics renders karaoke words and updates fill progress', () => {
+  const originalRAF = globalThis.requestAnimationFrame;
+  globalThis.requestAnimationFrame = (cb) => cb();
+
+  try {
+    player.currentLyricEl = createElement();
+    player.nextLyricEl = createElement();
+    const words = [
+      { time: 1, end: 2, text: 'Hel' },
+      { time: 2, end: 4, text: 'lo' }
+    ];
+
+    player.currentTime = 3;
+    player.showLyrics('Hello', 'next', words);
+
+    assert.equal(player.currentLyricEl.children.length, 2);
+    assert.equal(player.karaokeWordEls[0].dataset.text, 'Hel');
+    assert.equal(player.karaokeWordEls[0].style['--karaoke-progress'], '100.0%');
+    assert.equal(player.karaokeWordEls[1].style['--karaoke-progress'], '50.0%');
+    assert.equal(player.nextLyricEl.textContent, 'next');
+
+    player.currentTime = 1.5;
+    player.updateKaraokeProgress();
+    assert.equal(player.karaokeWordEls[0].style['--karaoke-progress'], '50.0%');
+    assert.equal(player.karaokeWordEls[1].style['--karaoke-progress'], '0.0%');
+
+    player.showLyrics('Hello', 'next', words, '#ff0000');
+    assert.equal(player.currentLyricEl.style.color, '#ff0000');
+    assert.equal(player.currentLyricEl.style['--karaoke-fill'], '#ff0000');
+
+    player.showLyrics('plain', '');
+    assert.equal(player.currentLyricEl.style.color, '');
+    assert.equal(player.currentLyricEl.textContent, 'plain');
+  } finally {
+    globalThis.requestAnimationFrame = originalRAF;
+  }
+});
+
+await test('showLyricAt renders translations according to translation mode', () => {
+  const originalRAF = globalThis.requestAnimationFrame;
+  globalThis.requestAnimationFrame = (cb) => cb();
+
+  try {
+    player.currentLyricEl = createElement();
+    player.nextLyricEl = createElement();
+    player.translationLyricEl = createElement();
+    const lyrics = [
+      { time: 0, text: '你好', secondary: ['Hello'], words: [{ time: 0, end: 1, text: '你好' }] },
+      { time: 2, text: '再见', secondary: ['Goodbye'] }
+    ];
+    player.songs = [{ name: 'bilingual', lyrics }];
+    player.currentSongIndex = 0;
+    player.currentLyricIndex = 0;
+
+    player.showLyricAt(lyrics, 0);
+    assert.equal(player.translationLyricEl.textContent, 'Hello');
+    assert.equal(player.nextLyricEl.textContent, '再见');
+    assert.equal(player.karaokeWordEls.length, 1);
+
+    player.setTranslationMode('translation');
+    assert.equal(player.currentLyricEl.textContent, 'Hello');
+    assert.equal(player.nextLyricEl.textContent, 'Goodbye');
+    assert.equal(player.translationLyricEl.textContent, '');
+    assert.equal(player.karaokeWordEls.length, 0);
+
+    player.setTranslationMode('original');
+    assert.equal(player.translationLyricEl.textContent, '');
+    assert.equal(player.nextLyricEl.textContent, '再见');
+
+    player.setTranslationMode('invalid');
+    assert.equal(player.translationMode, 'original');
+  } finally {
+    globalThis.requestAnimationFrame = originalRAF;
+  }
+});
+
 await test('togglePlay/play/pause manage audio playback state', async () => {
   player.togglePlay = LEDLyricsPlayer.prototype.togglePlay.bind(player);
   player.play = LEDLyricsPlayer.prototype.play.bind(player);
@@ -306,6 +415,51 @@ await test('syncWithAudio updates progress and lyrics on timeupdate', async () =
   player.updateLyricsDisplay = originalUpdateLyricsDisplay;
 });
 
+await test('animate interpolates the audio clock between coarse currentTime updates', () => {
+  const originalPerf = globalThis.performance;
+  const originalRAF = globalThis.requestAnimationFrame;
+  let now = 1000;
+  let lyricsCalls = 0;
+  globalThis.performance = { now: () => now };
+  globalThis.requestAnimationFrame = () => 1;
+
+  try {
+    const audio = { currentTime: 10, paused: false, seeking: false, readyState: 4, playbackRate: 1 };
+    player.audioMode = true;
+    player.isPlaying = true;
+    player.audioElement = audio;
+    player.audioOffset = 0.5;
+    player.updateProgress = () => {};
+    player.updateLyricsDisplay = () => { lyricsCalls += 1; };
+
+    player.animate();
+    assert.equal(player.currentTime, 10.5);
+    assert.equal(player.animationId, 1);
+
+    now = 1100;
+    player.animate();
+    assert.ok(Math.abs(player.currentTime - 10.6) < 1e-9);
+    assert.equal(lyricsCalls, 2);
+
+    // 推算时长受上限约束，避免缓冲卡顿时越跑越远
+    now = 3000;
+    assert.equal(player.getAudioClockTime(now), 10.3);
+
+    // 音频时钟更新后重新锚定，微小回退保持单调
+    audio.currentTime = 10.25;
+    assert.equal(player.getAudioClockTime(now), 10.3);
+    now = 3100;
+    assert.ok(Math.abs(player.getAudioClockTime(now) - 10.35) < 1e-9);
+
+    audio.paused = true;
+    assert.equal(player.getAudioClockTime(now), 10.25);
+    assert.equal(player.audioClock, null);
+  } finally {
+    globalThis.performance = originalPerf;
+    globalThis.requestAnimationFrame = originalRAF;
+  }
+});
+
 await test('loadAudioFiles updates current song mode when auto', async () => {
   const originalAudio = globalThis.Audio;
   const originalURL = globalThis.URL;
@@ -350,7 +504,7 @@ await test('loadAudioFiles updates current song mode when auto', async () => {
     }];
     player.currentSongIndex = 0;
 
-    player.loadAudioFiles([{ name: 'song.mp3' }]);
+    await player.loadAudioFiles([{ name: 'song.mp3' }]);
 
     assert.equal(applyCalls, 1);
   } finally {
@@ -543,6 +697,22 @@ await test('keyboard shortcuts trigger expected actions', async () => {
   assert.equal(cycleModeCalls, 1);
   assert.equal(focusCalls, 1);
 
+  // Ctrl+Z 只在打轴编辑器打开时撤销，否则不拦截
+  let undoCalls = 0;
+  const originalUndo = player.undoLyricEdit;
+  player.undoLyricEdit = () => { undoCalls += 1; };
+  assert.equal(trigger({ key: 'z', code: 'KeyZ', ctrlKey: true }), false);
+  assert.equal(undoCalls, 0);
+
+  const editorPane = createElement();
+  editorPane.classList.contains = (name) => name === 'active';
+  const getElementById = globalThis.document.getElementById;
+  globalThis.document.getElementById = (id) => (id === 'tab-editor' ? editorPane : getElementById(id));
+  assert.equal(trigger({ key: 'z', code: 'KeyZ', metaKey: true }), true);
+  assert.equal(undoCalls, 1);
+  globalThis.document.getElementById = getElementById;
+  player.undoLyricEdit = originalUndo;
+
   globalThis.setTimeout = originalSetTimeout;
 });
 
@@ -704,7 +874,8 @@ await test('switchToSong cleans up old audio and updates references', () => {
     name: 'new',
     lyrics: [{ time: 0, text: 'b' }],
     audioFile: {},
-    audioElement: newAudio
+    audioElement: newAudio,
+    audioOffset: -0.3
   };
 
   player.songs = [oldSong, newSong];
@@ -738,6 +909,11 @@ await test('switchToSong cleans up old audio and updates references', () => {
   assert.equal(oldAudio.src, '');
   assert.equal(player._revoked, 'blob:old');
   assert.equal(player.audioElement, newAudio);
+  assert.equal(player.audioOffset, -0.3);
+
+  player.ensureAudioElement = () => {};
+  player.switchToSong(0);
+  assert.equal(player.audioOffset, 0);
 });
 
 await test('searchResults click updates lyric index and cache', () => {
@@ -1,6 +1,14 @@
 import { finalize } from './test-helpers.mjs';
 
 await import('./utils.test.mjs');
+await import('./encoding.test.mjs');
+await import('./chinese.test.mjs');
+await import('./audio-tags.test.mjs');
+await import('./visualizer.test.mjs');
+await import('./led-matrix.test.mjs');
+await import('./output-mapping.test.mjs');
+await import('./stage-output.test.mjs');
+await import('./stage-monitor.test.mjs');
 await import('./player.core.test.mjs');
 await import('./player.ui.test.mjs');
 
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import {
+  test,
+  createElement,
+  installDocumentStub,
+  StageMonitor,
+  getUpcomingLines,
+  getLineCountdown,
+  getTimeToFirstVocal
+} from './test-helpers.mjs';
+
+const lyrics = [
+  { time: 10, text: '第一句', translation: 'Line one' },
+  { time: 14, text: '第二句', translation: '' },
+  { time: 20, text: '第三句', translation: '' },
+  { time: 24, text: '第四句', translation: '' }
+];
+
+function createMonitor() {
+  const ids = [
+    'monitorSongName', 'monitorElapsed', 'monitorRemaining', 'monitorIntro', 'monitorCurrent',
+    'monitorTranslation', 'monitorCountdownBar', 'monitorCountdownText', 'monitorUpcoming', 'monitorNextSong'
+  ];
+  const elements = {};
+  ids.forEach(id => {
+    elements[id] = createElement();
+  });
+  const classes = new Set();
+  elements.monitorCurrent.classList = {
+    toggle(name, force) { if (force) classes.add(name); else classes.delete(name); },
+    contains(name) { return classes.has(name); }
+  };
+  installDocumentStub(elements);
+  globalThis.window = { addEventListener() {} };
+  return { monitor: new StageMonitor(), elements };
+}
+
+await test('getUpcomingLines lists the lines after the current one', () => {
+  assert.deepEqual(getUpcomingLines(lyrics, 0, 2).map(line => line.text), ['第二句', '第三句']);
+  assert.deepEqual(getUpcomingLines(lyrics, -1, 2).map(line => line.text), ['第一句', '第二句']);
+  assert.deepEqual(getUpcomingLines(lyrics, 3, 4), []);
+  assert.deepEqual(getUpcomingLines(null, 0, 4), []);
+});
+
+await test('getLineCountdown measures the time to the next line', () => {
+  assert.deepEqual(getLineCountdown(lyrics, 0, 12), { remaining: 2, progress: 0.5 });
+  assert.deepEqual(getLineCountdown(lyrics, -1, 5), { remaining: 5, progress: 0.5 });
+  assert.deepEqual(getLineCountdown(lyrics, 1, 25), { remaining: 0, progress: 1 });
+  assert.equal(getLineCountdown(lyrics, 3, 30), null);
+  assert.equal(getLineCountdown([], -1, 0), null);
+});
+
+await test('getTimeToFirstVocal only counts down during the intro', () => {
+  assert.equal(getTimeToFirstVocal(lyrics, -1, 3.5), 6.5);
+  assert.equal(getTimeToFirstVocal(lyrics, 0, 11), null);
+  assert.equal(getTimeToFirstVocal([], -1, 0), null);
+});
+
+await test('StageMonitor renders song, upcoming lines, countdown and times', () => {
+  const { monitor, elements } = createMonitor();
+  try {
+    monitor.handleMessage({ type: 'monitor-song', song: { name: '夜曲', lyrics, nextSong: '晴天' } });
+    assert.equal(elements.monitorSongName.textContent, '夜曲');
+    assert.equal(elements.monitorNextSong.textContent, '晴天');
+
+    // 前奏：显示距离开唱的时间，后续歌词从第一句开始
+    monitor.handleMessage({ type: 'monitor-time', time: { currentTime: 4.2, duration: 180, currentLyricIndex: -1 } });
+    assert.equal(elements.monitorIntro.textContent, '前奏 6 秒后开唱');
+    assert.equal(elements.monitorCurrent.textContent, '');
+    assert.equal(elements.monitorElapsed.textContent, '0:04');
+    assert.equal(elements.monitorRemaining.textContent, '-2:55');
+    assert.match(elements.monitorUpcoming.innerHTML, /^<div class="monitor-line">第一句<\/div>/);
+
+    monitor.handleMessage({ type: 'monitor-time', time: { currentTime: 12, duration: 180, currentLyricIndex: 0 } });
+    assert.equal(elements.monitorIntro.textContent, '');
+    assert.equal(elements.monitorCurrent.textContent, '第一句');
+    assert.equal(elements.monitorTranslation.textContent, 'Line one');
+    assert.equal(elements.monitorCountdownBar.style.width, '50.0%');
+    assert.equal(elements.monitorCountdownText.textContent, '2.0s');
+    assert.equal(elements.monitorUpcoming.innerHTML.split('monitor-line').length - 1, 3);
+
+    monitor.handleMessage({ type: 'monitor-time', time: { currentTime: 26, duration: NaN, currentLyricIndex: 3, lyricGapActive: true } });
+    assert.equal(elements.monitorRemaining.textContent, '--:--');
+    assert.equal(elements.monitorCountdownBar.style.width, '0%');
+    assert.equal(elements.monitorUpcoming.innerHTML, '');
+    assert.ok(elements.monitorCurrent.classList.contains('gap'));
+
+    monitor.handleMessage({ type: 'shutdown' });
+    assert.equal(elements.monitorSongName.textContent, '');
+    assert.equal(elements.monitorCurrent.textContent, '控制台已关闭');
+  } finally {
+    monitor.channel.close();
+    delete globalThis.window;
+  }
+});
+
+await test('StageMonitor identifies itself when requesting data', () => {
+  const { monitor } = createMonitor();
+  const realChannel = monitor.channel;
+  const posted = [];
+  monitor.channel = { post(type, payload) { posted.push({ type, ...payload }); } };
+  try {
+    monitor.handleMessage({ type: 'stage-ready' });
+    assert.deepEqual(posted, [{ type: 'request-monitor', monitorId: monitor.id }]);
+    const other = createMonitor().monitor;
+    other.channel.close();
+    assert.notEqual(other.id, monitor.id);
+  } finally {
+    realChannel.close();
+    delete globalThis.window;
+  }
+});
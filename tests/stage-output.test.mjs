@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { test, createElement, installDocumentStub, flushPromises, StageChannel, StageOutput } from './test-helpers.mjs';
+
+function createClassList() {
+  const classes = new Set();
+  return {
+    classes,
+    add(name) { classes.add(name); },
+    remove(name) { classes.delete(name); },
+    contains(name) { return classes.has(name); }
+  };
+}
+
+function createOutput() {
+  const elements = {
+    currentLyric: createElement(),
+    translationLyric: createElement(),
+    nextLyric: createElement(),
+    backgroundContainer: createElement()
+  };
+  elements.currentLyric.classList = createClassList();
+  installDocumentStub(elements);
+  globalThis.document.body.classList = createClassList();
+  globalThis.document.documentElement = createElement();
+  globalThis.window = { addEventListener() {}, devicePixelRatio: 1 };
+  globalThis.document.createElement = (tag) => {
+    const element = createElement();
+    element.tagName = tag.toUpperCase();
+    element.classList = createClassList();
+    return element;
+  };
+
+  const output = new StageOutput();
+  clearTimeout(output.cursorTimeout);
+  return { output, elements };
+}
+
+await test('StageChannel delivers typed messages between windows', async () => {
+  const received = [];
+  const receiver = new StageChannel(message => received.push(message), 'led_lyrics_test_channel');
+  const sender = new StageChannel(() => {}, 'led_lyrics_test_channel');
+  try {
+    sender.post('state', { state: { theme: 'gold' } });
+    sender.channel.postMessage('not a stage message');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(received, [{ type: 'state', state: { theme: 'gold' } }]);
+  } finally {
+    receiver.close();
+    sender.close();
+  }
+});
+
+await test('StageOutput applies lyrics, theme, font scale and background from state', async () => {
+  const { output, elements } = createOutput();
+  try {
+    output.handleMessage({
+      type: 'state',
+      state: {
+        lyrics: { current: '第一句', next: '第二句', translation: 'First line', color: '#ff0000' },
+        theme: 'blue',
+        fontScale: 1.8,
+        background: { type: 'image', url: 'blob:cover', blur: true },
+        isPlaying: true
+      }
+    });
+
+    assert.equal(elements.currentLyric.textContent, '第一句');
+    assert.equal(elements.currentLyric.style.color, '#ff0000');
+    assert.equal(elements.nextLyric.textContent, '第二句');
+    assert.equal(elements.translationLyric.textContent, 'First line');
+    assert.ok(document.body.classList.contains('theme-blue'));
+    assert.equal(document.documentElement.style['--font-scale'], 1.8);
+
+    assert.equal(elements.backgroundContainer.children.length, 1);
+    const layer = elements.backgroundContainer.children[0];
+    assert.equal(layer.className, 'background-layer cover-art');
+    assert.equal(layer.style.backgroundImage, 'url(blob:cover)');
+
+    // 相同背景不重复创建图层，未知主题被忽略
+    output.applyState({ lyrics: { current: '第二句' }, theme: 'unknown', background: { type: 'image', url: 'blob:cover', blur: true } });
+    assert.equal(elements.backgroundContainer.children.length, 1);
+    assert.ok(document.body.classList.contains('theme-blue'));
+    assert.equal(elements.nextLyric.textContent, '');
+
+    output.handleMessage({ type: 'shutdown' });
+    assert.equal(elements.currentLyric.textContent, '');
+    assert.equal(elements.nextLyric.textContent, '控制台已关闭');
+    await flushPromises();
+  } finally {
+    output.channel.close();
+  }
+});
+
+await test('StageOutput keeps a background video in step with the operator play state', () => {
+  const { output } = createOutput();
+  try {
+    const video = {
+      tagName: 'VIDEO',
+      paused: true,
+      duration: 30,
+      currentTime: 0,
+      playbackRate: 1,
+      play() { this.paused = false; return Promise.resolve(); },
+      pause() { this.paused = true; }
+    };
+    output.backgroundLayer = video;
+
+    output.state = { isPlaying: true, videoSyncMode: 'lockstep', currentTime: 75, playbackSpeed: 2 };
+    output.syncBackgroundVideo();
+    assert.equal(video.paused, false);
+    assert.equal(video.currentTime, 15);
+    assert.equal(video.playbackRate, 2);
+
+    output.state = { isPlaying: false, videoSyncMode: 'loop', currentTime: 80 };
+    output.syncBackgroundVideo();
+    assert.equal(video.paused, true);
+    assert.equal(video.currentTime, 15);
+
+    // 主窗口单独发送的播放时间：小偏差保持不动，跳转后立即对齐
+    output.state = { isPlaying: true, videoSyncMode: 'lockstep', currentTime: 75, playbackSpeed: 1 };
+    output.handleMessage({ type: 'stage-time', time: { currentTime: 75.1, seeked: false } });
+    assert.equal(output.state.currentTime, 75.1);
+    assert.equal(video.currentTime, 15);
+    output.handleMessage({ type: 'stage-time', time: { currentTime: 80, seeked: false } });
+    assert.equal(video.currentTime, 20);
+    output.handleMessage({ type: 'stage-time', time: { currentTime: 80.1, seeked: true } });
+    assert.ok(Math.abs(video.currentTime - 20.1) < 1e-9);
+  } finally {
+    output.channel.close();
+  }
+});
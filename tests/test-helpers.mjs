@@ -62,14 +62,57 @@ export function resetPlayer() {
   player.lastLyricSearchIndex = 0;
   player.lastLyricSearchTime = 0;
   player.lyricsCache = new Map();
+  player.karaokeWords = null;
+  player.karaokeWordEls = [];
+  player.lyricGapActive = false;
+  player.audioClock = null;
+  player.currentLyricColor = null;
+  player.translationMode = 'both';
+  player.displayMode = 'lines';
+  player.scrollLyricEls = [];
+  player.scrollLyricsSource = null;
+  player.scrollActiveIndex = null;
+  player.currentTranslation = '';
+  player.lyricEditorList = null;
+  player.editorCursor = 0;
+  player.editorUndoStack = [];
+  player.lyricEditorTapMode = false;
 
   player.audioElement = null;
   player.audioMode = false;
   player.audioOffset = 0;
+  player.songOffsets = {};
+  player.libraryStore = null;
+  player.persistAudio = true;
+  player.isRestoringLibrary = false;
+  player.librarySaveTimer = null;
+  player.librarySaveChain = null;
   player.fontScale = 1.3;
   player.currentTheme = 'classic';
   player.searchResults = [];
   player.objectUrls = new Set();
+  player.audioTags = new WeakMap();
+  player.manualBackgroundUrl = null;
+  player.manualBackgroundType = 'image';
+  player.videoSyncMode = 'loop';
+  player.backgroundMode = 'cover';
+  player.coverImages = new Map();
+  player.mediaObjectUrls = new Map();
+  player.backgroundLayer = null;
+  player.backgroundKey = '';
+  player.songBackgroundTarget = null;
+  player.visualizerMode = 'off';
+  player.visualizer = null;
+  player.ledMatrixOptions = { enabled: false, cols: 192, rows: 64, shape: 'round', pitch: 4, bloom: 0.4 };
+  player.ledMatrix = null;
+  player.outputMapping = { ...DEFAULT_OUTPUT_MAPPING };
+  player.stageChannel = null;
+  player.stageLyrics = { current: '', next: '', translation: '', color: null };
+  player.stageBackground = null;
+  player.lastStageMessage = '';
+  player.outputWindow = null;
+  player.connectedMonitors = new Set();
+  player.monitorWindow = null;
   player.eventListeners = new Map();
   player.eventListenerRegistry = new Map();
   player.timers = new Set();
@@ -107,7 +150,14 @@ export function createElement() {
     _innerHTML: '',
     textContent: '',
     children: [],
-    style: { display: '', width: '' },
+    style: {
+      display: '',
+      width: '',
+      setProperty(name, value) {
+        this[name] = value;
+      }
+    },
+    dataset: {},
     className: '',
     classList: {
       add() {},
@@ -136,6 +186,7 @@ export function createElement() {
         this.children.splice(index, 1);
       }
     },
+    querySelector() { return null; },
     querySelectorAll() { return []; }
   };
 
@@ -182,9 +233,25 @@ export function flushPromises() {
 }
 
 export const utilsModule = await loadModule(path.resolve('js/utils.js'));
+export const encodingModule = await loadModule(path.resolve('js/encoding.js'));
+export const chineseModule = await loadModule(path.resolve('js/chinese.js'));
+export const audioTagsModule = await loadModule(path.resolve('js/audio-tags.js'));
+export const visualizerModule = await loadModule(path.resolve('js/visualizer.js'));
+export const stageOutputModule = await loadModule(path.resolve('js/stage-output.js'));
+export const stageMonitorModule = await loadModule(path.resolve('js/stage-monitor.js'));
+export const ledMatrixModule = await loadModule(path.resolve('js/led-matrix.js'));
+export const outputMappingModule = await loadModule(path.resolve('js/output-mapping.js'));
 export const playerModule = await loadModule(path.resolve('js/player.js'));
 
-export const { escapeHtml, highlightText, formatTime } = utilsModule.namespace;
+export const { escapeHtml, highlightText, formatTime, formatBytes } = utilsModule.namespace;
+export const { detectEncoding, detectLegacyEncoding, decodeText } = encodingModule.namespace;
+export const { containsHan, toSimplified, toPinyin } = chineseModule.namespace;
+export const { readAudioTags, parseId3v2, parseVorbisComment, parseMp4Moov, parseMp4TrackTypes, readMp4TrackTypes } = audioTagsModule.namespace;
+export const { AudioVisualizer, groupFrequencyBins, levelToSegments, getVisualizerColors } = visualizerModule.namespace;
+export const { StageChannel, StageOutput } = stageOutputModule.namespace;
+export const { StageMonitor, getUpcomingLines, getLineCountdown, getTimeToFirstVocal } = stageMonitorModule.namespace;
+export const { LedMatrixRenderer, sampleDotMatrix, getMarqueeOffset, normalizeLedMatrixOptions, DEFAULT_LED_MATRIX_OPTIONS } = ledMatrixModule.namespace;
+export const { DEFAULT_OUTPUT_MAPPING, normalizeOutputMapping, computeStageLayout, drawTestPattern, applyStageMapping, STAGE_REFERENCE_SIZE } = outputMappingModule.namespace;
 export const { LEDLyricsPlayer } = playerModule.namespace;
 
 export const player = Object.create(LEDLyricsPlayer.prototype);
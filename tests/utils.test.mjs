@@ -1,5 +1,5 @@
 import assert from 'node:assert/strict';
-import { test, escapeHtml, highlightText, formatTime } from './test-helpers.mjs';
+import { test, escapeHtml, highlightText, formatTime, formatBytes } from './test-helpers.mjs';
 
 await test('escapeHtml escapes special characters', () => {
   const input = '<div class="x">Tom & Jerry</div>\'"';
@@ -19,3 +19,10 @@ await test('formatTime handles edge cases', () => {
   assert.equal(formatTime(0), '0:00');
   assert.equal(formatTime(61), '1:01');
 });
+
+await test('formatBytes picks a readable unit', () => {
+  assert.equal(formatBytes(0), '0 B');
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(5 * 1024 * 1024 * 1024), '5.0 GB');
+});
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { test, AudioVisualizer, groupFrequencyBins, levelToSegments, getVisualizerColors } from './test-helpers.mjs';
+
+function createFakeAudioContext(log) {
+  return class FakeAudioContext {
+    constructor() {
+      this.state = 'suspended';
+      this.destination = { name: 'destination' };
+      log.push('context');
+    }
+    createAnalyser() {
+      return {
+        fftSize: 0,
+        frequencyBinCount: 8,
+        connect(target) { log.push(`analyser->${target.name}`); },
+        getByteFrequencyData(data) { data.fill(255); },
+        getByteTimeDomainData(data) { data.fill(128); }
+      };
+    }
+    createMediaElementSource(audio) {
+      log.push(`source:${audio.id}`);
+      return { connect() { log.push(`source->analyser:${audio.id}`); } };
+    }
+    resume() {
+      this.state = 'running';
+      log.push('resume');
+      return Promise.resolve();
+    }
+    close() { return Promise.resolve(); }
+  };
+}
+
+function createFakeCanvas() {
+  const calls = [];
+  const ctx = {
+    calls,
+    clearRect() { calls.push('clear'); },
+    fillRect(x, y, w, h) { calls.push({ fill: this.fillStyle, x, y, w, h }); },
+    createLinearGradient() { return { addColorStop() {} }; },
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() { calls.push('stroke'); }
+  };
+  const classes = new Set();
+  return {
+    ctx,
+    classes,
+    width: 0,
+    height: 0,
+    clientWidth: 160,
+    clientHeight: 100,
+    classList: {
+      add(name) { classes.add(name); },
+      remove(name) { classes.delete(name); }
+    },
+    getContext() { return ctx; }
+  };
+}
+
+await test('groupFrequencyBins averages log-spaced bins into normalized bands', () => {
+  const data = new Uint8Array(16).fill(0);
+  data[0] = 255;
+  data.fill(51, 8);
+
+  const bands = groupFrequencyBins(data, 4);
+  assert.equal(bands.length, 4);
+  assert.equal(bands[0], 0.5); // 最低频段只含前两个 bin
+  assert.equal(bands[1], 0);
+  assert.equal(bands[3], 0.2); // 最高频段覆盖后半段
+  assert.ok(bands.every(level => level >= 0 && level <= 1));
+
+  // bin 数少于频段数时不越界，多出的频段沿用最后一个 bin
+  assert.deepEqual(groupFrequencyBins(Uint8Array.from([255, 0]), 4), [1, 0, 0, 0]);
+  assert.deepEqual(groupFrequencyBins(null, 2), [0, 0]);
+});
+
+await test('levelToSegments maps level to lit LED count', () => {
+  assert.equal(levelToSegments(0, 24), 0);
+  assert.equal(levelToSegments(0.5, 24), 12);
+  assert.equal(levelToSegments(1.2, 24), 24);
+  assert.equal(levelToSegments(NaN, 24), 0);
+});
+
+await test('getVisualizerColors follows the theme and falls back to classic', () => {
+  assert.equal(getVisualizerColors('gold').primary, '#ffd700');
+  assert.deepEqual(getVisualizerColors('unknown'), getVisualizerColors('classic'));
+});
+
+await test('AudioVisualizer connects each audio element once and resumes the context', () => {
+  const log = [];
+  globalThis.window = { AudioContext: createFakeAudioContext(log) };
+  try {
+    const visualizer = new AudioVisualizer(createFakeCanvas());
+    const first = { id: 'a' };
+    const second = { id: 'b' };
+
+    assert.equal(visualizer.connect(first), true);
+    assert.equal(visualizer.analyser.fftSize, 2048);
+    assert.equal(visualizer.connect(first), true);
+    assert.equal(visualizer.connect(second), true);
+    assert.equal(visualizer.connect(first), true);
+
+    assert.deepEqual(log.filter(entry => entry.startsWith('source:')), ['source:a', 'source:b']);
+    assert.equal(log.filter(entry => entry === 'context').length, 1);
+    assert.ok(log.includes('analyser->destination'));
+    assert.ok(log.includes('resume'));
+    assert.equal(visualizer.connect(null), false);
+  } finally {
+    delete globalThis.window;
+  }
+});
+
+await test('AudioVisualizer draws LED bars in theme colors and clears on stop', () => {
+  globalThis.window = { AudioContext: createFakeAudioContext([]), devicePixelRatio: 1 };
+  try {
+    const canvas = createFakeCanvas();
+    const visualizer = new AudioVisualizer(canvas);
+    visualizer.connect({ id: 'a' });
+    visualizer.setMode('vu');
+    visualizer.setTheme('blue');
+    visualizer.render();
+
+    assert.equal(canvas.width, 160);
+    assert.equal(canvas.height, 100);
+    const fills = canvas.ctx.calls.filter(call => call.fill);
+    assert.equal(fills.length, 16 * 24); // 满电平时每个频段全部点亮
+    assert.ok(fills.some(call => call.fill === '#00bfff'));
+    assert.ok(fills.some(call => call.fill === '#0050ff'));
+    assert.ok(fills.every(call => call.y >= 0 && call.y + call.h <= 100));
+
+    visualizer.setMode('waveform');
+    canvas.ctx.calls.length = 0;
+    visualizer.render();
+    assert.ok(canvas.ctx.calls.includes('stroke'));
+
+    visualizer.setMode('bogus');
+    assert.equal(visualizer.mode, 'off');
+    visualizer.stop();
+    assert.equal(canvas.classes.has('active'), false);
+    assert.equal(canvas.ctx.calls.at(-1), 'clear');
+  } finally {
+    delete globalThis.window;
+  }
+});